@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import {
+  isCreature,
+  isPlaneswalker,
+  getPower,
+  getToughness,
+  findPermanent,
+  getDefaultDamageAssignments
+} from '../p2p/Combat';
+
+// Combat assistant for the decision the player has to make: which creatures
+// attack whom, which creatures block, or how much damage each creature deals.
+// Damage starts from the computed defaults and every amount can be changed
+const CombatModal = ({ mode, gameState, players, userId, onDeclareAttackers, onDeclareBlockers, onAssignDamage, onClose }) => {
+  const player = players.find(p => p.id === userId);
+  const combat = gameState.combat;
+  const [choices, setChoices] = useState({});
+  // Defaults are computed once, so the rows don't shift while amounts are edited
+  const [defaultAssignments] = useState(() => (mode === 'damage' ? getDefaultDamageAssignments(gameState) : []));
+  const [amounts, setAmounts] = useState(() => defaultAssignments.map(assignment => assignment.amount));
+  const ownCreatures = (player?.battlefield || []).filter(card => !card.tapped && isCreature(card));
+
+  const describeCard = (card) => `${card.name} (${getPower(card)}/${getToughness(card)})`;
+
+  const playerName = (playerId) => players.find(p => p.id === playerId)?.name || 'Player';
+
+  // Players and planeswalkers our creatures can attack
+  const attackOptions = players
+    .filter(p => p.id !== userId && !p.lost)
+    .flatMap(p => [
+      { value: p.id, label: p.name || 'Opponent' },
+      ...(p.battlefield || []).filter(isPlaneswalker).map(planeswalker => ({
+        value: `${p.id}:${planeswalker.id}`,
+        label: `${planeswalker.name} (${p.name || 'Opponent'})`
+      }))
+    ]);
+
+  // Creatures attacking us or our planeswalkers
+  const blockOptions = (combat?.attackers || [])
+    .filter(attacker => attacker.defendingPlayerId === userId)
+    .map(attacker => ({ attacker, card: findPermanent(gameState, attacker.playerId, attacker.cardId) }))
+    .filter(({ card }) => card)
+    .map(({ attacker, card }) => ({ value: attacker.cardId, label: describeCard(card) }));
+
+  const describeTarget = ({ targetPlayerId, targetCardId }) => {
+    if (!targetCardId) return playerName(targetPlayerId);
+    const card = findPermanent(gameState, targetPlayerId, targetCardId);
+    return card ? describeCard(card) : 'a permanent';
+  };
+
+  const handleChoice = (cardId, value) => {
+    setChoices(prev => ({ ...prev, [cardId]: value }));
+  };
+
+  const handleAmount = (index, value) => {
+    const amount = Math.max(0, parseInt(value, 10) || 0);
+    setAmounts(prev => prev.map((previous, i) => (i === index ? amount : previous)));
+  };
+
+  const handleSubmit = () => {
+    const chosen = Object.entries(choices).filter(([, value]) => value);
+
+    if (mode === 'attackers') {
+      onDeclareAttackers(chosen.map(([cardId, value]) => {
+        const [defendingPlayerId, planeswalkerId = null] = value.split(':');
+        return { cardId, defendingPlayerId, planeswalkerId };
+      }));
+    } else if (mode === 'blockers') {
+      onDeclareBlockers(chosen.map(([cardId, attackerId]) => ({ cardId, attackerId })));
+    } else {
+      onAssignDamage(defaultAssignments.map((assignment, index) => ({
+        ...assignment,
+        amount: amounts[index]
+      })));
+    }
+  };
+
+  const titles = {
+    attackers: 'Declare attackers',
+    blockers: 'Declare blockers',
+    damage: 'Combat damage'
+  };
+
+  const renderChoices = (options, emptyLabel) => (
+    ownCreatures.length === 0 ? (
+      <p className="text-sm text-gray-400">You have no untapped creatures.</p>
+    ) : (
+      ownCreatures.map(card => (
+        <div key={card.id} className="flex items-center justify-between mb-2 text-sm">
+          <span className="mr-2">{describeCard(card)}</span>
+          <select
+            className="input-field text-sm"
+            value={choices[card.id] || ''}
+            onChange={(e) => handleChoice(card.id, e.target.value)}
+          >
+            <option value="">{emptyLabel}</option>
+            {options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      ))
+    )
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-lg w-full">
+        <h2 className="text-xl font-bold mb-4">{titles[mode]}</h2>
+
+        <div className="max-h-80 overflow-y-auto mb-4">
+          {mode === 'attackers' && renderChoices(attackOptions, 'Not attacking')}
+          {mode === 'blockers' && renderChoices(blockOptions, 'Not blocking')}
+          {mode === 'damage' && (
+            defaultAssignments.length === 0 ? (
+              <p className="text-sm text-gray-400">No creature deals combat damage.</p>
+            ) : (
+              defaultAssignments.map((assignment, index) => {
+                const source = findPermanent(gameState, assignment.sourcePlayerId, assignment.sourceId);
+                return (
+                  <div key={index} className="flex items-center justify-between mb-2 text-sm">
+                    <span className="mr-2">
+                      {source ? describeCard(source) : 'Creature'} → {describeTarget(assignment)}
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      className="input-field w-16 text-sm"
+                      value={amounts[index]}
+                      onChange={(e) => handleAmount(index, e.target.value)}
+                    />
+                  </div>
+                );
+              })
+            )
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button className="btn-secondary text-sm" onClick={onClose}>
+            Later
+          </button>
+          <button className="btn-primary text-sm" onClick={handleSubmit}>
+            {mode === 'damage' ? 'Deal damage' : 'Declare'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CombatModal;
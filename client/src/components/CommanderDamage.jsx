@@ -0,0 +1,32 @@
+import React from 'react';
+import { getCommanderKey } from '../p2p/Formats';
+
+// Combat damage we have taken from an opponent's commander, with controls to
+// adjust it. 21 or more from a single commander is highlighted as lethal
+const CommanderDamage = ({ opponent, damageTaken = {}, limit = 21, onChange }) => {
+  if (!opponent.commander) return null;
+
+  const key = getCommanderKey(opponent.commander);
+  const damage = damageTaken[key] || 0;
+
+  return (
+    <div
+      className="flex items-center bg-bg-secondary px-2 py-1 rounded-full text-xs"
+      title={`Commander damage you have taken from ${opponent.commander.name}`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <span className="mr-1 truncate max-w-24">{opponent.commander.name}</span>
+      <button
+        className="font-bold w-4 h-4 flex items-center justify-center"
+        onClick={() => onChange(key, -1)}
+      >-</button>
+      <span className={`mx-1 font-bold ${damage >= limit ? 'text-red-500' : 'text-accent'}`}>{damage}</span>
+      <button
+        className="font-bold w-4 h-4 flex items-center justify-center"
+        onClick={() => onChange(key, 1)}
+      >+</button>
+    </div>
+  );
+};
+
+export default CommanderDamage;
@@ -0,0 +1,30 @@
+import React, { useEffect, useRef } from 'react';
+
+// Scrollable list of public game log entries, newest at the bottom
+const GameLog = ({ entries = [] }) => {
+  const bottomRef = useRef(null);
+
+  // Keep the newest entry in view
+  useEffect(() => {
+    if (bottomRef.current) {
+      bottomRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [entries.length]);
+
+  return (
+    <div className="bg-bg-tertiary bg-opacity-90 rounded p-2 text-xs max-h-32 overflow-y-auto w-64">
+      {entries.length === 0 ? (
+        <div className="text-gray-400">No actions yet</div>
+      ) : (
+        entries.map(entry => (
+          <div key={entry.id} className="py-0.5 border-b border-gray-700 last:border-b-0">
+            {entry.message}
+          </div>
+        ))
+      )}
+      <div ref={bottomRef}></div>
+    </div>
+  );
+};
+
+export default GameLog;
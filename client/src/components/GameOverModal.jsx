@@ -0,0 +1,37 @@
+import React from 'react';
+import { describePlacement } from '../p2p/Elimination';
+
+// Final placements once the game is over. The board stays visible behind it
+const GameOverModal = ({ gameOver, players, userId, onLeave, onClose }) => {
+  const getName = (playerId) => players.find(p => p.id === playerId)?.name || 'Player';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-sm w-full">
+        <h2 className="text-xl font-bold mb-4">
+          {gameOver.winnerId === userId
+            ? 'You won!'
+            : gameOver.winnerId ? `${getName(gameOver.winnerId)} won` : 'Game over'}
+        </h2>
+        <ol className="mb-4 text-sm">
+          {gameOver.placements.map((playerId, index) => (
+            <li key={playerId} className={`flex justify-between ${playerId === userId ? 'text-accent font-bold' : ''}`}>
+              <span>{describePlacement(index + 1)}</span>
+              <span>{getName(playerId)}</span>
+            </li>
+          ))}
+        </ol>
+        <div className="flex justify-end space-x-2">
+          <button className="btn-secondary text-sm" onClick={onClose}>
+            View board
+          </button>
+          <button className="btn-primary text-sm" onClick={onLeave}>
+            Leave game
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GameOverModal;
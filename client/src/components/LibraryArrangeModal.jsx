@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { CARD_BACK_URLS } from '../p2p/CardFaces';
+
+// Destinations each mode allows for the cards being looked at
+const MODE_DESTINATIONS = {
+  scry: ['top', 'bottom'],
+  surveil: ['top', 'graveyard'],
+  look: ['top', 'bottom', 'graveyard', 'hand']
+};
+
+const MODE_TITLES = {
+  scry: 'Scry',
+  surveil: 'Surveil',
+  look: 'Look at the top of your library'
+};
+
+// Private view of the top N cards of the player's own library.
+// Nothing is shared with the other players until the arrangement is submitted.
+const LibraryArrangeModal = ({ library, mode, onSubmit, onCancel }) => {
+  const destinations = MODE_DESTINATIONS[mode] || MODE_DESTINATIONS.look;
+  const [count, setCount] = useState(Math.min(1, library.length));
+  const [placements, setPlacements] = useState(() =>
+    library.slice(0, 1).map(card => ({ card, destination: 'top' }))
+  );
+
+  // Changing the number of cards resets the arrangement
+  const handleCountChange = (newCount) => {
+    const clampedCount = Math.max(1, Math.min(newCount, library.length));
+    setCount(clampedCount);
+    setPlacements(library.slice(0, clampedCount).map(card => ({ card, destination: 'top' })));
+  };
+
+  const handleDestinationChange = (index, destination) => {
+    setPlacements(prev => prev.map((p, i) => (i === index ? { ...p, destination } : p)));
+  };
+
+  // Move a card up or down within the submitted order
+  const handleMove = (index, offset) => {
+    const targetIndex = index + offset;
+    if (targetIndex < 0 || targetIndex >= placements.length) return;
+
+    setPlacements(prev => {
+      const updated = [...prev];
+      [updated[index], updated[targetIndex]] = [updated[targetIndex], updated[index]];
+      return updated;
+    });
+  };
+
+  const handleSubmit = () => {
+    onSubmit(placements.map(({ card, destination }) => ({
+      cardId: card.id,
+      destination
+    })));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-4xl w-full">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold">{MODE_TITLES[mode] || MODE_TITLES.look}</h2>
+          <div className="flex items-center bg-bg-tertiary px-3 py-1 rounded-full">
+            <button
+              className="font-bold w-6 h-6 flex items-center justify-center"
+              onClick={() => handleCountChange(count - 1)}
+            >-</button>
+            <span className="mx-2 text-accent font-bold">{count}</span>
+            <button
+              className="font-bold w-6 h-6 flex items-center justify-center"
+              onClick={() => handleCountChange(count + 1)}
+            >+</button>
+          </div>
+        </div>
+
+        <p className="text-sm text-text-secondary mb-4">
+          Cards sent to the top are placed in the order shown, the first one ending up on top.
+          Cards sent to the bottom keep the order shown.
+        </p>
+
+        <div className="flex flex-wrap justify-center mb-4">
+          {placements.map(({ card, destination }, index) => (
+            <div key={`${card.id}-${index}`} className="m-2 flex flex-col items-center">
+              <div className="w-28 h-40 rounded overflow-hidden shadow-lg">
+                <img
+                  src={card.image_uris?.normal || CARD_BACK_URLS.normal}
+                  alt={card.name || 'Card'}
+                  className="w-full h-full object-cover"
+                />
+              </div>
+              <div className="flex mt-1 space-x-1">
+                <button
+                  className="px-2 text-xs rounded bg-gray-700"
+                  onClick={() => handleMove(index, -1)}
+                >&lt;</button>
+                <button
+                  className="px-2 text-xs rounded bg-gray-700"
+                  onClick={() => handleMove(index, 1)}
+                >&gt;</button>
+              </div>
+              <div className="flex mt-1 space-x-1">
+                {destinations.map(option => (
+                  <button
+                    key={option}
+                    className={`px-2 py-1 text-xs rounded ${destination === option ? 'bg-green-600' : 'bg-gray-700'}`}
+                    onClick={() => handleDestinationChange(index, option)}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button className="btn-secondary text-sm" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            className="btn-primary text-sm"
+            onClick={handleSubmit}
+            disabled={placements.length === 0}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LibraryArrangeModal;
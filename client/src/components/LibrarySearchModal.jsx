@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { getCardImage } from '../p2p/CardFaces';
+
+const SEARCH_DESTINATIONS = ['hand', 'battlefield', 'graveyard', 'top'];
+
+const CARD_TYPES = ['Creature', 'Land', 'Basic', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Planeswalker'];
+
+// Private, filterable view of the player's whole library. Cards are filtered
+// by name, rules text or type from the Scryfall data they were loaded with.
+// Only the number of cards taken and where they went is shared
+const LibrarySearchModal = ({ library, onSubmit, onCardHover = () => {}, onCancel }) => {
+  const [query, setQuery] = useState('');
+  const [cardType, setCardType] = useState('');
+  const [selections, setSelections] = useState([]);
+  const [shuffle, setShuffle] = useState(true);
+
+  const normalizedQuery = query.trim().toLowerCase();
+  const matchingCards = library.filter(card =>
+    (!normalizedQuery ||
+      card.name?.toLowerCase().includes(normalizedQuery) ||
+      card.oracle_text?.toLowerCase().includes(normalizedQuery)) &&
+    (!cardType || card.type_line?.includes(cardType))
+  );
+
+  const getSelection = (cardId) => selections.find(selection => selection.cardId === cardId);
+
+  const toggleCard = (card) => {
+    setSelections(prev => (getSelection(card.id)
+      ? prev.filter(selection => selection.cardId !== card.id)
+      : [...prev, { cardId: card.id, destination: 'hand' }]));
+  };
+
+  const handleDestinationChange = (cardId, destination) => {
+    setSelections(prev => prev.map(selection => (selection.cardId === cardId ? { ...selection, destination } : selection)));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-4xl w-full max-h-screen overflow-y-auto">
+        <h2 className="text-xl font-bold mb-4">Search your library</h2>
+
+        <div className="flex items-center mb-4">
+          <input
+            className="input-field flex-1 mr-2 text-sm"
+            placeholder="Card name or text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <select
+            className="input-field text-sm"
+            value={cardType}
+            onChange={(e) => setCardType(e.target.value)}
+          >
+            <option value="">Any type</option>
+            {CARD_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex flex-wrap mb-4">
+          {matchingCards.map(card => {
+            const selection = getSelection(card.id);
+            return (
+              <div key={card.id} className="m-1 flex flex-col items-center">
+                <div
+                  className={`w-20 h-28 rounded overflow-hidden cursor-pointer border-2 ${selection ? 'border-accent' : 'border-transparent'}`}
+                  onClick={() => toggleCard(card)}
+                  onMouseEnter={() => onCardHover(card)}
+                  onMouseLeave={() => onCardHover(null)}
+                >
+                  <img src={getCardImage(card)} alt={card.name} className="w-full h-full object-cover" />
+                </div>
+                {selection && (
+                  <select
+                    className="mt-1 text-xs bg-gray-700 rounded"
+                    value={selection.destination}
+                    onChange={(e) => handleDestinationChange(card.id, e.target.value)}
+                  >
+                    {SEARCH_DESTINATIONS.map(destination => (
+                      <option key={destination} value={destination}>{destination}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            );
+          })}
+          {matchingCards.length === 0 && (
+            <div className="text-sm text-gray-400">No matching cards</div>
+          )}
+        </div>
+
+        <div className="flex justify-between items-center">
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={shuffle}
+              onChange={(e) => setShuffle(e.target.checked)}
+            />
+            Shuffle afterwards
+          </label>
+          <div className="flex space-x-2">
+            <button className="btn-secondary text-sm" onClick={onCancel}>
+              Cancel
+            </button>
+            <button className="btn-primary text-sm" onClick={() => onSubmit(selections, shuffle)}>
+              {selections.length > 0 ? `Take ${selections.length}` : 'Find nothing'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LibrarySearchModal;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { getMulliganBottomCount } from '../p2p/Formats';
+import { CARD_BACK_URLS } from '../p2p/CardFaces';
+
+// Opening hand decision before turn 1. The player can mulligan as often as
+// they like, then picks the cards to put on the bottom when keeping
+const MulliganModal = ({ hand, mulliganCount, rule, waitingFor = [], busy = false, onMulligan, onKeep }) => {
+  const [bottomCardIds, setBottomCardIds] = useState([]);
+  const bottomCount = Math.min(getMulliganBottomCount(rule, mulliganCount), hand.length);
+
+  // Toggle a card in or out of the cards going to the bottom
+  const handleToggle = (cardId) => {
+    if (bottomCount === 0) return;
+
+    setBottomCardIds(prev => {
+      if (prev.includes(cardId)) return prev.filter(id => id !== cardId);
+      if (prev.length >= bottomCount) return prev;
+      return [...prev, cardId];
+    });
+  };
+
+  const handleMulligan = () => {
+    setBottomCardIds([]);
+    onMulligan();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-4xl w-full">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold">Opening Hand</h2>
+          <span className="text-sm text-text-secondary">
+            {rule.name} mulligan · {mulliganCount === 1 ? '1 mulligan' : `${mulliganCount} mulligans`}
+          </span>
+        </div>
+
+        <p className="text-sm text-text-secondary mb-4">
+          {bottomCount > 0
+            ? `Choose ${bottomCount} card${bottomCount === 1 ? '' : 's'} to put on the bottom of your library (${bottomCardIds.length}/${bottomCount} chosen).`
+            : 'Keep this hand or shuffle it back and draw a new one.'}
+        </p>
+
+        <div className="flex flex-wrap justify-center mb-4">
+          {hand.map((card, index) => (
+            <div
+              key={`${card.id}-${index}`}
+              className={`w-28 h-40 m-2 rounded overflow-hidden shadow-lg ${bottomCount > 0 ? 'cursor-pointer' : ''} ${bottomCardIds.includes(card.id) ? 'opacity-40 ring-2 ring-accent' : ''}`}
+              onClick={() => handleToggle(card.id)}
+            >
+              <img
+                src={card.image_uris?.normal || card.imageUrl || CARD_BACK_URLS.normal}
+                alt={card.name || 'Card'}
+                className="w-full h-full object-cover"
+              />
+            </div>
+          ))}
+        </div>
+
+        {waitingFor.length > 0 && (
+          <p className="text-xs text-text-secondary mb-4">
+            Still deciding: {waitingFor.join(', ')}
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <button className="btn-secondary text-sm" onClick={handleMulligan} disabled={busy}>
+            Mulligan
+          </button>
+          <button
+            className="btn-primary text-sm"
+            onClick={() => onKeep(bottomCardIds)}
+            disabled={busy || bottomCardIds.length !== bottomCount}
+          >
+            Keep
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MulliganModal;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { getPower, getToughness } from '../p2p/Combat';
+import { getCardFace } from '../p2p/CardFaces';
+import { MODIFIER_EXPIRIES, DEFAULT_EXPIRY, describeModifier } from '../p2p/Modifiers';
+
+// Marked damage and temporary effects of a permanent. Effects added here
+// expire on their own; they can also be removed early. Turning the card over
+// or face down is offered when it's possible, and any permanent can be copied.
+// Control of a face-up permanent can be given to, or exchanged with, another player
+const PermanentEffectsModal = ({
+  card,
+  ownerName,
+  otherPlayers,
+  otherPermanents,
+  onMarkDamage,
+  onAddModifier,
+  onRemoveModifier,
+  onFlip,
+  onTurnFaceDown,
+  onTurnFaceUp,
+  onCopy,
+  onChangeControl,
+  onExchangeControl,
+  onClose
+}) => {
+  const [power, setPower] = useState(0);
+  const [toughness, setToughness] = useState(0);
+  const [keywords, setKeywords] = useState('');
+  const [note, setNote] = useState('');
+  const [expiry, setExpiry] = useState(DEFAULT_EXPIRY);
+
+  const toNumber = (value) => parseInt(value, 10) || 0;
+
+  const handleAdd = () => {
+    onAddModifier({
+      power,
+      toughness,
+      keywords: keywords.split(','),
+      note,
+      expiry
+    });
+    setPower(0);
+    setToughness(0);
+    setKeywords('');
+    setNote('');
+  };
+
+  const hasEffect = power !== 0 || toughness !== 0 || keywords.trim() || note.trim();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-md w-full">
+        <h2 className="text-xl font-bold mb-1">{getCardFace(card).name}</h2>
+        <div className="text-sm text-gray-400 mb-4">
+          {getPower(card)}/{getToughness(card)}
+          {ownerName && ` - owned by ${ownerName}`}
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          {onFlip && (
+            <button className="btn-secondary text-sm" onClick={onFlip}>Transform</button>
+          )}
+          {onTurnFaceDown && (
+            <button className="btn-secondary text-sm" onClick={onTurnFaceDown}>Turn face down</button>
+          )}
+          {onTurnFaceUp && (
+            <button className="btn-secondary text-sm" onClick={onTurnFaceUp}>Turn face up</button>
+          )}
+          <button className="btn-secondary text-sm" onClick={onCopy}>Copy</button>
+        </div>
+
+        {onChangeControl && (
+          <div className="flex items-center mb-4 text-sm">
+            <select
+              className="input-field flex-1 mr-2"
+              value=""
+              onChange={(e) => onChangeControl(e.target.value)}
+            >
+              <option value="">Give control to...</option>
+              {otherPlayers.map(player => (
+                <option key={player.id} value={player.id}>{player.name}</option>
+              ))}
+            </select>
+            <select
+              className="input-field flex-1"
+              value=""
+              onChange={(e) => {
+                const { playerId, card: otherCard } = otherPermanents[e.target.value];
+                onExchangeControl(playerId, otherCard.id);
+              }}
+            >
+              <option value="">Exchange control with...</option>
+              {otherPermanents.map(({ playerId, card: otherCard }, index) => (
+                <option key={`${playerId}-${otherCard.id}`} value={index}>
+                  {otherCard.name} ({otherPlayers.find(p => p.id === playerId)?.name})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="flex items-center mb-4 text-sm">
+          <span className="mr-2">Damage</span>
+          <button
+            className="text-green-500 font-bold w-6 h-6"
+            onClick={() => onMarkDamage(-1)}
+            disabled={!card.damage}
+          >-</button>
+          <span className="mx-2 text-red-500 font-bold">{card.damage || 0}</span>
+          <button className="text-red-500 font-bold w-6 h-6" onClick={() => onMarkDamage(1)}>+</button>
+        </div>
+
+        {card.modifiers?.length > 0 && (
+          <div className="mb-4 text-sm">
+            {card.modifiers.map(modifier => (
+              <div key={modifier.id} className="flex justify-between items-center">
+                <span>{describeModifier(modifier)}</span>
+                <button className="text-red-500 ml-2" onClick={() => onRemoveModifier(modifier.id)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="form-label">New effect</div>
+        <div className="flex items-center mb-2 text-sm">
+          <input
+            type="number"
+            className="input-field w-16 mr-1"
+            value={power}
+            onChange={(e) => setPower(toNumber(e.target.value))}
+          />
+          /
+          <input
+            type="number"
+            className="input-field w-16 ml-1"
+            value={toughness}
+            onChange={(e) => setToughness(toNumber(e.target.value))}
+          />
+        </div>
+        <input
+          className="input-field w-full mb-2 text-sm"
+          placeholder="Keywords, comma separated"
+          value={keywords}
+          onChange={(e) => setKeywords(e.target.value)}
+        />
+        <input
+          className="input-field w-full mb-2 text-sm"
+          placeholder="Note"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+        <select
+          className="input-field w-full mb-4 text-sm"
+          value={expiry}
+          onChange={(e) => setExpiry(e.target.value)}
+        >
+          {MODIFIER_EXPIRIES.map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
+
+        <div className="flex justify-end space-x-2">
+          <button className="btn-secondary text-sm" onClick={onClose}>
+            Close
+          </button>
+          <button className="btn-primary text-sm" onClick={handleAdd} disabled={!hasEffect}>
+            Add effect
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PermanentEffectsModal;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { PLAYER_COUNTER_TYPES, POISON_LIMIT, getPlayerCounterName } from '../p2p/PlayerCounters';
+
+// Counters on a player (poison, energy, custom...) shown next to the life
+// total, with +/- controls and a picker to start a new counter
+const PlayerCounterControls = ({ counters = {}, onAdd, onRemove, compact = false }) => {
+  const buttonSize = compact ? 'w-4 h-4' : 'w-5 h-5';
+
+  // Start tracking a counter from the picker, asking for a name for custom ones
+  const handleSelect = (e) => {
+    const { value } = e.target;
+
+    if (value === 'custom') {
+      const name = window.prompt('Counter name');
+      if (name) onAdd(name);
+    } else if (value) {
+      onAdd(value);
+    }
+  };
+
+  return (
+    <div className="flex items-center flex-wrap" onClick={(e) => e.stopPropagation()}>
+      {Object.entries(counters).map(([type, count]) => (
+        <div
+          key={type}
+          className="flex items-center bg-bg-secondary px-2 py-1 rounded-full text-xs ml-1"
+          title={getPlayerCounterName(type)}
+        >
+          <span className="mr-1">{getPlayerCounterName(type)}</span>
+          <button
+            className={`font-bold ${buttonSize} flex items-center justify-center`}
+            onClick={() => onRemove(type)}
+          >-</button>
+          <span className={`mx-1 font-bold ${type === 'poison' && count >= POISON_LIMIT ? 'text-red-500' : 'text-accent'}`}>
+            {count}
+          </span>
+          <button
+            className={`font-bold ${buttonSize} flex items-center justify-center`}
+            onClick={() => onAdd(type)}
+          >+</button>
+        </div>
+      ))}
+      <select
+        className="bg-bg-secondary text-xs rounded-full px-2 py-1 ml-1"
+        value=""
+        onChange={handleSelect}
+        title="Add a counter"
+      >
+        <option value="">+ Counter</option>
+        {PLAYER_COUNTER_TYPES
+          .filter(type => !counters[type.id])
+          .map(type => (
+            <option key={type.id} value={type.id}>{type.name}</option>
+          ))}
+        <option value="custom">Custom...</option>
+      </select>
+    </div>
+  );
+};
+
+export default PlayerCounterControls;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { getCommanderKey } from '../p2p/Formats';
+import { CARD_BACK_URLS } from '../p2p/CardFaces';
+
+// Command zone, graveyard and exile of a player. The graveyard and exile are
+// drop targets whose top card can be dragged out; clicking a commander casts
+// it from the command zone
+const PlayerZones = ({ player, showCommandZone, onCastCommander, onDrop, onDragOver, onDragStart, onCardHover }) => {
+  const renderPile = (zone, label) => {
+    const cards = player[zone] || [];
+    const topCard = cards[cards.length - 1];
+
+    return (
+      <div
+        className="mb-2"
+        onDragOver={onDragOver}
+        onDrop={(e) => onDrop(e, zone)}
+      >
+        <div className="text-xs text-gray-400 mb-1">{label} ({cards.length})</div>
+        <div
+          className="w-16 h-22 rounded overflow-hidden bg-bg-tertiary border border-gray-700"
+          onMouseEnter={() => topCard && onCardHover(topCard)}
+          onMouseLeave={() => onCardHover(null)}
+          draggable={!!topCard}
+          onDragStart={(e) => onDragStart(e, topCard, zone)}
+        >
+          {topCard && (
+            <img
+              src={topCard.image_uris?.normal || CARD_BACK_URLS.normal}
+              alt={topCard.name || 'Card'}
+              className="w-full h-full object-cover"
+            />
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="w-20 mr-2 flex-shrink-0">
+      {showCommandZone && (
+        <div className="mb-2">
+          <div className="text-xs text-gray-400 mb-1">Command</div>
+          {(player.command || []).map(card => {
+            const tax = player.commanderTax?.[getCommanderKey(card)] || 0;
+            return (
+              <div
+                key={card.id}
+                className="relative w-16 h-22 rounded overflow-hidden shadow-lg card-hover cursor-pointer mb-1"
+                title={`Cast ${card.name} (commander tax ${tax})`}
+                onClick={() => onCastCommander(card)}
+                onMouseEnter={() => onCardHover(card)}
+                onMouseLeave={() => onCardHover(null)}
+              >
+                <img
+                  src={card.image_uris?.normal || CARD_BACK_URLS.normal}
+                  alt={card.name || 'Commander'}
+                  className="w-full h-full object-cover"
+                />
+                {tax > 0 && (
+                  <div className="absolute bottom-0 right-0 bg-accent text-white text-xs px-1 rounded-tl">
+                    +{tax}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {renderPile('graveyard', 'Graveyard')}
+      {renderPile('exile', 'Exile')}
+    </div>
+  );
+};
+
+export default PlayerZones;
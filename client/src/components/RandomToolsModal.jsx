@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+
+const DIE_SIDES = [4, 6, 8, 10, 12, 20, 100];
+
+// Dice, coins and random choices. Every result comes from a seed all peers
+// contributed to and shows up in the game log
+const RandomToolsModal = ({ players, userId, onRollDie, onFlipCoin, onRandomChoice, onClose }) => {
+  const [sides, setSides] = useState(20);
+  const [count, setCount] = useState(1);
+  const [optionsText, setOptionsText] = useState('');
+
+  const options = optionsText.split('\n').map(option => option.trim()).filter(Boolean);
+  const opponentNames = players.filter(p => p.id !== userId && !p.lost).map(p => p.name);
+
+  const handleCountChange = (value) => {
+    setCount(Math.min(20, Math.max(1, parseInt(value, 10) || 1)));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-md w-full">
+        <h2 className="text-xl font-bold mb-4">Dice and coins</h2>
+
+        <div className="flex items-center mb-4">
+          <input
+            type="number"
+            min="1"
+            max="20"
+            className="input-field w-16 mr-2 text-sm"
+            value={count}
+            onChange={(e) => handleCountChange(e.target.value)}
+          />
+          <select
+            className="input-field mr-2 text-sm"
+            value={sides}
+            onChange={(e) => setSides(parseInt(e.target.value, 10))}
+          >
+            {DIE_SIDES.map(value => (
+              <option key={value} value={value}>d{value}</option>
+            ))}
+          </select>
+          <button className="btn-primary text-sm mr-2" onClick={() => onRollDie(sides, count)}>
+            Roll
+          </button>
+          <button className="btn-secondary text-sm" onClick={() => onFlipCoin(count)}>
+            Flip {count > 1 ? 'coins' : 'a coin'}
+          </button>
+        </div>
+
+        <h3 className="font-bold mb-2">Random choice</h3>
+        <textarea
+          className="input-field w-full h-24 mb-2 text-sm"
+          placeholder="One option per line"
+          value={optionsText}
+          onChange={(e) => setOptionsText(e.target.value)}
+        />
+        <div className="flex justify-between mb-4">
+          <button
+            className="btn-secondary text-sm"
+            onClick={() => onRandomChoice(opponentNames)}
+            disabled={opponentNames.length < 2}
+          >
+            Random opponent
+          </button>
+          <button
+            className="btn-primary text-sm"
+            onClick={() => onRandomChoice(options)}
+            disabled={options.length < 2 || options.length > 20}
+          >
+            Choose
+          </button>
+        </div>
+
+        <div className="flex justify-end">
+          <button className="btn-secondary text-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RandomToolsModal;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { getCardImage } from '../p2p/CardFaces';
+
+// Choose cards from our hand, or a number of cards from the top of our
+// library, and the players to reveal them to. Revealing to every opponent
+// makes the cards public
+const RevealCardsModal = ({ player, players, onReveal, onClose }) => {
+  const opponents = players.filter(p => p.id !== player.id);
+  const [zone, setZone] = useState('hand');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [topCount, setTopCount] = useState(1);
+  const [recipientIds, setRecipientIds] = useState(opponents.map(p => p.id));
+
+  const toggle = (ids, id) => (ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]);
+
+  const cardIds = zone === 'hand'
+    ? selectedIds
+    : player.library.slice(0, topCount).map(card => card.id);
+
+  const handleReveal = () => {
+    const recipients = recipientIds.length === opponents.length ? null : recipientIds;
+    onReveal(zone, cardIds, recipients);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-2xl w-full">
+        <h2 className="text-xl font-bold mb-4">Reveal Cards</h2>
+
+        <div className="flex space-x-2 mb-4">
+          <button
+            className={`text-sm ${zone === 'hand' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setZone('hand')}
+          >
+            From hand
+          </button>
+          <button
+            className={`text-sm ${zone === 'library' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setZone('library')}
+            disabled={player.library.length === 0}
+          >
+            From top of library
+          </button>
+        </div>
+
+        {zone === 'hand' ? (
+          <>
+            <div className="flex flex-wrap mb-2">
+              {player.hand.map(card => (
+                <div
+                  key={card.id}
+                  className={`w-16 h-22 m-1 rounded overflow-hidden cursor-pointer border-2 ${selectedIds.includes(card.id) ? 'border-accent' : 'border-transparent'}`}
+                  onClick={() => setSelectedIds(ids => toggle(ids, card.id))}
+                >
+                  <img src={getCardImage(card)} alt={card.name} className="w-full h-full object-cover" />
+                </div>
+              ))}
+            </div>
+            <button
+              className="btn-secondary text-sm mb-4"
+              onClick={() => setSelectedIds(player.hand.map(card => card.id))}
+              disabled={player.hand.length === 0}
+            >
+              Select whole hand
+            </button>
+          </>
+        ) : (
+          <label className="flex items-center text-sm mb-4">
+            Top
+            <input
+              type="number"
+              min={1}
+              max={player.library.length}
+              className="input-field w-16 mx-2"
+              value={topCount}
+              onChange={(e) => setTopCount(Math.min(player.library.length, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            />
+            {topCount === 1 ? 'card' : 'cards'}
+          </label>
+        )}
+
+        <div className="form-label">Reveal to</div>
+        <div className="mb-4 text-sm">
+          {opponents.map(opponent => (
+            <label key={opponent.id} className="flex items-center">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={recipientIds.includes(opponent.id)}
+                onChange={() => setRecipientIds(ids => toggle(ids, opponent.id))}
+              />
+              {opponent.name || 'Opponent'}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button className="btn-secondary text-sm" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="btn-primary text-sm"
+            onClick={handleReveal}
+            disabled={cardIds.length === 0 || recipientIds.length === 0}
+          >
+            Reveal
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RevealCardsModal;
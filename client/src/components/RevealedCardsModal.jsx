@@ -0,0 +1,39 @@
+import React from 'react';
+import { getCardImage } from '../p2p/CardFaces';
+
+// Cards another player revealed to us. Cards revealed to us alone arrive
+// separately from the reveal, so they can show up a moment later
+const RevealedCardsModal = ({ reveal, revealerName, cards, onCardHover, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+    <div className="bg-bg-secondary p-6 rounded-lg max-w-2xl w-full">
+      <h2 className="text-xl font-bold mb-4">
+        {revealerName} revealed {reveal.zone === 'hand' ? 'from their hand' : 'from their library'}
+      </h2>
+
+      {cards ? (
+        <div className="flex flex-wrap mb-4">
+          {cards.map(card => (
+            <div
+              key={card.id}
+              className="w-24 h-32 m-1 rounded overflow-hidden"
+              onMouseEnter={() => onCardHover(card)}
+              onMouseLeave={() => onCardHover(null)}
+            >
+              <img src={getCardImage(card)} alt={card.name} className="w-full h-full object-cover" />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm text-gray-400 mb-4">Waiting for the revealed cards...</div>
+      )}
+
+      <div className="flex justify-end">
+        <button className="btn-primary text-sm" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default RevealedCardsModal;
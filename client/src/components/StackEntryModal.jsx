@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+
+// Details for a spell or ability going on the stack: what it does and what
+// it targets. Targets can be any player or permanent on the battlefield
+const StackEntryModal = ({ card, isAbility, players, onSubmit, onCancel }) => {
+  const [description, setDescription] = useState('');
+  const [triggered, setTriggered] = useState(false);
+  const [targetKeys, setTargetKeys] = useState([]);
+
+  const targetOptions = players.flatMap(player => [
+    { key: player.id, playerId: player.id, cardId: null, label: player.name || 'Player' },
+    ...(player.battlefield || []).map(permanent => ({
+      key: `${player.id}:${permanent.id}`,
+      playerId: player.id,
+      cardId: permanent.id,
+      label: `${permanent.name} (${player.name || 'Player'})`
+    }))
+  ]);
+
+  const handleToggleTarget = (key) => {
+    setTargetKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleSubmit = () => {
+    const targets = targetKeys
+      .map(key => targetOptions.find(option => option.key === key))
+      .filter(Boolean)
+      .map(({ playerId, cardId }) => (cardId ? { playerId, cardId } : { playerId }));
+    onSubmit({ description: description.trim(), targets, triggered });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-lg w-full">
+        <h2 className="text-xl font-bold mb-4">
+          {isAbility ? `Ability of ${card.name}` : `Cast ${card.name}`}
+        </h2>
+
+        <label className="form-label" htmlFor="stack-description">
+          {isAbility ? 'What does the ability do?' : 'Notes (modes, X, ...)'}
+        </label>
+        <textarea
+          id="stack-description"
+          className="input-field w-full mb-4"
+          rows={3}
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+
+        {isAbility && (
+          <label className="flex items-center text-sm mb-4">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={triggered}
+              onChange={(e) => setTriggered(e.target.checked)}
+            />
+            Triggered ability
+          </label>
+        )}
+
+        <div className="form-label">Targets</div>
+        <div className="max-h-40 overflow-y-auto mb-4 text-sm">
+          {targetOptions.map(option => (
+            <label key={option.key} className="flex items-center">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={targetKeys.includes(option.key)}
+                onChange={() => handleToggleTarget(option.key)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button className="btn-secondary text-sm" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            className="btn-primary text-sm"
+            onClick={handleSubmit}
+            disabled={isAbility && !description.trim()}
+          >
+            Put on stack
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StackEntryModal;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { CARD_BACK_URLS } from '../p2p/CardFaces';
+
+// The shared stack, top item first. Cards dropped here are cast; the top
+// item can be resolved and any item countered. Players can reorder the
+// triggers they control
+const StackPanel = ({ stack = [], players, userId, onResolve, onCounter, onReorder, onDrop, onDragOver, onCardHover }) => {
+  const items = [...stack].reverse();
+  const ownTriggers = items.filter(item => item.kind === 'trigger' && item.controller === userId);
+
+  const playerName = (playerId) => players.find(p => p.id === playerId)?.name || 'Unknown';
+
+  // Swap one of our triggers with the next of our triggers above or below it
+  const handleMove = (item, offset) => {
+    const order = ownTriggers.map(trigger => trigger.id);
+    const index = order.indexOf(item.id);
+    const targetIndex = index + offset;
+    if (targetIndex < 0 || targetIndex >= order.length) return;
+
+    [order[index], order[targetIndex]] = [order[targetIndex], order[index]];
+    onReorder(order);
+  };
+
+  return (
+    <div
+      className="w-64 max-h-80 overflow-y-auto bg-bg-tertiary bg-opacity-90 rounded-lg p-2 shadow-lg"
+      onDragOver={onDragOver}
+      onDrop={onDrop}
+    >
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm font-bold">Stack ({items.length})</span>
+        {items.length > 0 && (
+          <button className="px-2 py-1 text-xs rounded bg-green-700" onClick={() => onResolve()}>
+            Resolve top
+          </button>
+        )}
+      </div>
+
+      {items.length === 0 && (
+        <div className="text-xs text-text-secondary py-2">
+          Drop a card here to cast it, or a permanent to activate an ability.
+        </div>
+      )}
+
+      {items.map((item, index) => {
+        const image = item.card?.image_uris?.normal || item.source?.image_uris?.normal;
+        const name = item.kind === 'spell' ? item.card.name : `${item.source?.name || 'Ability'}`;
+        const ownTrigger = item.kind === 'trigger' && item.controller === userId;
+
+        return (
+          <div
+            key={item.id}
+            className={`flex items-start p-1 mb-1 rounded ${index === 0 ? 'bg-black bg-opacity-30' : ''}`}
+            onMouseEnter={() => item.card && onCardHover(item.card)}
+            onMouseLeave={() => onCardHover(null)}
+          >
+            <img
+              src={image || CARD_BACK_URLS.normal}
+              alt={name}
+              className="w-10 h-14 rounded object-cover mr-2 flex-shrink-0"
+            />
+            <div className="flex-1 min-w-0 text-xs">
+              <div className="font-bold truncate">
+                {name}
+                {item.kind !== 'spell' && (
+                  <span className="ml-1 text-text-secondary font-normal">
+                    ({item.kind === 'trigger' ? 'trigger' : 'ability'})
+                  </span>
+                )}
+              </div>
+              <div className="text-text-secondary">{playerName(item.controller)}</div>
+              {item.description && <div className="break-words">{item.description}</div>}
+              {item.targets?.length > 0 && (
+                <div className="text-yellow-500">→ {item.targets.map(target => target.name).join(', ')}</div>
+              )}
+              <div className="flex space-x-1 mt-1">
+                <button className="px-1 rounded bg-red-700" onClick={() => onCounter(item.id)}>
+                  Counter
+                </button>
+                {ownTrigger && ownTriggers.length > 1 && (
+                  <>
+                    <button className="px-1 rounded bg-gray-700" onClick={() => handleMove(item, -1)}>↑</button>
+                    <button className="px-1 rounded bg-gray-700" onClick={() => handleMove(item, 1)}>↓</button>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StackPanel;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import ScryfallService from '../p2p/ScryfallService';
+import { COMMON_TOKENS, getRelatedTokens, toTokenData } from '../p2p/Tokens';
+import { getCardImage } from '../p2p/CardFaces';
+
+// Pick a token to create: the tokens cards in the game make, common tokens,
+// or any token found on Scryfall. Every token comes with its Scryfall data
+const TokenPickerModal = ({ cards, onCreate, onClose }) => {
+  const scryfallService = useMemo(() => new ScryfallService(), []);
+  const relatedTokens = useMemo(() => getRelatedTokens(cards), [cards]);
+  const [suggestedTokens, setSuggestedTokens] = useState([]);
+  const [searchResults, setSearchResults] = useState(null);
+  const [query, setQuery] = useState('');
+  const [count, setCount] = useState(1);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // The suggestions only change when a new card comes into view
+  const relatedTokenIds = relatedTokens.map(token => token.id).join(',');
+  useEffect(() => {
+    if (!relatedTokenIds) return;
+
+    let cancelled = false;
+    scryfallService.getTokensByIds(relatedTokenIds.split(','))
+      .then(tokens => {
+        if (!cancelled) setSuggestedTokens(tokens);
+      })
+      .catch(err => {
+        console.error('Error fetching tokens:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [relatedTokenIds, scryfallService]);
+
+  const handleCreate = (card) => {
+    onCreate(toTokenData(card), count);
+  };
+
+  const handleCommonToken = async (token) => {
+    setBusy(true);
+    setError('');
+    try {
+      const card = await scryfallService.findCommonToken(token);
+      if (card) {
+        handleCreate(card);
+      } else {
+        setError(`No ${token.name} token found`);
+      }
+    } catch (err) {
+      console.error('Error fetching token:', err);
+      setError(`Could not fetch the ${token.name} token`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      setSearchResults(await scryfallService.searchTokens(query.trim()));
+    } catch (err) {
+      console.error('Error searching tokens:', err);
+      setError('Token search failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const filteredCommonTokens = COMMON_TOKENS.filter(token =>
+    token.name.toLowerCase().includes(query.trim().toLowerCase())
+  );
+
+  const describeToken = (token) =>
+    token.power !== undefined ? `${token.name} ${token.power}/${token.toughness}` : token.name;
+
+  const renderTokenCards = (tokens) => (
+    <div className="flex flex-wrap mb-4">
+      {tokens.map(token => (
+        <button
+          key={token.id}
+          className="w-16 h-22 m-1 rounded overflow-hidden card-hover"
+          title={`${describeToken(token)} - ${token.type_line}`}
+          onClick={() => handleCreate(token)}
+          disabled={busy}
+        >
+          <img src={getCardImage(token)} alt={token.name} className="w-full h-full object-cover" />
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-2xl w-full max-h-screen overflow-y-auto">
+        <h2 className="text-xl font-bold mb-4">Create Token</h2>
+
+        {suggestedTokens.length > 0 && (
+          <>
+            <div className="form-label">Made by cards in this game</div>
+            {renderTokenCards(suggestedTokens)}
+          </>
+        )}
+
+        <form className="flex items-center mb-2" onSubmit={handleSearch}>
+          <input
+            className="input-field flex-1 mr-2 text-sm"
+            placeholder="Filter common tokens or search Scryfall"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button type="submit" className="btn-secondary text-sm" disabled={busy || !query.trim()}>
+            Search
+          </button>
+        </form>
+
+        {searchResults && (
+          searchResults.length > 0
+            ? renderTokenCards(searchResults)
+            : <div className="text-sm text-gray-400 mb-4">No tokens found</div>
+        )}
+
+        <div className="form-label">Common tokens</div>
+        <div className="flex flex-wrap mb-4">
+          {filteredCommonTokens.map(token => (
+            <button
+              key={`${token.name}-${token.power}`}
+              className="btn-secondary text-sm m-1"
+              onClick={() => handleCommonToken(token)}
+              disabled={busy}
+            >
+              {describeToken(token)}
+            </button>
+          ))}
+        </div>
+
+        {error && <div className="text-red-500 text-sm mb-2">{error}</div>}
+
+        <div className="flex justify-between items-center">
+          <label className="flex items-center text-sm">
+            Number of tokens
+            <input
+              type="number"
+              min={1}
+              className="input-field w-16 ml-2"
+              value={count}
+              onChange={(e) => setCount(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            />
+          </label>
+          <button className="btn-secondary text-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TokenPickerModal;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { TURN_STEPS, DEFAULT_STOPS, MANDATORY_STOP, getStepIndex } from '../p2p/TurnStructure';
+
+// Steps of the current turn, who holds priority, and the player's stop
+// settings. The active player can skip ahead; everyone passes priority here
+const TurnTracker = ({ gameState, players, userId, onPass, onChangePhase, onNextTurn, onSetStops }) => {
+  const [showStops, setShowStops] = useState(false);
+
+  if (gameState.phase === 'mulligan') {
+    return (
+      <span className="px-2 py-1 text-xs text-yellow-500">
+        Waiting for all players to keep their hands
+      </span>
+    );
+  }
+
+  const currentIndex = getStepIndex(gameState.phase);
+  const isActivePlayer = gameState.activePlayer === userId;
+  const priorityPlayer = players.find(p => p.id === gameState.priority?.player);
+  const hasPriority = priorityPlayer?.id === userId;
+  const stops = players.find(p => p.id === userId)?.stops || DEFAULT_STOPS;
+
+  // Add or remove a stop for our own turns ('own') or other players' turns ('others')
+  const handleToggleStop = (turn, stepId) => {
+    const steps = stops[turn].includes(stepId)
+      ? stops[turn].filter(id => id !== stepId)
+      : [...stops[turn], stepId];
+    onSetStops({ ...stops, [turn]: steps });
+  };
+
+  return (
+    <div className="relative flex items-center space-x-1">
+      {TURN_STEPS.map((step, index) => (
+        <button
+          key={step.id}
+          className={`px-2 py-1 text-xs rounded ${gameState.phase === step.id ? 'bg-green-600' : 'bg-gray-700'} ${index < currentIndex ? 'opacity-50' : ''}`}
+          onClick={() => onChangePhase(step.id)}
+          disabled={!isActivePlayer || index <= currentIndex}
+          title={step.name}
+        >
+          {step.shortName}
+        </button>
+      ))}
+
+      <span className={`px-2 text-xs ${hasPriority ? 'text-green-500 font-bold' : 'text-text-secondary'}`}>
+        {hasPriority ? 'Your priority' : `Priority: ${priorityPlayer?.name || '-'}`}
+      </span>
+      <button
+        className="px-2 py-1 text-xs rounded bg-green-700"
+        onClick={onPass}
+        disabled={!hasPriority}
+      >
+        Pass
+      </button>
+      <button
+        className="px-2 py-1 text-xs rounded bg-blue-600"
+        onClick={onNextTurn}
+        disabled={!isActivePlayer}
+      >
+        End Turn
+      </button>
+      <button
+        className="px-2 py-1 text-xs rounded bg-gray-700"
+        onClick={() => setShowStops(!showStops)}
+      >
+        Stops
+      </button>
+
+      {/* Stop Settings */}
+      {showStops && (
+        <div className="absolute top-full right-0 mt-2 bg-bg-tertiary p-3 rounded shadow-lg z-20 text-xs">
+          <p className="text-text-secondary mb-2">
+            Priority is passed for you in steps without a stop.
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th className="text-left pr-4">Step</th>
+                <th className="px-2">Your turn</th>
+                <th className="px-2">Others' turns</th>
+              </tr>
+            </thead>
+            <tbody>
+              {TURN_STEPS.filter(step => step.priority).map(step => (
+                <tr key={step.id}>
+                  <td className="pr-4">{step.name}</td>
+                  <td className="text-center">
+                    <input
+                      type="checkbox"
+                      checked={step.id === MANDATORY_STOP || stops.own.includes(step.id)}
+                      disabled={step.id === MANDATORY_STOP}
+                      onChange={() => handleToggleStop('own', step.id)}
+                    />
+                  </td>
+                  <td className="text-center">
+                    <input
+                      type="checkbox"
+                      checked={stops.others.includes(step.id)}
+                      onChange={() => handleToggleStop('others', step.id)}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TurnTracker;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { getPendingApprovers, describeActionCount } from '../p2p/Undo';
+
+// Asking to undo our last actions, and the pending undo request every player
+// sees until all other players approved it or someone turned it down
+const UndoModal = ({ request, players, userId, maxCount, onRequest, onRespond, onClose }) => {
+  const [count, setCount] = useState(1);
+
+  const getName = (playerId) => players.find(p => p.id === playerId)?.name || 'Player';
+
+  if (!request) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+        <div className="bg-bg-secondary p-6 rounded-lg max-w-sm w-full">
+          <h2 className="text-xl font-bold mb-4">Undo</h2>
+          <label className="flex items-center text-sm mb-2">
+            Undo my last
+            <input
+              type="number"
+              min={1}
+              max={maxCount}
+              className="input-field w-16 mx-2"
+              value={count}
+              onChange={(e) => setCount(Math.min(maxCount, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            />
+            {count === 1 ? 'action' : 'actions'}
+          </label>
+          <p className="text-xs text-gray-400 mb-4">
+            Anything other players did since is undone as well, so they have to approve it.
+          </p>
+          <div className="flex justify-end space-x-2">
+            <button className="btn-secondary text-sm" onClick={onClose}>
+              Cancel
+            </button>
+            <button className="btn-primary text-sm" onClick={() => onRequest(count)}>
+              Undo
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const isRequester = request.playerId === userId;
+  const pendingApprovers = getPendingApprovers({ players }, request);
+  const otherActions = request.actionCount - request.count;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+      <div className="bg-bg-secondary p-6 rounded-lg max-w-sm w-full">
+        <h2 className="text-xl font-bold mb-2">Undo Request</h2>
+        <p className="text-sm mb-1">
+          {isRequester ? 'You want' : `${getName(request.playerId)} wants`} to undo
+          {isRequester ? ' your' : ' their'} last {describeActionCount(request.count)}.
+        </p>
+        {otherActions > 0 && (
+          <p className="text-sm text-yellow-500 mb-1">
+            This also undoes {describeActionCount(otherActions)} of other players.
+          </p>
+        )}
+        <p className="text-xs text-gray-400 mb-4">
+          Waiting for {pendingApprovers.map(getName).join(', ')}
+        </p>
+        <div className="flex justify-end space-x-2">
+          {isRequester && (
+            <button className="btn-secondary text-sm" onClick={() => onRespond(false)}>
+              Withdraw
+            </button>
+          )}
+          {pendingApprovers.includes(userId) && (
+            <>
+              <button className="btn-secondary text-sm" onClick={() => onRespond(false)}>
+                Decline
+              </button>
+              <button className="btn-primary text-sm" onClick={() => onRespond(true)}>
+                Approve
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UndoModal;
@@ -3,8 +3,14 @@ import io from 'socket.io-client';
 import { v4 as uuidv4 } from 'uuid';
 import { useAuth } from './AuthContext';
 import P2PConnectionManager from '../p2p/P2PConnectionManager';
+import SignalingService from '../p2p/SignalingService';
+import GameStorage from '../p2p/GameStorage';
+import { getFormat, getCommanderKey, removeCommanderFromDeck, COMMANDER_TAX_INCREMENT } from '../p2p/Formats';
 import GameStateManager from '../p2p/GameStateManager';
 import ScryfallService from '../p2p/ScryfallService';
+import { generateSecret, shuffleWithSeed } from '../p2p/SharedRandomness';
+import { POISON_LIMIT, normalizePlayerCounterType } from '../p2p/PlayerCounters';
+import { getNextStep } from '../p2p/TurnStructure';
 
 const GameContext = createContext();
 
@@ -20,6 +26,7 @@ export function GameProvider({ children }) {
   const [gameState, setGameState] = useState(null);
   const [players, setPlayers] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
+  const [reconnectingPeers, setReconnectingPeers] = useState([]);
   const [socket, setSocket] = useState(null);
   const [socketConnected, setSocketConnected] = useState(false);
   const [socketInitialized, setSocketInitialized] = useState(false);
@@ -33,6 +40,7 @@ export function GameProvider({ children }) {
   const connectionAttemptsRef = useRef(0);
   const maxConnectionAttempts = 10;
   const connectionTimeoutRef = useRef(null);
+  const reportedGameRef = useRef(null);
 
   // API URL from environment variable
   const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
@@ -58,6 +66,12 @@ export function GameProvider({ children }) {
       `${SOCKET_URL}/api/games/${gameId}/start`,
       `${SOCKET_URL}/api/game/${gameId}/start`
     ],
+    gameFinish: (gameId) => [
+      `${API_URL}/games/${gameId}/finish`,
+      `${API_URL}/game/${gameId}/finish`,
+      `${SOCKET_URL}/api/games/${gameId}/finish`,
+      `${SOCKET_URL}/api/game/${gameId}/finish`
+    ],
     gameInvite: (gameId) => [
       `${API_URL}/games/${gameId}/invite`,
       `${API_URL}/game/${gameId}/invite`,
@@ -436,7 +450,8 @@ export function GameProvider({ children }) {
       if (connectedSocket) {
         // Initialize P2P and game managers for online mode
         console.log('Initializing online game managers');
-        const newP2pManager = new P2PConnectionManager(currentUser.id, connectedSocket);
+        const signaling = new SignalingService(SOCKET_URL, currentUser.id, gameId, { socket: connectedSocket });
+        const newP2pManager = new P2PConnectionManager(currentUser.id, signaling);
         const newGameManager = new GameStateManager(newP2pManager, currentUser.id);
         
         setP2pManager(newP2pManager);
@@ -454,15 +469,33 @@ export function GameProvider({ children }) {
         const removeConnectionListener = newP2pManager.addConnectionListener((event, data) => {
           if (event === 'peer-connected') {
             setIsConnected(true);
+            setReconnectingPeers(prev => prev.filter(id => id !== data));
+          } else if (event === 'peer-reconnecting') {
+            setReconnectingPeers(prev => (prev.includes(data) ? prev : [...prev, data]));
+            setIsConnected(newP2pManager.getConnectedPeers().length > 0);
           } else if (event === 'peer-disconnected') {
             const connectedPeers = newP2pManager.getConnectedPeers();
             setIsConnected(connectedPeers.length > 0);
+            setReconnectingPeers(prev => prev.filter(id => id !== data));
           }
         });
 
+        // Restore the game from before a page refresh, if there is one
+        const storage = new GameStorage();
+        if (storage.isAvailable()) {
+          const restored = await newGameManager.attachStorage(storage, gameId);
+          if (restored) {
+            console.log('Resuming saved game, catching up with peers');
+          }
+        }
+
         // Start state consistency checks
         newGameManager.startStateConsistencyChecks();
 
+        // Join the game room; peer connections to the players already there start from the roster
+        const existingPlayers = await signaling.connect();
+        console.log(`Joined game room with ${existingPlayers.length} other player(s)`);
+
         setLoading(false);
 
         return () => {
@@ -487,11 +520,16 @@ export function GameProvider({ children }) {
             battlefield: [],
             graveyard: [],
             library: [],
-            exile: []
+            exile: [],
+            command: [],
+            commanderTax: {},
+            commanderDamage: {},
+            counters: {}
           }],
           phase: 'main1',
           turn: 1,
-          activePlayer: currentUser.id
+          activePlayer: currentUser.id,
+          log: []
         };
 
         setGameState(offlineGameState);
@@ -532,7 +570,7 @@ export function GameProvider({ children }) {
   }, [currentUser, getAuthHeader, ensureSocketConnection, initializeScryfallService]);
 
   // Create a new game
-  const createGame = async (name, maxPlayers = 4) => {
+  const createGame = async (name, maxPlayers = 4, format = 'standard', mulliganRule = null) => {
     try {
       setLoading(true);
       setError('');
@@ -547,7 +585,9 @@ export function GameProvider({ children }) {
           },
           body: JSON.stringify({
             name,
-            maxPlayers
+            maxPlayers,
+            format,
+            mulliganRule
           })
         }
       );
@@ -605,7 +645,10 @@ export function GameProvider({ children }) {
           isCurrentPlayer: player.id === currentUser.id
         }));
 
-        gameManager.initializeGameState(players);
+        gameManager.initializeGameState(players, {
+          format: data.format,
+          mulliganRule: data.mulliganRule
+        });
       }
 
       setLoading(false);
@@ -636,6 +679,32 @@ export function GameProvider({ children }) {
     }
   };
 
+  // Tell the server how the game ended. Every player reports the result;
+  // the server keeps the first report
+  useEffect(() => {
+    const gameId = gameData?.id;
+    const gameOver = gameState?.gameOver;
+    if (offlineMode || !gameId || !gameOver || reportedGameRef.current === gameId) return;
+
+    reportedGameRef.current = gameId;
+    tryMultipleEndpoints(
+      API_ENDPOINTS.gameFinish(gameId),
+      {
+        method: 'POST',
+        headers: {
+          ...getAuthHeader().headers,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          winnerId: gameOver.winnerId,
+          placements: gameOver.placements
+        })
+      }
+    ).catch(error => {
+      console.error('Failed to report the game result:', error);
+    });
+  }, [gameData?.id, gameState?.gameOver, offlineMode]);
+
   // Import deck
   const importDeck = async (deckText) => {
     try {
@@ -651,6 +720,33 @@ export function GameProvider({ children }) {
     }
   };
 
+  // Change a player counter without a game manager, mirroring the
+  // add-player-counter and remove-player-counter reducers
+  const updateOfflinePlayerCounter = (playerId, counterType, delta) => {
+    const type = normalizePlayerCounterType(counterType);
+    if (!type) return false;
+
+    setPlayers(prevPlayers => prevPlayers.map(player => {
+      if (player.id !== playerId) return player;
+
+      const counters = { ...player.counters };
+      const total = Math.max(0, (counters[type] || 0) + delta);
+      if (total > 0) {
+        counters[type] = total;
+      } else {
+        delete counters[type];
+      }
+
+      const poisoned = type === 'poison' && total >= POISON_LIMIT;
+      return {
+        ...player,
+        counters,
+        lost: player.lost || poisoned
+      };
+    }));
+    return true;
+  };
+
   // Game actions with state updates
   const gameActions = {
     // Draw cards
@@ -696,6 +792,24 @@ export function GameProvider({ children }) {
       return false;
     },
 
+    // Leave the game for good, deleting the copy saved to resume it
+    leaveGame: () => {
+      if (gameManager) {
+        gameManager.deleteSavedGame();
+      }
+    },
+
+    // Concede the game; our permanents leave the game with us
+    concede: (playerId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'concede',
+          payload: { playerId }
+        });
+      }
+      return false;
+    },
+
     // Change game phase
     changePhase: (phase) => {
       if (offlineMode) {
@@ -731,6 +845,246 @@ export function GameProvider({ children }) {
       return false;
     },
 
+    // Pass priority to the next player
+    passPriority: (playerId) => {
+      if (offlineMode) {
+        // Without other players passing simply moves on to the next step
+        setGameState(prevState => {
+          const nextStep = getNextStep(prevState.phase);
+          return nextStep
+            ? { ...prevState, phase: nextStep }
+            : { ...prevState, turn: prevState.turn + 1, phase: 'untap' };
+        });
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'pass-priority',
+          payload: { playerId }
+        });
+      }
+      return false;
+    },
+
+    // Choose the steps to stop in instead of passing priority automatically
+    setStops: (playerId, stops) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'set-stops',
+          payload: { playerId, stops }
+        });
+      }
+      return false;
+    },
+
+    // Put a spell on the stack
+    castSpell: (playerId, cardId, sourceZone = 'hand', description = '', targets = []) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'cast-spell',
+          payload: { playerId, cardId, sourceZone, description, targets }
+        });
+      }
+      return false;
+    },
+
+    // Put an activated or triggered ability on the stack
+    activateAbility: (playerId, sourceCardId, description, targets = [], triggered = false) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'activate-ability',
+          payload: { playerId, sourceCardId, description, targets, triggered }
+        });
+      }
+      return false;
+    },
+
+    // Resolve the top of the stack
+    resolveStack: (destination = null) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'resolve-stack',
+          payload: { destination }
+        });
+      }
+      return false;
+    },
+
+    // Counter a spell or ability on the stack
+    counterSpell: (playerId, stackItemId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'counter-spell',
+          payload: { playerId, stackItemId }
+        });
+      }
+      return false;
+    },
+
+    // Reorder the triggers we control, listed from top to bottom
+    reorderStack: (playerId, order) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'reorder-stack',
+          payload: { playerId, order }
+        });
+      }
+      return false;
+    },
+
+    // Declare which creatures attack which player or planeswalker
+    declareAttackers: (playerId, attackers) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'declare-attackers',
+          payload: { playerId, attackers }
+        });
+      }
+      return false;
+    },
+
+    // Declare which creatures block which attackers
+    declareBlockers: (playerId, blockers) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'declare-blockers',
+          payload: { playerId, blockers }
+        });
+      }
+      return false;
+    },
+
+    // Deal combat damage as assigned (defaults with any manual overrides)
+    assignCombatDamage: (playerId, assignments) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'assign-combat-damage',
+          payload: { playerId, assignments }
+        });
+      }
+      return false;
+    },
+
+    // Mark damage on a permanent, or remove it with a negative amount
+    markDamage: (playerId, cardId, amount) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'mark-damage',
+          payload: { playerId, cardId, amount }
+        });
+      }
+      return false;
+    },
+
+    // Give a permanent a temporary power/toughness change, keywords or a note
+    addModifier: (playerId, cardId, modifier) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'add-modifier',
+          payload: { playerId, cardId, modifier }
+        });
+      }
+      return false;
+    },
+
+    // Remove a temporary effect before it expires
+    removeModifier: (playerId, cardId, modifierId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'remove-modifier',
+          payload: { playerId, cardId, modifierId }
+        });
+      }
+      return false;
+    },
+
+    // Attach an Aura or Equipment to a permanent, or link an exiled card to one
+    attachCard: (playerId, cardId, hostPlayerId, hostCardId, sourceZone = 'battlefield') => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'attach-card',
+          payload: { playerId, cardId, sourceZone, hostPlayerId, hostCardId }
+        });
+      }
+      return false;
+    },
+
+    // Unattach a permanent, or unlink an exiled card
+    detachCard: (playerId, cardId, sourceZone = 'battlefield') => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'detach-card',
+          payload: { playerId, cardId, sourceZone }
+        });
+      }
+      return false;
+    },
+
+    // Move one of our permanents to a grid position on our battlefield
+    repositionCard: (playerId, cardId, x, y) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'reposition-card',
+          payload: { playerId, cardId, x, y }
+        });
+      }
+      return false;
+    },
+
+    // Stack identical tokens together
+    groupCards: (playerId, cardIds) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'group-cards',
+          payload: { playerId, cardIds }
+        });
+      }
+      return false;
+    },
+
+    // Split a stack of tokens
+    ungroupCards: (playerId, group) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'ungroup-cards',
+          payload: { playerId, group }
+        });
+      }
+      return false;
+    },
+
+    // Turn a double-faced permanent over
+    flipCard: (playerId, cardId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'flip-card',
+          payload: { playerId, cardId }
+        });
+      }
+      return false;
+    },
+
+    // Turn a permanent face down, or put a card from hand or library onto the battlefield face down
+    turnFaceDown: (playerId, cardId, sourceZone = 'battlefield') => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'turn-face-down',
+          payload: { playerId, cardId, sourceZone }
+        });
+      }
+      return false;
+    },
+
+    // Turn a face-down permanent face up
+    turnFaceUp: (playerId, cardId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'turn-face-up',
+          payload: { playerId, cardId }
+        });
+      }
+      return false;
+    },
+
     // Play a card from hand to battlefield
     playCard: (playerId, cardId, targetZone = 'battlefield') => {
       if (offlineMode) {
@@ -768,8 +1122,8 @@ export function GameProvider({ children }) {
       return false;
     },
 
-    // Move a card between zones
-    moveCard: (playerId, cardId, sourceZone, targetZone) => {
+    // Move a card between zones, or onto another player's battlefield
+    moveCard: (playerId, cardId, sourceZone, targetZone, targetPlayerId = playerId) => {
       if (offlineMode) {
         setPlayers(prevPlayers => {
           const updatedPlayers = [...prevPlayers];
@@ -795,7 +1149,7 @@ export function GameProvider({ children }) {
       } else if (gameManager) {
         return gameManager.applyAction({
           type: 'move-card',
-          payload: { playerId, cardId, sourceZone, targetZone }
+          payload: { playerId, cardId, sourceZone, targetZone, targetPlayerId }
         });
       }
       return false;
@@ -886,6 +1240,485 @@ export function GameProvider({ children }) {
         });
       }
       return false;
+    },
+
+    // Ask to undo our last actions; the other players have to approve
+    requestUndo: (playerId, count = 1) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'undo-request',
+          payload: { playerId, count }
+        });
+      }
+      return false;
+    },
+
+    // Approve or decline an undo request, or withdraw our own
+    respondToUndo: (playerId, requestId, approve) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'undo-response',
+          payload: { playerId, requestId, approve }
+        });
+      }
+      return false;
+    },
+
+    // Redo what we last undid, when playing alone
+    redo: (playerId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'redo',
+          payload: { playerId }
+        });
+      }
+      return false;
+    },
+
+    // Number of our committed actions that can still be undone
+    getUndoableActionCount: (playerId) => {
+      return gameManager ? gameManager.getUndoableActions(playerId).length : 0;
+    },
+
+    // Whether what we last undid can be redone
+    canRedo: (playerId) => {
+      return gameManager ? gameManager.canRedo(playerId) : false;
+    },
+
+    // Reveal cards from our hand or library to everyone, or only to some players
+    revealCards: (playerId, zone, cardIds, recipients = null) => {
+      if (gameManager) {
+        return gameManager.revealCards(playerId, zone, cardIds, recipients);
+      }
+      return false;
+    },
+
+    // Reveal our whole hand
+    revealHand: (playerId, recipients = null) => {
+      if (gameManager) {
+        const hand = gameManager.getCurrentPlayerState()?.hand || [];
+        return gameManager.revealCards(playerId, 'hand', hand.map(card => card.id), recipients);
+      }
+      return false;
+    },
+
+    // Cards of a reveal, or null when they weren't revealed to us (or haven't arrived yet)
+    getRevealedCards: (reveal) => {
+      return gameManager ? gameManager.getRevealedCards(reveal) : null;
+    },
+
+    // Create a token copy of a card on any player's battlefield or public zone
+    copyCard: (playerId, sourcePlayerId, cardId, sourceZone = 'battlefield') => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'copy-card',
+          payload: { playerId, sourcePlayerId, cardId, sourceZone }
+        });
+      }
+      return false;
+    },
+
+    // Give another player control of a permanent
+    changeControl: (playerId, cardId, newControllerId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'change-control',
+          payload: { playerId, cardId, newControllerId }
+        });
+      }
+      return false;
+    },
+
+    // Swap the controllers of two permanents
+    exchangeControl: (playerId, cardId, otherPlayerId, otherCardId) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'exchange-control',
+          payload: { playerId, cardId, otherPlayerId, otherCardId }
+        });
+      }
+      return false;
+    },
+
+    // Tap a permanent
+    tapCard: (playerId, cardId) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => {
+          const updatedPlayers = [...prevPlayers];
+          const playerIndex = updatedPlayers.findIndex(p => p.id === playerId);
+
+          if (playerIndex !== -1) {
+            const player = {...updatedPlayers[playerIndex]};
+            player.battlefield = player.battlefield.map(c =>
+              c.id === cardId ? { ...c, tapped: true } : c
+            );
+            updatedPlayers[playerIndex] = player;
+          }
+
+          return updatedPlayers;
+        });
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'tap-card',
+          payload: { playerId, cardId }
+        });
+      }
+      return false;
+    },
+
+    // Untap a permanent
+    untapCard: (playerId, cardId) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => {
+          const updatedPlayers = [...prevPlayers];
+          const playerIndex = updatedPlayers.findIndex(p => p.id === playerId);
+
+          if (playerIndex !== -1) {
+            const player = {...updatedPlayers[playerIndex]};
+            player.battlefield = player.battlefield.map(c =>
+              c.id === cardId ? { ...c, tapped: false } : c
+            );
+            updatedPlayers[playerIndex] = player;
+          }
+
+          return updatedPlayers;
+        });
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'untap-card',
+          payload: { playerId, cardId }
+        });
+      }
+      return false;
+    },
+
+    // Untap all of a player's permanents
+    untapAll: (playerId) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => {
+          const updatedPlayers = [...prevPlayers];
+          const playerIndex = updatedPlayers.findIndex(p => p.id === playerId);
+
+          if (playerIndex !== -1) {
+            const player = {...updatedPlayers[playerIndex]};
+            player.battlefield = player.battlefield.map(c => ({ ...c, tapped: false }));
+            updatedPlayers[playerIndex] = player;
+          }
+
+          return updatedPlayers;
+        });
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'untap-all',
+          payload: { playerId }
+        });
+      }
+      return false;
+    },
+
+    // Mark a permanent as not untapping during the untap step
+    setDoesNotUntap: (playerId, cardId, doesNotUntap = true) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => {
+          const updatedPlayers = [...prevPlayers];
+          const playerIndex = updatedPlayers.findIndex(p => p.id === playerId);
+
+          if (playerIndex !== -1) {
+            const player = {...updatedPlayers[playerIndex]};
+            player.battlefield = player.battlefield.map(c =>
+              c.id === cardId ? { ...c, doesNotUntap } : c
+            );
+            updatedPlayers[playerIndex] = player;
+          }
+
+          return updatedPlayers;
+        });
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'set-does-not-untap',
+          payload: { playerId, cardId, doesNotUntap }
+        });
+      }
+      return false;
+    },
+
+    // Scry, surveil or look at the top cards of a library and place them
+    lookAtLibrary: (playerId, mode, placements) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => {
+          const updatedPlayers = [...prevPlayers];
+          const playerIndex = updatedPlayers.findIndex(p => p.id === playerId);
+
+          if (playerIndex !== -1) {
+            const player = {...updatedPlayers[playerIndex]};
+            const topCards = player.library.slice(0, placements.length);
+            const placed = { top: [], bottom: [], graveyard: [], hand: [] };
+
+            placements.forEach(({ cardId, destination }) => {
+              const cardIndex = topCards.findIndex(c => c.id === cardId);
+              if (cardIndex !== -1 && placed[destination]) {
+                placed[destination].push(topCards.splice(cardIndex, 1)[0]);
+              }
+            });
+
+            player.library = [
+              ...placed.top,
+              ...topCards,
+              ...player.library.slice(placements.length),
+              ...placed.bottom
+            ];
+            player.graveyard = [...player.graveyard, ...placed.graveyard];
+            player.hand = [...player.hand, ...placed.hand];
+            updatedPlayers[playerIndex] = player;
+          }
+
+          return updatedPlayers;
+        });
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'look-at-library',
+          payload: { playerId, mode, placements }
+        });
+      }
+      return false;
+    },
+
+    // Search a library, move the chosen cards and shuffle it afterwards if asked to
+    searchLibrary: async (playerId, selections, shuffle = true) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => prevPlayers.map(player => {
+          if (player.id !== playerId) return player;
+
+          const updatedPlayer = { ...player };
+          const taken = selections
+            .map(({ cardId, destination }) => ({ card: player.library.find(c => c.id === cardId), destination }))
+            .filter(({ card }) => card);
+          const library = player.library.filter(card => !taken.some(t => t.card.id === card.id));
+          const cardsTo = (destination) => taken.filter(t => t.destination === destination).map(t => t.card);
+
+          updatedPlayer.library = [...cardsTo('top'), ...(shuffle ? shuffleWithSeed(library, generateSecret()) : library)];
+          updatedPlayer.hand = [...player.hand, ...cardsTo('hand')];
+          updatedPlayer.battlefield = [...player.battlefield, ...cardsTo('battlefield')];
+          updatedPlayer.graveyard = [...player.graveyard, ...cardsTo('graveyard')];
+          return updatedPlayer;
+        }));
+        return true;
+      } else if (gameManager) {
+        try {
+          return await gameManager.searchLibrary(playerId, selections, shuffle);
+        } catch (err) {
+          console.error('Error searching library:', err);
+          return false;
+        }
+      }
+      return false;
+    },
+
+    // Load our deck into our library without revealing its contents to peers
+    loadDeck: (playerId, cards, commander = null) => {
+      // The commander starts in the command zone instead of the library
+      const deckCards = removeCommanderFromDeck(cards, commander);
+
+      if (offlineMode) {
+        const library = shuffleWithSeed(deckCards, generateSecret());
+        const command = commander
+          ? [{ ...commander, id: uuidv4(), scryfallId: commander.scryfallId || commander.id, isCommander: true }]
+          : [];
+        setPlayers(prevPlayers => prevPlayers.map(player =>
+          player.id === playerId
+            ? { ...player, library, command, commander: commander || player.commander }
+            : player
+        ));
+        return true;
+      } else if (gameManager) {
+        const loaded = gameManager.applyAction({
+          type: 'load-deck',
+          payload: { playerId, count: deckCards.length, commander },
+          privatePayload: { cards: deckCards }
+        });
+
+        // Opening shuffle, seeded by every connected peer, and opening hand
+        if (loaded) {
+          gameManager.shuffleAndDrawOpeningHand(playerId).catch(err => {
+            console.error('Error shuffling library:', err);
+          });
+        }
+        return loaded;
+      }
+      return false;
+    },
+
+    // Cast a commander from the command zone onto the stack, paying commander tax
+    castCommander: (playerId, cardId, description = '', targets = []) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => prevPlayers.map(player => {
+          const commander = player.id === playerId && player.command?.find(c => c.id === cardId);
+          if (!commander) return player;
+
+          const key = getCommanderKey(commander);
+          return {
+            ...player,
+            command: player.command.filter(c => c.id !== cardId),
+            battlefield: [...player.battlefield, commander],
+            commanderTax: {
+              ...player.commanderTax,
+              [key]: (player.commanderTax?.[key] || 0) + COMMANDER_TAX_INCREMENT
+            }
+          };
+        }));
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'cast-commander',
+          payload: { playerId, cardId, description, targets }
+        });
+      }
+      return false;
+    },
+
+    // Record combat damage taken from an opponent's commander
+    commanderDamage: (playerId, sourcePlayerId, commanderKey, amount) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => prevPlayers.map(player => {
+          if (player.id !== playerId) return player;
+
+          const damageFromSource = player.commanderDamage?.[sourcePlayerId] || {};
+          const previous = damageFromSource[commanderKey] || 0;
+          const total = Math.max(0, previous + amount);
+          const lost = total >= getFormat('commander').commanderDamageLimit;
+
+          return {
+            ...player,
+            life: player.life - (total - previous),
+            commanderDamage: {
+              ...player.commanderDamage,
+              [sourcePlayerId]: { ...damageFromSource, [commanderKey]: total }
+            },
+            lost: player.lost || lost
+          };
+        }));
+        return true;
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'commander-damage',
+          payload: { playerId, sourcePlayerId, commanderKey, amount }
+        });
+      }
+      return false;
+    },
+
+    // Add counters to a player (poison, energy, experience, rad, tickets or a custom name)
+    addPlayerCounter: (playerId, counterType, count = 1) => {
+      if (offlineMode) {
+        return updateOfflinePlayerCounter(playerId, counterType, count);
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'add-player-counter',
+          payload: { playerId, counterType, count }
+        });
+      }
+      return false;
+    },
+
+    // Remove counters from a player
+    removePlayerCounter: (playerId, counterType, count = 1) => {
+      if (offlineMode) {
+        return updateOfflinePlayerCounter(playerId, counterType, -count);
+      } else if (gameManager) {
+        return gameManager.applyAction({
+          type: 'remove-player-counter',
+          payload: { playerId, counterType, count }
+        });
+      }
+      return false;
+    },
+
+    // Take a mulligan during the mulligan phase
+    mulligan: async (playerId) => {
+      if (gameManager) {
+        try {
+          return await gameManager.mulligan(playerId);
+        } catch (err) {
+          console.error('Error taking mulligan:', err);
+          return false;
+        }
+      }
+      return false;
+    },
+
+    // Keep the current hand, putting the chosen cards on the bottom of the library
+    keepHand: (playerId, bottomCardIds = []) => {
+      if (gameManager) {
+        return gameManager.applyAction({
+          type: 'keep-hand',
+          payload: { playerId, bottomCardIds }
+        });
+      }
+      return false;
+    },
+
+    // Shuffle a library with randomness agreed on by all peers
+    shuffleLibrary: async (playerId) => {
+      if (offlineMode) {
+        setPlayers(prevPlayers => prevPlayers.map(player =>
+          player.id === playerId
+            ? { ...player, library: shuffleWithSeed(player.library, generateSecret()) }
+            : player
+        ));
+        return true;
+      } else if (gameManager) {
+        try {
+          return await gameManager.shuffleLibrary(playerId);
+        } catch (err) {
+          console.error('Error shuffling library:', err);
+          return false;
+        }
+      }
+      return false;
+    },
+
+    // Roll dice with randomness agreed on by all peers; the result goes to the log
+    rollDie: async (playerId, sides = 20, count = 1) => {
+      if (gameManager) {
+        try {
+          return await gameManager.rollDie(playerId, sides, count);
+        } catch (err) {
+          console.error('Error rolling die:', err);
+          return false;
+        }
+      }
+      return false;
+    },
+
+    // Flip coins with randomness agreed on by all peers
+    flipCoin: async (playerId, count = 1) => {
+      if (gameManager) {
+        try {
+          return await gameManager.flipCoin(playerId, count);
+        } catch (err) {
+          console.error('Error flipping coin:', err);
+          return false;
+        }
+      }
+      return false;
+    },
+
+    // Pick one of the options with randomness agreed on by all peers
+    randomChoice: async (playerId, options) => {
+      if (gameManager) {
+        try {
+          return await gameManager.randomChoice(playerId, options);
+        } catch (err) {
+          console.error('Error making random choice:', err);
+          return false;
+        }
+      }
+      return false;
     }
   };
 
@@ -896,6 +1729,7 @@ export function GameProvider({ children }) {
     players,
     currentPlayer: players.find(p => p.id === currentUser?.id),
     isConnected,
+    reconnectingPeers,
     socketConnected,
     socketInitialized,
     offlineMode,
@@ -914,6 +1748,7 @@ export function GameProvider({ children }) {
     players,
     currentUser,
     isConnected,
+    reconnectingPeers,
     socketConnected,
     socketInitialized,
     offlineMode,
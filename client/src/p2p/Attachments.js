@@ -0,0 +1,43 @@
+// Attachments.js
+// Links between cards: Auras and Equipment attached to a permanent
+// (card.attachedTo) and cards exiled with a permanent (card.exiledWith). Both
+// are { playerId, cardId } references to the host on its controller's
+// battlefield, which can belong to another player
+
+// Auras are put into the graveyard when their host leaves the battlefield;
+// Equipment and other attachments stay on the battlefield unattached
+export const isAura = (card) => /\bAura\b/.test(card.type_line || '');
+
+// Whether a link points at the given permanent
+export const isLinkedTo = (link, playerId, cardId) =>
+  !!link && link.playerId === playerId && link.cardId === cardId;
+
+// Cards attached to a permanent, from every player's battlefield
+export const getAttachments = (players, playerId, cardId) =>
+  players.flatMap(player => (player.battlefield || [])
+    .filter(card => isLinkedTo(card.attachedTo, playerId, cardId))
+    .map(card => ({ card, playerId: player.id }))
+  );
+
+// Cards exiled with a permanent, from every player's exile
+export const getExiledWith = (players, playerId, cardId) =>
+  players.flatMap(player => (player.exile || [])
+    .filter(card => isLinkedTo(card.exiledWith, playerId, cardId))
+    .map(card => ({ card, playerId: player.id }))
+  );
+
+// Whether a permanent is attached to another permanent that is still on the
+// battlefield; such cards are drawn under their host
+export const isAttachedToPermanent = (players, card) => {
+  if (!card.attachedTo) return false;
+  const host = players.find(p => p.id === card.attachedTo.playerId);
+  return !!host && (host.battlefield || []).some(c => c.id === card.attachedTo.cardId);
+};
+
+export default {
+  isAura,
+  isLinkedTo,
+  getAttachments,
+  getExiledWith,
+  isAttachedToPermanent
+};
@@ -0,0 +1,56 @@
+// BattlefieldLayout.js
+// Where permanents sit on a player's battlefield. Positions are stored in grid
+// cells, so every player sees the same arrangement whatever the size of the
+// board they draw it on. A card is four cells wide
+
+import { isCreature } from './Combat';
+import { getCardFace } from './CardFaces';
+
+export const GRID_COLUMNS = 120;
+export const GRID_ROWS = 24;
+
+// Space a card takes up when it is placed automatically, with room to tap it
+export const CARD_SLOT = { columns: 6, rows: 6 };
+
+// Top row of each band permanents are placed in when they enter the
+// battlefield: creatures at the front, lands at the back, everything else between
+const getPlacementRow = (card) => {
+  if (/\bLand\b/.test(getCardFace(card).type_line || '')) return CARD_SLOT.rows * 2;
+  if (isCreature(card)) return 0;
+  return CARD_SLOT.rows;
+};
+
+// Keep a position on the grid
+export const clampPosition = (x, y) => ({
+  x: Math.min(Math.max(0, x), GRID_COLUMNS - 1),
+  y: Math.min(Math.max(0, y), GRID_ROWS - 1)
+});
+
+// First free slot in the card's band, left to right. Only permanents that
+// aren't attached to another one take up room
+export const findFreePosition = (battlefield, card) => {
+  const y = getPlacementRow(card);
+  const taken = battlefield.filter(other =>
+    other !== card && other.position && !other.attachedTo && other.position.y === y
+  );
+
+  let x = 0;
+  while (x < GRID_COLUMNS - CARD_SLOT.columns &&
+         taken.some(other => Math.abs(other.position.x - x) < CARD_SLOT.columns)) {
+    x += CARD_SLOT.columns;
+  }
+  return { x, y };
+};
+
+// Tokens that are interchangeable and can share a stack
+export const getTokenKey = (card) =>
+  card.isToken ? [card.name, card.power, card.toughness, card.type_line].join('|') : null;
+
+export default {
+  GRID_COLUMNS,
+  GRID_ROWS,
+  CARD_SLOT,
+  clampPosition,
+  findFreePosition,
+  getTokenKey
+};
@@ -0,0 +1,64 @@
+// CardFaces.js
+// Which face of a card is showing: the front or back of a transforming or
+// modal double-faced card, or no face at all for a face-down permanent. Only
+// the controller of a face-down permanent keeps the real card (card.hiddenCard)
+
+export const CARD_BACK_URLS = {
+  normal: 'https://c1.scryfall.com/file/scryfall-card-backs/normal/59/597b79b3-7d77-4261-871a-60dd17403388.jpg',
+  large: 'https://c1.scryfall.com/file/scryfall-card-backs/large/59/597b79b3-7d77-4261-871a-60dd17403388.jpg'
+};
+
+// What every player sees of a face-down permanent
+export const FACE_DOWN_CARD = {
+  name: 'Face-down card',
+  type_line: 'Creature',
+  power: '2',
+  toughness: '2',
+  colors: []
+};
+
+// State a permanent has on the battlefield, as opposed to the card itself
+export const PERMANENT_STATE_FIELDS = [
+  'tapped', 'doesNotUntap', 'counters', 'damage', 'modifiers', 'attachedTo', 'position', 'group', 'controller'
+];
+
+// Split a permanent into the card and its battlefield state
+export const splitPermanent = (card) => {
+  const identity = { ...card };
+  const permanentState = {};
+  PERMANENT_STATE_FIELDS.forEach(field => {
+    if (field in identity) {
+      permanentState[field] = identity[field];
+      delete identity[field];
+    }
+  });
+  return { identity, permanentState };
+};
+
+// Cards with a separate image for each face can be turned over. Split and
+// adventure cards also have faces, but share a single image
+export const isDoubleFaced = (card) =>
+  (card.card_faces?.length || 0) > 1 && card.card_faces.every(face => face.image_uris);
+
+// Characteristics of the face that is showing
+export const getCardFace = (card) => {
+  if (card.faceDown) return { ...card, ...FACE_DOWN_CARD, oracle_text: '' };
+  if (!isDoubleFaced(card)) return card;
+  return { ...card, ...card.card_faces[card.faceIndex || 0] };
+};
+
+// Image of the face that is showing, or the card back
+export const getCardImage = (card, size = 'normal') => {
+  if (card.faceDown || card.hidden) return CARD_BACK_URLS[size];
+  return getCardFace(card).image_uris?.[size] || CARD_BACK_URLS[size];
+};
+
+export default {
+  CARD_BACK_URLS,
+  FACE_DOWN_CARD,
+  PERMANENT_STATE_FIELDS,
+  splitPermanent,
+  isDoubleFaced,
+  getCardFace,
+  getCardImage
+};
@@ -0,0 +1,132 @@
+// Combat.js
+// Power and toughness of permanents and the default combat damage assignment
+// used by the combat assistant. Every number it computes can be overridden by
+// the players before damage is dealt
+
+import { getModifierDeltas, grantsKeyword } from './Modifiers';
+import { getCardFace } from './CardFaces';
+
+// Card types come from the cached Scryfall type line of the face that is
+// showing. Tokens without one are treated as creatures
+export const isCreature = (card) => {
+  const typeLine = getCardFace(card).type_line;
+  return !typeLine || /\bCreature\b/.test(typeLine);
+};
+
+export const isPlaneswalker = (card) => /\bPlaneswalker\b/.test(getCardFace(card).type_line || '');
+
+// Whether a card has a keyword ability, printed or granted by a modifier.
+// Printed keywords sit on their own line of the oracle text, separated by
+// commas ("Flying, trample")
+export const hasKeyword = (card, keyword) =>
+  grantsKeyword(card, keyword) ||
+  (getCardFace(card).oracle_text || '').split('\n').some(line =>
+    line.split(',').some(word => word.trim().toLowerCase() === keyword)
+  );
+
+// Printed power and toughness can be "*" or "1+*"; count only the fixed part
+const parseStat = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? 0 : number;
+};
+
+// Net +1/+1 counters on a permanent
+const getCounterBonus = (card) =>
+  (card.counters?.['+1/+1'] || 0) - (card.counters?.['-1/-1'] || 0);
+
+// Power and toughness including counters and modifiers
+export const getPower = (card) =>
+  parseStat(getCardFace(card).power) + getCounterBonus(card) + getModifierDeltas(card).power;
+
+export const getToughness = (card) =>
+  parseStat(getCardFace(card).toughness) + getCounterBonus(card) + getModifierDeltas(card).toughness;
+
+// Loyalty of a planeswalker: its loyalty counters, or the printed loyalty
+// before any were put on it
+export const getLoyalty = (card) => card.counters?.loyalty ?? parseStat(getCardFace(card).loyalty);
+
+// Find a permanent on a player's battlefield
+export const findPermanent = (state, playerId, cardId) =>
+  state.players.find(p => p.id === playerId)?.battlefield.find(c => c.id === cardId) || null;
+
+// The combat decision a player has to make in the current step: 'attackers',
+// 'blockers', 'damage' or null
+export const getCombatDecision = (state, playerId) => {
+  const combat = state.combat;
+  const isActive = playerId === state.activePlayer;
+
+  if (state.phase === 'declare-attackers') {
+    return isActive && !combat ? 'attackers' : null;
+  }
+  if (state.phase === 'declare-blockers' && combat) {
+    const isDefending = combat.attackers.some(attacker => attacker.defendingPlayerId === playerId);
+    return isDefending && !combat.blockersDeclared.includes(playerId) ? 'blockers' : null;
+  }
+  if (state.phase === 'combat-damage' && combat) {
+    return isActive && combat.attackers.length > 0 && !combat.damageDealt ? 'damage' : null;
+  }
+  return null;
+};
+
+// Damage every creature in combat deals by default. An unblocked attacker
+// hits the player or planeswalker it attacks; a blocked one assigns lethal
+// damage to each blocker in order, the rest to the last blocker or, with
+// trample, to what it attacks. Blockers deal their power to the attacker.
+// Returns [{ sourceId, sourcePlayerId, targetPlayerId, targetCardId, amount }]
+export const getDefaultDamageAssignments = (state) => {
+  const combat = state.combat;
+  if (!combat) return [];
+
+  const assignments = [];
+  const assign = (source, sourcePlayerId, targetPlayerId, targetCardId, amount) => {
+    if (amount > 0) {
+      assignments.push({ sourceId: source.id, sourcePlayerId, targetPlayerId, targetCardId, amount });
+    }
+  };
+
+  combat.attackers.forEach(attacker => {
+    const card = findPermanent(state, attacker.playerId, attacker.cardId);
+    if (!card) return;
+
+    const blockers = combat.blockers
+      .filter(blocker => blocker.attackerId === attacker.cardId)
+      .map(blocker => ({ ...blocker, card: findPermanent(state, blocker.playerId, blocker.cardId) }))
+      .filter(blocker => blocker.card);
+
+    let remaining = getPower(card);
+
+    if (!attacker.blocked) {
+      assign(card, attacker.playerId, attacker.defendingPlayerId, attacker.planeswalkerId, remaining);
+      return;
+    }
+
+    const trample = hasKeyword(card, 'trample');
+    blockers.forEach((blocker, index) => {
+      const lethal = Math.max(0, getToughness(blocker.card) - (blocker.card.damage || 0));
+      const isLast = index === blockers.length - 1;
+      const amount = isLast && !trample ? remaining : Math.min(remaining, lethal);
+      assign(card, attacker.playerId, blocker.playerId, blocker.cardId, amount);
+      remaining -= amount;
+
+      assign(blocker.card, blocker.playerId, attacker.playerId, attacker.cardId, getPower(blocker.card));
+    });
+
+    if (trample) {
+      assign(card, attacker.playerId, attacker.defendingPlayerId, attacker.planeswalkerId, remaining);
+    }
+  });
+
+  return assignments;
+};
+
+export default {
+  isCreature,
+  isPlaneswalker,
+  hasKeyword,
+  getPower,
+  getToughness,
+  getLoyalty,
+  findPermanent,
+  getCombatDecision,
+  getDefaultDamageAssignments
+};
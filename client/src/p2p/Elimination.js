@@ -0,0 +1,40 @@
+// Elimination.js
+// Players losing the game. A player who loses leaves the game with everything
+// they own, and the game is over once at most one player is left in it
+
+// How a player lost, as shown in the log
+export const LOSS_MESSAGES = {
+  life: 'lost the game at 0 life',
+  poison: 'lost to poison',
+  'commander-damage': 'lost to commander damage',
+  'empty-library': 'lost by drawing from an empty library',
+  concede: 'conceded'
+};
+
+// Players still in the game
+export const getPlayersInGame = (state) => state.players.filter(player => !player.lost);
+
+// A game of several players ends with one player left; a solo game ends when
+// its player loses
+export const isGameOver = (state) =>
+  getPlayersInGame(state).length <= (state.players.length > 1 ? 1 : 0);
+
+// Player ids from first to last place: whoever is left, then the players who
+// lost, the last one to lose first
+export const getPlacements = (state) => [
+  ...getPlayersInGame(state).map(player => player.id),
+  ...[...(state.eliminated || [])].reverse()
+];
+
+export const describePlacement = (place) => {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[place] || 'th';
+  return `${place}${suffix}`;
+};
+
+export default {
+  LOSS_MESSAGES,
+  getPlayersInGame,
+  isGameOver,
+  getPlacements,
+  describePlacement
+};
@@ -0,0 +1,102 @@
+// Formats.js
+// Format configuration for games: starting life, mulligan rules and the commander rules
+
+export const FORMATS = {
+  standard: {
+    id: 'standard',
+    name: 'Standard',
+    startingLife: 20,
+    commander: false
+  },
+  commander: {
+    id: 'commander',
+    name: 'Commander',
+    startingLife: 40,
+    commander: true,
+    commanderDamageLimit: 21 // Combat damage from a single commander that makes a player lose
+  }
+};
+
+export const DEFAULT_FORMAT = 'standard';
+
+// Additional mana a commander costs for each previous cast from the command zone
+export const COMMANDER_TAX_INCREMENT = 2;
+
+export const OPENING_HAND_SIZE = 7;
+
+// Mulligan rule variants. London draws a full hand and puts one card on the
+// bottom per mulligan; Vancouver draws one card fewer per mulligan and scries 1
+// after keeping a smaller hand. freeMulligans are mulligans that cost nothing
+export const MULLIGAN_RULES = {
+  london: {
+    id: 'london',
+    name: 'London',
+    drawsFewer: false,
+    freeMulligans: 0
+  },
+  'free-first': {
+    id: 'free-first',
+    name: 'London, free first mulligan',
+    drawsFewer: false,
+    freeMulligans: 1
+  },
+  vancouver: {
+    id: 'vancouver',
+    name: 'Vancouver',
+    drawsFewer: true,
+    freeMulligans: 0
+  }
+};
+
+// Look up a format, falling back to the default for unknown ids
+export const getFormat = (formatId) => FORMATS[formatId] || FORMATS[DEFAULT_FORMAT];
+
+// Pick the mulligan rule for a game. Multiplayer games get a free first
+// mulligan unless another rule was configured
+export const getMulliganRule = (ruleId, playerCount = 2) =>
+  MULLIGAN_RULES[ruleId] || MULLIGAN_RULES[playerCount > 2 ? 'free-first' : 'london'];
+
+// Mulligans taken that have to be paid for with a card
+const paidMulligans = (rule, mulliganCount) => Math.max(0, mulliganCount - rule.freeMulligans);
+
+// Number of cards to draw after mulliganing mulliganCount times
+export const getOpeningHandSize = (rule, mulliganCount) =>
+  rule.drawsFewer
+    ? Math.max(0, OPENING_HAND_SIZE - paidMulligans(rule, mulliganCount))
+    : OPENING_HAND_SIZE;
+
+// Number of cards to put on the bottom of the library when keeping
+export const getMulliganBottomCount = (rule, mulliganCount) =>
+  rule.drawsFewer ? 0 : paidMulligans(rule, mulliganCount);
+
+// Key commander tax and damage by the card's Scryfall id, which survives zone
+// changes that give the card a new instance id. Cards straight from a deck
+// list still use their Scryfall id as id
+export const getCommanderKey = (card) => card.scryfallId || card.id;
+
+// Take one copy of the commander out of a deck list, since it starts in the
+// command zone instead of the library
+export const removeCommanderFromDeck = (cards, commander) => {
+  if (!commander) return cards;
+
+  const index = cards.findIndex(card =>
+    card.id === commander.id || card.name === commander.name
+  );
+  if (index === -1) return cards;
+
+  return [...cards.slice(0, index), ...cards.slice(index + 1)];
+};
+
+export default {
+  FORMATS,
+  DEFAULT_FORMAT,
+  COMMANDER_TAX_INCREMENT,
+  OPENING_HAND_SIZE,
+  MULLIGAN_RULES,
+  getFormat,
+  getMulliganRule,
+  getOpeningHandSize,
+  getMulliganBottomCount,
+  getCommanderKey,
+  removeCommanderFromDeck
+};
@@ -1,17 +1,67 @@
 // GameActions.js
 // Provides action creators for game state modifications
 
+import { removeCommanderFromDeck } from './Formats';
+
 // Action types
 export const ActionTypes = {
   DRAW_CARD: 'draw-card',
   PLAY_CARD: 'play-card',
   MOVE_CARD: 'move-card',
+  CHANGE_CONTROL: 'change-control',
+  EXCHANGE_CONTROL: 'exchange-control',
   UPDATE_LIFE: 'update-life',
+  CONCEDE: 'concede',
   CHANGE_PHASE: 'change-phase',
   NEXT_TURN: 'next-turn',
   ADD_COUNTER: 'add-counter',
   REMOVE_COUNTER: 'remove-counter',
-  CREATE_TOKEN: 'create-token'
+  CREATE_TOKEN: 'create-token',
+  COPY_CARD: 'copy-card',
+  TAP_CARD: 'tap-card',
+  UNTAP_CARD: 'untap-card',
+  UNTAP_ALL: 'untap-all',
+  SET_DOES_NOT_UNTAP: 'set-does-not-untap',
+  LOOK_AT_LIBRARY: 'look-at-library',
+  LOAD_DECK: 'load-deck',
+  SHUFFLE_LIBRARY: 'shuffle-library',
+  CAST_COMMANDER: 'cast-commander',
+  COMMANDER_DAMAGE: 'commander-damage',
+  ADD_PLAYER_COUNTER: 'add-player-counter',
+  REMOVE_PLAYER_COUNTER: 'remove-player-counter',
+  DRAW_OPENING_HAND: 'draw-opening-hand',
+  MULLIGAN: 'mulligan',
+  KEEP_HAND: 'keep-hand',
+  PASS_PRIORITY: 'pass-priority',
+  SET_STOPS: 'set-stops',
+  CAST_SPELL: 'cast-spell',
+  ACTIVATE_ABILITY: 'activate-ability',
+  RESOLVE_STACK: 'resolve-stack',
+  COUNTER_SPELL: 'counter-spell',
+  REORDER_STACK: 'reorder-stack',
+  DECLARE_ATTACKERS: 'declare-attackers',
+  DECLARE_BLOCKERS: 'declare-blockers',
+  ASSIGN_COMBAT_DAMAGE: 'assign-combat-damage',
+  MARK_DAMAGE: 'mark-damage',
+  ADD_MODIFIER: 'add-modifier',
+  REMOVE_MODIFIER: 'remove-modifier',
+  ATTACH_CARD: 'attach-card',
+  DETACH_CARD: 'detach-card',
+  REPOSITION_CARD: 'reposition-card',
+  GROUP_CARDS: 'group-cards',
+  UNGROUP_CARDS: 'ungroup-cards',
+  FLIP_CARD: 'flip-card',
+  TURN_FACE_DOWN: 'turn-face-down',
+  TURN_FACE_UP: 'turn-face-up',
+  UNDO_REQUEST: 'undo-request',
+  UNDO_RESPONSE: 'undo-response',
+  REDO: 'redo',
+  REVEAL_CARDS: 'reveal-cards',
+  SEARCH_LIBRARY: 'search-library',
+  CHOOSE_STARTING_PLAYER: 'choose-starting-player',
+  ROLL_DIE: 'roll-die',
+  FLIP_COIN: 'flip-coin',
+  RANDOM_CHOICE: 'random-choice'
 };
 
 // Draw card action
@@ -33,14 +83,37 @@ export const playCard = (playerId, cardId, targetZone = 'battlefield') => ({
   }
 });
 
-// Move card between zones
-export const moveCard = (playerId, cardId, sourceZone, targetZone) => ({
+// Move card between zones. A card put onto another player's battlefield
+// comes under their control; cards put into any other zone go to their owner
+export const moveCard = (playerId, cardId, sourceZone, targetZone, targetPlayerId = playerId) => ({
   type: ActionTypes.MOVE_CARD,
   payload: {
     playerId,
     cardId,
     sourceZone,
-    targetZone
+    targetZone,
+    targetPlayerId
+  }
+});
+
+// Give another player control of a permanent on playerId's battlefield
+export const changeControl = (playerId, cardId, newControllerId) => ({
+  type: ActionTypes.CHANGE_CONTROL,
+  payload: {
+    playerId,
+    cardId,
+    newControllerId
+  }
+});
+
+// Swap the controllers of two permanents controlled by different players
+export const exchangeControl = (playerId, cardId, otherPlayerId, otherCardId) => ({
+  type: ActionTypes.EXCHANGE_CONTROL,
+  payload: {
+    playerId,
+    cardId,
+    otherPlayerId,
+    otherCardId
   }
 });
 
@@ -53,7 +126,15 @@ export const updateLife = (playerId, delta) => ({
   }
 });
 
-// Change game phase
+// Concede the game
+export const concede = (playerId) => ({
+  type: ActionTypes.CONCEDE,
+  payload: {
+    playerId
+  }
+});
+
+// Skip ahead to a later step of the active player's turn
 export const changePhase = (phase) => ({
   type: ActionTypes.CHANGE_PHASE,
   payload: {
@@ -67,6 +148,24 @@ export const nextTurn = () => ({
   payload: {}
 });
 
+// Pass priority; the step ends once every player passed in succession
+export const passPriority = (playerId) => ({
+  type: ActionTypes.PASS_PRIORITY,
+  payload: {
+    playerId
+  }
+});
+
+// Set the steps a player stops in instead of passing automatically,
+// as { own: [stepIds], others: [stepIds] }
+export const setStops = (playerId, stops) => ({
+  type: ActionTypes.SET_STOPS,
+  payload: {
+    playerId,
+    stops
+  }
+});
+
 // Add counter to a card
 export const addCounter = (playerId, cardId, counterType, count = 1) => ({
   type: ActionTypes.ADD_COUNTER,
@@ -98,14 +197,540 @@ export const createToken = (playerId, tokenData) => ({
   }
 });
 
+// Create a token copy of a card on any player's battlefield or public zone
+export const copyCard = (playerId, sourcePlayerId, cardId, sourceZone = 'battlefield') => ({
+  type: ActionTypes.COPY_CARD,
+  payload: {
+    playerId,
+    sourcePlayerId,
+    cardId,
+    sourceZone
+  }
+});
+
+// Tap a permanent
+export const tapCard = (playerId, cardId) => ({
+  type: ActionTypes.TAP_CARD,
+  payload: {
+    playerId,
+    cardId
+  }
+});
+
+// Untap a permanent
+export const untapCard = (playerId, cardId) => ({
+  type: ActionTypes.UNTAP_CARD,
+  payload: {
+    playerId,
+    cardId
+  }
+});
+
+// Untap all of a player's permanents
+export const untapAll = (playerId) => ({
+  type: ActionTypes.UNTAP_ALL,
+  payload: {
+    playerId
+  }
+});
+
+// Mark a permanent as not untapping during its controller's untap step
+export const setDoesNotUntap = (playerId, cardId, doesNotUntap = true) => ({
+  type: ActionTypes.SET_DOES_NOT_UNTAP,
+  payload: {
+    playerId,
+    cardId,
+    doesNotUntap
+  }
+});
+
+// Look at the top cards of a library and put each one somewhere
+// placements: [{ cardId, destination }] where destination is 'top', 'bottom',
+// 'graveyard' or 'hand'; cards going to the top are stacked in the given order
+export const lookAtLibrary = (playerId, placements, mode = 'look') => ({
+  type: ActionTypes.LOOK_AT_LIBRARY,
+  payload: {
+    playerId,
+    mode,
+    placements
+  }
+});
+
+// Scry: put each of the top cards on the top or bottom of the library
+export const scry = (playerId, placements) => lookAtLibrary(playerId, placements, 'scry');
+
+// Surveil: put each of the top cards on the top of the library or into the graveyard
+export const surveil = (playerId, placements) => lookAtLibrary(playerId, placements, 'surveil');
+
+// Search a library and move cards out of it
+// selections: [{ cardId, destination }] where destination is 'hand',
+// 'battlefield', 'graveyard' or 'top'. Only the destinations are public.
+// randomness is the commit-reveal proof for shuffling the library afterwards,
+// and actionId the id its round was requested for
+export const searchLibrary = (playerId, selections, randomness = null, actionId = null) => ({
+  id: actionId,
+  type: ActionTypes.SEARCH_LIBRARY,
+  payload: {
+    playerId,
+    destinations: selections.map(selection => selection.destination),
+    randomness
+  },
+  privatePayload: {
+    cardIds: selections.map(selection => selection.cardId)
+  }
+});
+
+// Load a player's deck into their library. The card list is private and is
+// never sent to the other players, who only learn the deck size. The commander
+// is public and goes to the command zone instead of the library
+export const loadDeck = (playerId, cards, commander = null) => {
+  const library = removeCommanderFromDeck(cards, commander);
+
+  return {
+    type: ActionTypes.LOAD_DECK,
+    payload: {
+      playerId,
+      count: library.length,
+      commander
+    },
+    privatePayload: {
+      cards: library
+    }
+  };
+};
+
+// Shuffle a library. randomness is the commit-reveal proof from
+// SharedRandomness.requestSeed, which every peer checks before applying it.
+// The proof only counts for the action with the id its round was requested
+// for, actionId
+export const shuffleLibrary = (playerId, randomness, actionId) => ({
+  id: actionId,
+  type: ActionTypes.SHUFFLE_LIBRARY,
+  payload: {
+    playerId,
+    randomness
+  }
+});
+
+// Cast a commander from the command zone onto the stack, increasing its
+// commander tax. description and targets are the same as for castSpell
+export const castCommander = (playerId, cardId, description = '', targets = []) => ({
+  type: ActionTypes.CAST_COMMANDER,
+  payload: {
+    playerId,
+    cardId,
+    description,
+    targets
+  }
+});
+
+// Return a commander to the command zone instead of letting it go to another zone
+export const returnToCommandZone = (playerId, cardId, sourceZone) =>
+  moveCard(playerId, cardId, sourceZone, 'command');
+
+// Record combat damage a player took from an opponent's commander
+// commanderKey identifies the commander (see getCommanderKey in Formats.js)
+export const commanderDamage = (playerId, sourcePlayerId, commanderKey, amount, affectsLife = true) => ({
+  type: ActionTypes.COMMANDER_DAMAGE,
+  payload: {
+    playerId,
+    sourcePlayerId,
+    commanderKey,
+    amount,
+    affectsLife
+  }
+});
+
+// Add counters to a player (poison, energy, experience, rad, tickets or a custom name)
+export const addPlayerCounter = (playerId, counterType, count = 1) => ({
+  type: ActionTypes.ADD_PLAYER_COUNTER,
+  payload: {
+    playerId,
+    counterType,
+    count
+  }
+});
+
+// Remove counters from a player
+export const removePlayerCounter = (playerId, counterType, count = 1) => ({
+  type: ActionTypes.REMOVE_PLAYER_COUNTER,
+  payload: {
+    playerId,
+    counterType,
+    count
+  }
+});
+
+// Put a spell on the stack. targets are { playerId, cardId } pairs, with
+// cardId left out to target the player
+export const castSpell = (playerId, cardId, sourceZone = 'hand', description = '', targets = []) => ({
+  type: ActionTypes.CAST_SPELL,
+  payload: {
+    playerId,
+    cardId,
+    sourceZone,
+    description,
+    targets
+  }
+});
+
+// Put an activated or triggered ability of a permanent on the stack
+export const activateAbility = (playerId, sourceCardId, description, targets = [], triggered = false) => ({
+  type: ActionTypes.ACTIVATE_ABILITY,
+  payload: {
+    playerId,
+    sourceCardId,
+    description,
+    targets,
+    triggered
+  }
+});
+
+// Resolve the top of the stack, optionally overriding where the spell goes
+export const resolveStack = (destination = null) => ({
+  type: ActionTypes.RESOLVE_STACK,
+  payload: {
+    destination
+  }
+});
+
+// Counter a spell or ability on the stack
+export const counterSpell = (playerId, stackItemId) => ({
+  type: ActionTypes.COUNTER_SPELL,
+  payload: {
+    playerId,
+    stackItemId
+  }
+});
+
+// Reorder the triggers a player controls, listed from top to bottom
+export const reorderStack = (playerId, order) => ({
+  type: ActionTypes.REORDER_STACK,
+  payload: {
+    playerId,
+    order
+  }
+});
+
+// Declare attackers, each as { cardId, defendingPlayerId, planeswalkerId }
+export const declareAttackers = (playerId, attackers) => ({
+  type: ActionTypes.DECLARE_ATTACKERS,
+  payload: {
+    playerId,
+    attackers
+  }
+});
+
+// Declare blockers, each as { cardId, attackerId }
+export const declareBlockers = (playerId, blockers) => ({
+  type: ActionTypes.DECLARE_BLOCKERS,
+  payload: {
+    playerId,
+    blockers
+  }
+});
+
+// Deal combat damage, each assignment as
+// { sourceId, sourcePlayerId, targetPlayerId, targetCardId, amount }
+export const assignCombatDamage = (playerId, assignments) => ({
+  type: ActionTypes.ASSIGN_COMBAT_DAMAGE,
+  payload: {
+    playerId,
+    assignments
+  }
+});
+
+// Mark damage on a permanent; a negative amount removes damage
+export const markDamage = (playerId, cardId, amount) => ({
+  type: ActionTypes.MARK_DAMAGE,
+  payload: {
+    playerId,
+    cardId,
+    amount
+  }
+});
+
+// Give a permanent a temporary effect:
+// { power, toughness, keywords, note, expiry }
+export const addModifier = (playerId, cardId, modifier) => ({
+  type: ActionTypes.ADD_MODIFIER,
+  payload: {
+    playerId,
+    cardId,
+    modifier
+  }
+});
+
+// Remove a temporary effect from a permanent before it expires
+export const removeModifier = (playerId, cardId, modifierId) => ({
+  type: ActionTypes.REMOVE_MODIFIER,
+  payload: {
+    playerId,
+    cardId,
+    modifierId
+  }
+});
+
+// Attach a permanent to a host on any player's battlefield, or link a card
+// in exile as exiled with the host
+export const attachCard = (playerId, cardId, hostPlayerId, hostCardId, sourceZone = 'battlefield') => ({
+  type: ActionTypes.ATTACH_CARD,
+  payload: {
+    playerId,
+    cardId,
+    sourceZone,
+    hostPlayerId,
+    hostCardId
+  }
+});
+
+// Unattach a permanent, or unlink a card exiled with a permanent
+export const detachCard = (playerId, cardId, sourceZone = 'battlefield') => ({
+  type: ActionTypes.DETACH_CARD,
+  payload: {
+    playerId,
+    cardId,
+    sourceZone
+  }
+});
+
+// Move a permanent (or the stack it is in) to a grid position on its battlefield
+export const repositionCard = (playerId, cardId, x, y) => ({
+  type: ActionTypes.REPOSITION_CARD,
+  payload: {
+    playerId,
+    cardId,
+    x,
+    y
+  }
+});
+
+// Put identical tokens into a single stack
+export const groupCards = (playerId, cardIds) => ({
+  type: ActionTypes.GROUP_CARDS,
+  payload: {
+    playerId,
+    cardIds
+  }
+});
+
+// Split a stack of tokens back into separate cards
+export const ungroupCards = (playerId, group) => ({
+  type: ActionTypes.UNGROUP_CARDS,
+  payload: {
+    playerId,
+    group
+  }
+});
+
+// Turn a double-faced permanent over to its other face
+export const flipCard = (playerId, cardId) => ({
+  type: ActionTypes.FLIP_CARD,
+  payload: {
+    playerId,
+    cardId
+  }
+});
+
+// Turn a permanent face down, or put a card from hand or library onto the
+// battlefield face down
+export const turnFaceDown = (playerId, cardId, sourceZone = 'battlefield') => ({
+  type: ActionTypes.TURN_FACE_DOWN,
+  payload: {
+    playerId,
+    cardId,
+    sourceZone
+  }
+});
+
+// Turn a face-down permanent face up
+export const turnFaceUp = (playerId, cardId) => ({
+  type: ActionTypes.TURN_FACE_UP,
+  payload: {
+    playerId,
+    cardId
+  }
+});
+
+// Ask to undo a player's last actions
+export const requestUndo = (playerId, count = 1) => ({
+  type: ActionTypes.UNDO_REQUEST,
+  payload: {
+    playerId,
+    count
+  }
+});
+
+// Approve or decline an undo request, or withdraw our own
+export const respondToUndo = (playerId, requestId, approve) => ({
+  type: ActionTypes.UNDO_RESPONSE,
+  payload: {
+    playerId,
+    requestId,
+    approve
+  }
+});
+
+// Redo what a player last undid
+export const redo = (playerId) => ({
+  type: ActionTypes.REDO,
+  payload: {
+    playerId
+  }
+});
+
+// Reveal cards from a player's hand or library to every player, or only to
+// the given recipients. Which cards they are stays private to the revealer
+export const revealCards = (playerId, zone, cardIds, recipients = null) => ({
+  type: ActionTypes.REVEAL_CARDS,
+  payload: {
+    playerId,
+    zone,
+    count: cardIds.length,
+    recipients
+  },
+  privatePayload: {
+    cardIds
+  }
+});
+
+// Reveal a player's whole hand
+export const revealHand = (playerId, hand, recipients = null) =>
+  revealCards(playerId, 'hand', hand.map(card => card.id), recipients);
+
+// Draw the opening hand during the mulligan phase
+export const drawOpeningHand = (playerId) => ({
+  type: ActionTypes.DRAW_OPENING_HAND,
+  payload: {
+    playerId
+  }
+});
+
+// Shuffle the hand back into the library and draw a new one. randomness is
+// the commit-reveal proof used for the shuffle, requested for actionId
+export const mulligan = (playerId, randomness, actionId) => ({
+  id: actionId,
+  type: ActionTypes.MULLIGAN,
+  payload: {
+    playerId,
+    randomness
+  }
+});
+
+// Keep the current hand, putting the chosen cards on the bottom of the library
+export const keepHand = (playerId, bottomCardIds = []) => ({
+  type: ActionTypes.KEEP_HAND,
+  payload: {
+    playerId,
+    bottomCardIds
+  }
+});
+
+// Pick who takes the first turn. randomness is the shared seed proof,
+// requested for actionId
+export const chooseStartingPlayer = (randomness, actionId) => ({
+  id: actionId,
+  type: ActionTypes.CHOOSE_STARTING_PLAYER,
+  payload: {
+    randomness
+  }
+});
+
+// Roll count dice with the given number of sides from a shared seed, whose
+// round was requested for actionId
+export const rollDie = (playerId, sides, count, randomness, actionId) => ({
+  id: actionId,
+  type: ActionTypes.ROLL_DIE,
+  payload: {
+    playerId,
+    sides,
+    count,
+    randomness
+  }
+});
+
+// Flip count coins from a shared seed requested for actionId
+export const flipCoin = (playerId, count, randomness, actionId) => ({
+  id: actionId,
+  type: ActionTypes.FLIP_COIN,
+  payload: {
+    playerId,
+    count,
+    randomness
+  }
+});
+
+// Pick one of the options from a shared seed requested for actionId
+export const randomChoice = (playerId, options, randomness, actionId) => ({
+  id: actionId,
+  type: ActionTypes.RANDOM_CHOICE,
+  payload: {
+    playerId,
+    options,
+    randomness
+  }
+});
+
 export default {
   drawCard,
   playCard,
   moveCard,
+  changeControl,
+  exchangeControl,
   updateLife,
+  concede,
   changePhase,
   nextTurn,
+  passPriority,
+  setStops,
   addCounter,
   removeCounter,
-  createToken
+  createToken,
+  copyCard,
+  tapCard,
+  untapCard,
+  untapAll,
+  setDoesNotUntap,
+  lookAtLibrary,
+  searchLibrary,
+  scry,
+  surveil,
+  loadDeck,
+  shuffleLibrary,
+  castCommander,
+  returnToCommandZone,
+  commanderDamage,
+  addPlayerCounter,
+  removePlayerCounter,
+  drawOpeningHand,
+  mulligan,
+  keepHand,
+  chooseStartingPlayer,
+  rollDie,
+  flipCoin,
+  randomChoice,
+  castSpell,
+  activateAbility,
+  resolveStack,
+  counterSpell,
+  reorderStack,
+  declareAttackers,
+  declareBlockers,
+  assignCombatDamage,
+  markDamage,
+  addModifier,
+  removeModifier,
+  attachCard,
+  detachCard,
+  repositionCard,
+  groupCards,
+  ungroupCards,
+  flipCard,
+  turnFaceDown,
+  turnFaceUp,
+  requestUndo,
+  respondToUndo,
+  redo,
+  revealCards,
+  revealHand
 };
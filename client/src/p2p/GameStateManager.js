@@ -1,19 +1,74 @@
 // Game State Manager for MTG Multiplayer Game
-// Handles game state synchronization and consensus mechanism
+// Handles game state synchronization through a totally ordered action log
+//
+// One peer, the sequencer, assigns every action a sequence number and
+// broadcasts it as a commit. Reducers are deterministic, so peers converge by
+// applying the same commits in the same order. Our own actions are applied
+// optimistically and replayed on top of the committed state until their commit
+// arrives. Full snapshots are only exchanged on join or after a divergence.
 
 import { v4 as uuidv4 } from 'uuid';
 import { sha256 } from 'js-sha256';
+import { HIDDEN_ZONES, PUBLIC_ZONES, MAX_REVEALS, isHiddenZone, createPlaceholder, maskHiddenZones } from './HiddenZones';
+import SharedRandomness, { shuffleWithSeed, rollWithSeed, pickWithSeed } from './SharedRandomness';
+import {
+  getFormat,
+  getMulliganRule,
+  getOpeningHandSize,
+  getMulliganBottomCount,
+  getCommanderKey,
+  removeCommanderFromDeck,
+  COMMANDER_TAX_INCREMENT
+} from './Formats';
+import { POISON_LIMIT, getPlayerCounterName, normalizePlayerCounterType } from './PlayerCounters';
+import {
+  DEFAULT_STOPS,
+  MANDATORY_STOP,
+  getStep,
+  getStepIndex,
+  getNextStep,
+  normalizeStops
+} from './TurnStructure';
+import {
+  isPlaneswalker,
+  hasKeyword,
+  getToughness,
+  getLoyalty,
+  findPermanent,
+  getCombatDecision
+} from './Combat';
+import { normalizeModifier, describeModifier } from './Modifiers';
+import { isAura, isLinkedTo } from './Attachments';
+import { clampPosition, findFreePosition, getTokenKey } from './BattlefieldLayout';
+import { FACE_DOWN_CARD, splitPermanent, isDoubleFaced, getCardFace } from './CardFaces';
+import { UNDO_HISTORY_SIZE, UNDO_ACTION_TYPES, getPendingApprovers, describeActionCount } from './Undo';
+import { LOSS_MESSAGES, getPlayersInGame, isGameOver, getPlacements } from './Elimination';
 
 class GameStateManager {
   constructor(p2pConnectionManager, userId) {
     this.p2pManager = p2pConnectionManager;
     this.userId = userId;
-    this.gameState = null;
-    this.pendingActions = new Map(); // Map of actionId -> { action, votes }
-    this.stateHistory = []; // History of game states for rollback if needed
-    this.actionLog = []; // Log of all actions for debugging
+    this.gameState = null; // Committed state plus our own uncommitted actions, what the UI shows
+    this.confirmedState = null; // State after the last committed action
+    this.sequence = 0; // Sequence number of the last committed action we applied
+    this.privateReveals = new Map(); // Action id -> { from, cards } for cards revealed to some players only
+    this.actionLog = []; // Committed actions in sequence order, kept for peers that miss some
+    this.maxLogSize = 500; // Peers further behind than this get a snapshot instead
+    this.localActions = new Map(); // Map of actionId -> { action, sentAt } for our uncommitted actions
+    this.outOfOrderActions = new Map(); // Map of sequence -> commit received ahead of a gap
+    this.requestedSequence = 0; // Sequence we last asked peers to resend from
+    this.awaitingSnapshot = false; // Whether we asked for a snapshot to recover from divergence
+    this.deferNotifications = false; // Set while replaying actions so listeners see one update
     this.stateListeners = new Set(); // Callbacks for state changes
-    this.consensusThreshold = 0.5; // Percentage of peers needed for consensus
+    this.resendTimeout = 3000; // How long to wait for a commit before resending an action
+    this.storage = null; // GameStorage used to survive page refreshes
+    this.gameId = null;
+    this.persistTimer = null;
+    this.catchingUp = false; // Set after restoring a saved game until peers sent what we missed
+    this.catchUpTimeout = 10000; // How long to wait for peers before resuming a restored game alone
+    this.privateSalt = uuidv4(); // Secret used to derive ids for our own hidden cards
+    this.revealCursor = 0; // Index of the next revealed card of the action being processed
+    this.randomness = new SharedRandomness(p2pConnectionManager, userId); // Commit-reveal seeds agreed with peers
     
     // Listen for data from peers
     this.p2pManager.addDataListener(this.handlePeerData.bind(this));
@@ -22,58 +77,230 @@ class GameStateManager {
   
   // Initialize a new game state
   initializeGameState(players, config = {}) {
+    const format = getFormat(config.format);
+    const startingLife = config.startingLife || format.startingLife;
+    const mulliganRule = getMulliganRule(config.mulliganRule, players.length);
+    
     const initialState = {
       id: uuidv4(),
       version: 1,
+      sequence: 0,
       timestamp: Date.now(),
       activePlayer: players[0].id,
-      phase: 'main1',
-      turn: 1,
+      startingPlayer: players.length > 1 ? null : players[0].id, // Chosen at random before turn 1
+      phase: 'mulligan', // Turn 1 starts once every player has kept a hand
+      turn: 0,
+      priority: null, // { player, passes } while a step with priority is in progress
+      mulligan: Object.fromEntries(players.map(player => [player.id, { count: 0, kept: false }])),
       players: players.map(player => ({
         id: player.id,
         name: player.name,
-        life: 20,
-        library: player.deck || [],
+        life: startingLife,
+        library: this.createLibrary(removeCommanderFromDeck(player.deck || [], player.commander)),
+        deckLoaded: !!player.deck?.length, // Drawing from an empty library only loses once there is a deck
         hand: [],
         battlefield: [],
         graveyard: [],
         exile: [],
+        command: player.commander ? [this.createCommanderCard(player.commander, uuidv4())] : [],
         commander: player.commander || null,
+        commanderTax: {}, // Commander key -> additional cost of the next cast from the command zone
+        commanderDamage: {}, // Opponent id -> commander key -> combat damage taken from that commander
+        counters: {}, // Player counters (poison, energy, custom...) -> count
+        stops: DEFAULT_STOPS, // Steps this player doesn't pass through automatically
         isCurrentPlayer: player.id === this.userId
       })),
       stack: [],
-      config
+      log: [],
+      config: {
+        ...config,
+        format: format.id,
+        mulliganRule: mulliganRule.id
+      }
     };
     
+    this.confirmedState = initialState;
+    this.sequence = 0;
+    this.actionLog = [];
+    this.localActions.clear();
+    this.outOfOrderActions.clear();
+    
     this.setGameState(initialState);
     this.broadcastGameState();
+    this.schedulePersist();
+    
+    if (!initialState.startingPlayer) {
+      this.chooseStartingPlayer().catch(err => {
+        console.error('Choosing the starting player failed:', err);
+      });
+    }
+    
+    // Initial shuffle and opening hand of every library we hold the cards for
+    initialState.players.forEach(player => {
+      if (player.library.length > 0 && !this.isHiddenFrom(player, 'library')) {
+        this.shuffleAndDrawOpeningHand(player.id).catch(err => {
+          console.error(`Initial shuffle for ${player.name} failed:`, err);
+        });
+      }
+    });
+    
     return initialState;
   }
   
-  // Set the current game state and notify listeners
-  setGameState(newState) {
-    // Store previous state in history
-    if (this.gameState) {
-      this.stateHistory.push({
-        state: JSON.parse(JSON.stringify(this.gameState)),
-        timestamp: Date.now()
+  // Agree on a seed for one of our actions with every player still in the game.
+  // The proof is bound to the action's id, which has to be chosen up front
+  requestRandomness(actionId) {
+    const participants = getPlayersInGame(this.gameState).map(player => player.id);
+    return this.randomness.requestSeed(actionId, participants);
+  }
+  
+  // Shuffle a player's library with a seed every player contributed to.
+  // The commit-reveal proof travels with the action so each peer can check it
+  async shuffleLibrary(playerId) {
+    const id = uuidv4();
+    const randomness = await this.requestRandomness(id);
+    
+    return this.applyAction({
+      id,
+      type: 'shuffle-library',
+      payload: { playerId, randomness }
+    });
+  }
+  
+  // Choose who takes the first turn with a seed every player contributed to
+  async chooseStartingPlayer() {
+    const id = uuidv4();
+    const randomness = await this.requestRandomness(id);
+    
+    return this.applyAction({
+      id,
+      type: 'choose-starting-player',
+      payload: { randomness }
+    });
+  }
+  
+  // Roll one or more dice for everyone to see
+  async rollDie(playerId, sides = 20, count = 1) {
+    const id = uuidv4();
+    const randomness = await this.requestRandomness(id);
+    
+    return this.applyAction({
+      id,
+      type: 'roll-die',
+      payload: { playerId, sides, count, randomness }
+    });
+  }
+  
+  // Flip one or more coins for everyone to see
+  async flipCoin(playerId, count = 1) {
+    const id = uuidv4();
+    const randomness = await this.requestRandomness(id);
+    
+    return this.applyAction({
+      id,
+      type: 'flip-coin',
+      payload: { playerId, count, randomness }
+    });
+  }
+  
+  // Choose one of the options at random, e.g. a random opponent
+  async randomChoice(playerId, options) {
+    const id = uuidv4();
+    const randomness = await this.requestRandomness(id);
+    
+    return this.applyAction({
+      id,
+      type: 'random-choice',
+      payload: { playerId, options, randomness }
+    });
+  }
+  
+  // Search our library and move the chosen cards, shuffling it afterwards with
+  // a shared seed if asked to. selections: [{ cardId, destination }]. Which
+  // cards were taken stays private until they reach a public zone
+  async searchLibrary(playerId, selections, shuffle = true) {
+    const id = uuidv4();
+    const randomness = shuffle ? await this.requestRandomness(id) : null;
+    
+    return this.applyAction({
+      id,
+      type: 'search-library',
+      payload: { playerId, destinations: selections.map(selection => selection.destination), randomness },
+      privatePayload: { cardIds: selections.map(selection => selection.cardId) }
+    });
+  }
+  
+  // Opening shuffle of a freshly loaded library, followed by the opening hand
+  // while the game is still in its mulligan phase
+  async shuffleAndDrawOpeningHand(playerId) {
+    await this.shuffleLibrary(playerId);
+    
+    if (this.gameState.phase !== 'mulligan') return true;
+    
+    return this.applyAction({
+      type: 'draw-opening-hand',
+      payload: { playerId }
+    });
+  }
+  
+  // Put the hand back, shuffle with a shared seed and draw a new hand
+  async mulligan(playerId) {
+    const id = uuidv4();
+    const randomness = await this.requestRandomness(id);
+    
+    return this.applyAction({
+      id,
+      type: 'mulligan',
+      payload: { playerId, randomness }
+    });
+  }
+  
+  // Reveal cards from our hand or library. Cards revealed to everyone travel
+  // with the action; cards revealed to some players are sent to each of them
+  // directly, so no one else learns what they are
+  revealCards(playerId, zone, cardIds, recipients = null) {
+    const player = this.getCurrentPlayerState();
+    if (!player || player.id !== playerId || !player[zone]) return false;
+    
+    const cards = cardIds.map(id => player[zone].find(card => card.id === id)).filter(Boolean);
+    const action = {
+      id: uuidv4(),
+      type: 'reveal-cards',
+      payload: { playerId, zone, count: cards.length, recipients },
+      privatePayload: { cardIds }
+    };
+    if (!this.applyAction(action)) return false;
+    
+    if (recipients) {
+      const revealedCards = cards.map((card, index) => ({ ...card, id: `${action.id}-${index}` }));
+      this.privateReveals.set(action.id, { from: playerId, cards: revealedCards });
+      recipients.forEach(peerId => {
+        this.p2pManager.sendToPeer(peerId, {
+          type: 'private-reveal',
+          actionId: action.id,
+          cards: revealedCards
+        });
       });
-      
-      // Limit history size
-      if (this.stateHistory.length > 20) {
-        this.stateHistory.shift();
-      }
     }
+    return true;
+  }
+  
+  // Cards of a reveal, if they were revealed to us
+  getRevealedCards(reveal) {
+    if (reveal.cards) return reveal.cards;
     
+    const privateReveal = this.privateReveals.get(reveal.id);
+    return privateReveal && privateReveal.from === reveal.playerId ? privateReveal.cards : null;
+  }
+  
+  // Set the current game state and notify listeners
+  setGameState(newState) {
     // Deep clone the new state to prevent external mutations
     this.gameState = JSON.parse(JSON.stringify(newState));
     
     // Notify listeners with a clone of the state
-    this.notifyStateListeners();
-    
-    // Broadcast state update if we're connected
-    if (this.p2pManager && this.p2pManager.isConnected()) {
-      this.broadcastGameState();
+    if (!this.deferNotifications) {
+      this.notifyStateListeners();
     }
   }
   
@@ -88,7 +315,8 @@ class GameStateManager {
     return this.gameState.players.find(p => p.id === this.userId);
   }
   
-  // Apply an action to the game state
+  // Apply one of our own actions. It takes effect locally right away and is
+  // sent to the sequencer, which makes it part of the game by committing it
   applyAction(action) {
     if (!this.gameState) {
       console.error('Cannot apply action: Game state not initialized');
@@ -103,35 +331,292 @@ class GameStateManager {
       sourcePlayer: action.sourcePlayer || this.userId
     };
     
-    // Log the action
-    this.actionLog.push({
-      ...actionWithId,
-      appliedAt: Date.now()
-    });
-    
     // Apply the action locally
     const success = this.processAction(actionWithId);
     
     if (success) {
-      // Broadcast the action to all peers
-      this.p2pManager.broadcast({
-        type: 'game-action',
-        action: actionWithId
+      this.localActions.set(actionWithId.id, { action: actionWithId, sentAt: Date.now() });
+      this.submitAction(actionWithId);
+      this.schedulePersist();
+    }
+    
+    return success;
+  }
+  
+  // The sequencer is the first player, in seating order, that we are
+  // connected to (or ourselves). Every peer with the same view agrees on it
+  getSequencer() {
+    const players = this.confirmedState?.players || [];
+    const connectedPeers = this.p2pManager.getConnectedPeers();
+    
+    // A restored game may be behind, so it can't order actions until it caught up
+    const sequencer = players.find(p =>
+      (p.id === this.userId && !this.catchingUp) || connectedPeers.includes(p.id)
+    );
+    return sequencer ? sequencer.id : this.userId;
+  }
+  
+  // Hand an action to the sequencer for ordering. While catching up the
+  // action stays local and is resent once we are current
+  submitAction(action) {
+    if (this.catchingUp) return;
+    
+    const sequencer = this.getSequencer();
+    
+    if (sequencer === this.userId) {
+      this.sequenceAction(action);
+    } else {
+      this.p2pManager.sendToPeer(sequencer, {
+        type: 'action-proposal',
+        action: this.toPublicAction(action)
       });
+    }
+  }
+  
+  // Sequencer only: validate an action against the committed state, give it
+  // the next sequence number and broadcast the commit
+  sequenceAction(action) {
+    // Proposals are resent when a commit is slow, so the same action can arrive twice
+    if (this.actionLog.some(committed => committed.id === action.id)) return;
+    
+    const committedAction = { ...action, sequence: this.sequence + 1 };
+    
+    if (!this.commitAction(committedAction)) {
+      console.log(`Rejected action ${action.id} from ${action.sourcePlayer}`);
+      if (action.sourcePlayer !== this.userId) {
+        this.p2pManager.sendToPeer(action.sourcePlayer, {
+          type: 'action-rejected',
+          actionId: action.id
+        });
+      }
+      return;
+    }
+    
+    this.p2pManager.broadcast({
+      type: 'action-commit',
+      action: this.toPublicAction(committedAction)
+    });
+  }
+  
+  // Apply a committed action to the confirmed state, then replay our own
+  // uncommitted actions on top of it
+  commitAction(action) {
+    // The committed copy of our own action lacks its private part
+    const localAction = this.localActions.get(action.id);
+    const fullAction = localAction
+      ? { ...action, privatePayload: localAction.action.privatePayload }
+      : action;
+    this.localActions.delete(action.id);
+    
+    const previousState = this.confirmedState;
+    this.deferNotifications = true;
+    this.gameState = this.confirmedState;
+    const success = this.processAction(fullAction);
+    
+    if (success) {
+      this.recordHistory(fullAction, previousState);
+      this.confirmedState = this.gameState;
+      this.sequence = action.sequence;
+      
+      this.actionLog.push(this.toPublicAction(fullAction));
+      if (this.actionLog.length > this.maxLogSize) {
+        this.actionLog.shift();
+      }
       
-      // Add to pending actions for consensus
-      this.addPendingAction(actionWithId);
+      if (this.confirmedState.gameOver) {
+        this.deleteSavedGame();
+      }
     }
     
+    this.replayLocalActions();
     return success;
   }
   
+  // Keep the committed actions that can be undone in the state, after the
+  // state from before the oldest of them. Every peer has the same history, so
+  // an undo rewinds them all to the same state, even after a reload or a
+  // snapshot. Any new action makes undone actions final
+  recordHistory(action, previousState) {
+    if (UNDO_ACTION_TYPES.includes(action.type)) return;
+    
+    const state = this.gameState;
+    const history = state.history || { base: this.toCheckpoint(previousState), actions: [], redo: [] };
+    history.actions.push(action);
+    history.redo = [];
+    
+    // Actions that can no longer be undone are folded into the base
+    while (history.actions.length > UNDO_HISTORY_SIZE) {
+      const base = this.replayActions(history.base, [history.actions.shift()]);
+      if (!base) {
+        console.error(`Could not fold action into the undo history at sequence ${action.sequence}`);
+        state.history = { base: this.toCheckpoint(state), actions: [], redo: [] };
+        return;
+      }
+      history.base = this.toCheckpoint(base);
+    }
+    
+    state.history = history;
+  }
+  
+  // A state the undo history can rebuild from, without the history and the log
+  toCheckpoint(state) {
+    const { history, log, undoRequest, ...checkpoint } = state;
+    return JSON.parse(JSON.stringify(checkpoint));
+  }
+  
+  // Apply committed actions to an earlier state again. Reducers only depend on
+  // the state and the action, so every peer gets the same result
+  replayActions(baseState, actions) {
+    const { gameState, deferNotifications } = this;
+    this.deferNotifications = true;
+    this.gameState = { ...baseState, log: [] };
+    
+    const success = actions.every(action => this.processAction(action));
+    const replayedState = this.gameState;
+    
+    this.gameState = gameState;
+    this.deferNotifications = deferNotifications;
+    return success ? replayedState : null;
+  }
+  
+  // Committed actions of a player that can still be undone, oldest first
+  getUndoableActions(playerId, state = this.confirmedState) {
+    return (state?.history?.actions || []).filter(action => action.sourcePlayer === playerId);
+  }
+  
+  // Whether a player can redo what they last undid. Only possible without
+  // other players, who would have to approve it
+  canRedo(playerId, state = this.confirmedState) {
+    const redo = state?.history?.redo[state.history.redo.length - 1];
+    return !!redo && redo.playerId === playerId &&
+      getPendingApprovers(state, { playerId, approvals: [] }).length === 0;
+  }
+  
+  // Rebuild the displayed state from the confirmed state and our uncommitted
+  // actions. Actions that no longer apply are dropped
+  replayLocalActions() {
+    this.deferNotifications = true;
+    this.gameState = this.confirmedState;
+    
+    this.localActions.forEach(({ action }, actionId) => {
+      if (!this.processAction(action)) {
+        console.log(`Dropping action ${actionId}, it no longer applies`);
+        this.localActions.delete(actionId);
+      }
+    });
+    
+    this.deferNotifications = false;
+    this.notifyStateListeners();
+    this.schedulePersist();
+  }
+  
+  // Use storage to persist the game, and restore it if it was saved before,
+  // e.g. ahead of a page refresh. Resolves with whether a saved game was restored
+  async attachStorage(storage, gameId) {
+    this.storage = storage;
+    this.gameId = gameId;
+    
+    let saved = null;
+    try {
+      saved = await storage.loadGame(gameId);
+    } catch (err) {
+      console.error('Failed to load saved game:', err);
+    }
+    
+    // A snapshot from a peer may have arrived while we were loading
+    if (!saved || this.confirmedState) return false;
+    
+    console.log(`Restoring saved game ${gameId} at sequence ${saved.sequence}`);
+    this.privateSalt = saved.privateSalt;
+    this.confirmedState = saved.confirmedState;
+    this.sequence = saved.sequence;
+    this.actionLog = saved.actionLog || [];
+    this.localActions = new Map(
+      (saved.localActions || []).map(action => [action.id, { action, sentAt: 0 }])
+    );
+    
+    // Peers kept playing while we were gone, so get the missing actions first
+    this.catchingUp = true;
+    this.catchUpTimer = setTimeout(() => {
+      if (this.catchingUp && this.p2pManager.getConnectedPeers().length === 0) {
+        console.log('No peers to catch up from, resuming saved game');
+        this.finishCatchUp();
+      }
+    }, this.catchUpTimeout);
+    
+    this.replayLocalActions();
+    return true;
+  }
+  
+  // Save the game shortly after it changes, batching bursts of updates
+  schedulePersist() {
+    if (!this.storage || !this.confirmedState || this.persistTimer) return;
+    
+    this.persistTimer = setTimeout(() => this.persist(), 250);
+  }
+  
+  // Save the game now
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.storage || !this.confirmedState) return;
+    
+    this.storage.saveGame(this.gameId, {
+      privateSalt: this.privateSalt,
+      confirmedState: this.confirmedState,
+      sequence: this.sequence,
+      actionLog: this.actionLog,
+      localActions: Array.from(this.localActions.values(), ({ action }) => action)
+    }).catch(err => console.error('Failed to save game:', err));
+  }
+  
+  // Stop saving the game and delete the saved copy, once it is over or we left
+  // it for good; there is nothing left to resume
+  deleteSavedGame() {
+    if (!this.storage) return;
+    
+    const { storage, gameId } = this;
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.storage = null;
+    
+    storage.deleteGame(gameId).catch(err => console.error('Failed to delete saved game:', err));
+  }
+  
+  // Resume normal operation after a restored game caught up with its peers
+  finishCatchUp() {
+    if (!this.catchingUp) return;
+    
+    this.catchingUp = false;
+    clearTimeout(this.catchUpTimer);
+    console.log(`Caught up at sequence ${this.sequence}`);
+    this.resendLocalActions();
+  }
+  
+  // Resend our uncommitted actions, e.g. after the sequencer changed
+  resendLocalActions(olderThan = 0) {
+    const now = Date.now();
+    
+    this.localActions.forEach(localAction => {
+      if (now - localAction.sentAt >= olderThan) {
+        localAction.sentAt = now;
+        this.submitAction(localAction.action);
+      }
+    });
+  }
+  
   // Process an action and update the game state
   processAction(action) {
     // Clone the current state to avoid direct mutations
     const newState = JSON.parse(JSON.stringify(this.gameState));
     newState.version += 1;
-    newState.timestamp = Date.now();
+    newState.timestamp = action.timestamp;
+    
+    // Only committed actions advance the sequence
+    if (action.sequence) {
+      newState.sequence = action.sequence;
+    }
+    this.revealCursor = 0;
     
     try {
       switch (action.type) {
@@ -144,6 +629,27 @@ class GameStateManager {
         case 'move-card':
           return this.processMoveCard(newState, action);
         
+        case 'change-control':
+          return this.processChangeControl(newState, action);
+        
+        case 'exchange-control':
+          return this.processExchangeControl(newState, action);
+        
+        case 'concede':
+          return this.processConcede(newState, action);
+        
+        case 'choose-starting-player':
+          return this.processChooseStartingPlayer(newState, action);
+        
+        case 'roll-die':
+          return this.processRollDie(newState, action);
+        
+        case 'flip-coin':
+          return this.processFlipCoin(newState, action);
+        
+        case 'random-choice':
+          return this.processRandomChoice(newState, action);
+        
         case 'update-life':
           return this.processUpdateLife(newState, action);
         
@@ -162,12 +668,132 @@ class GameStateManager {
         case 'create-token':
           return this.processCreateToken(newState, action);
         
+        case 'copy-card':
+          return this.processCopyCard(newState, action);
+        
         case 'shuffle-library':
           return this.processShuffleLibrary(newState, action);
         
         case 'move-to-library':
           return this.processMoveToLibrary(newState, action);
         
+        case 'tap-card':
+          return this.processTapCard(newState, action);
+        
+        case 'untap-card':
+          return this.processUntapCard(newState, action);
+        
+        case 'untap-all':
+          return this.processUntapAll(newState, action);
+        
+        case 'set-does-not-untap':
+          return this.processSetDoesNotUntap(newState, action);
+        
+        case 'look-at-library':
+          return this.processLookAtLibrary(newState, action);
+        
+        case 'search-library':
+          return this.processSearchLibrary(newState, action);
+        
+        case 'load-deck':
+          return this.processLoadDeck(newState, action);
+        
+        case 'cast-commander':
+          return this.processCastCommander(newState, action);
+        
+        case 'commander-damage':
+          return this.processCommanderDamage(newState, action);
+        
+        case 'pass-priority':
+          return this.processPassPriority(newState, action);
+        
+        case 'set-stops':
+          return this.processSetStops(newState, action);
+        
+        case 'cast-spell':
+          return this.processCastSpell(newState, action);
+        
+        case 'activate-ability':
+          return this.processActivateAbility(newState, action);
+        
+        case 'resolve-stack':
+          return this.processResolveStack(newState, action);
+        
+        case 'counter-spell':
+          return this.processCounterSpell(newState, action);
+        
+        case 'reorder-stack':
+          return this.processReorderStack(newState, action);
+        
+        case 'declare-attackers':
+          return this.processDeclareAttackers(newState, action);
+        
+        case 'declare-blockers':
+          return this.processDeclareBlockers(newState, action);
+        
+        case 'assign-combat-damage':
+          return this.processAssignCombatDamage(newState, action);
+        
+        case 'mark-damage':
+          return this.processMarkDamage(newState, action);
+        
+        case 'add-modifier':
+          return this.processAddModifier(newState, action);
+        
+        case 'remove-modifier':
+          return this.processRemoveModifier(newState, action);
+        
+        case 'attach-card':
+          return this.processAttachCard(newState, action);
+        
+        case 'detach-card':
+          return this.processDetachCard(newState, action);
+        
+        case 'reposition-card':
+          return this.processRepositionCard(newState, action);
+        
+        case 'group-cards':
+          return this.processGroupCards(newState, action);
+        
+        case 'ungroup-cards':
+          return this.processUngroupCards(newState, action);
+        
+        case 'flip-card':
+          return this.processFlipCard(newState, action);
+        
+        case 'turn-face-down':
+          return this.processTurnFaceDown(newState, action);
+        
+        case 'turn-face-up':
+          return this.processTurnFaceUp(newState, action);
+        
+        case 'undo-request':
+          return this.processUndoRequest(newState, action);
+        
+        case 'undo-response':
+          return this.processUndoResponse(newState, action);
+        
+        case 'redo':
+          return this.processRedo(newState, action);
+        
+        case 'reveal-cards':
+          return this.processRevealCards(newState, action);
+        
+        case 'draw-opening-hand':
+          return this.processDrawOpeningHand(newState, action);
+        
+        case 'mulligan':
+          return this.processMulligan(newState, action);
+        
+        case 'keep-hand':
+          return this.processKeepHand(newState, action);
+        
+        case 'add-player-counter':
+          return this.processAddPlayerCounter(newState, action);
+        
+        case 'remove-player-counter':
+          return this.processRemovePlayerCounter(newState, action);
+        
         default:
           console.error(`Unknown action type: ${action.type}`);
           return false;
@@ -183,11 +809,15 @@ class GameStateManager {
     const { playerId, count = 1 } = action.payload;
     const player = state.players.find(p => p.id === playerId);
     
-    if (!player) return false;
-    if (player.library.length < count) return false;
+    if (!player || player.lost) return false;
+    if (!player.deckLoaded && player.library.length < count) return false;
     
+    // Drawing more cards than the library holds loses the game
     const drawnCards = player.library.splice(0, count);
     player.hand.push(...drawnCards);
+    if (drawnCards.length < count) {
+      this.eliminatePlayer(state, action, player, 'empty-library');
+    }
     
     this.setGameState(state);
     return true;
@@ -199,195 +829,2158 @@ class GameStateManager {
     const player = state.players.find(p => p.id === playerId);
     
     if (!player) return false;
+    if (!['battlefield', 'graveyard', 'exile'].includes(targetZone)) return false;
     
-    // Find the card in hand
-    const cardIndex = player.hand.findIndex(card => card.id === cardId);
-    if (cardIndex === -1) return false;
+    // Move the card from hand, revealing it to the other players
+    const card = this.transferCard(state, action, player, 'hand', cardId, targetZone);
+    if (!card) return false;
     
-    // Remove from hand
-    const [card] = player.hand.splice(cardIndex, 1);
+    this.takePriority(state, playerId);
     
-    // Add to target zone
-    switch (targetZone) {
-      case 'battlefield':
-        player.battlefield.push(card);
-        break;
-      case 'graveyard':
-        player.graveyard.push(card);
-        break;
-      case 'exile':
-        player.exile.push(card);
-        break;
-      default:
-        return false;
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process move card action. A card put onto another player's battlefield
+  // comes under their control; cards put anywhere else go to their owner
+  processMoveCard(state, action) {
+    const { playerId, cardId, sourceZone, targetZone, targetPlayerId = playerId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const targetPlayer = state.players.find(p => p.id === targetPlayerId);
+    
+    if (!player || !targetPlayer || !player[sourceZone] || !targetPlayer[targetZone]) return false;
+    
+    // Only commanders can go to the command zone
+    if (targetZone === 'command') {
+      const card = player[sourceZone].find(c => c.id === cardId);
+      if (card && !card.hidden && !card.isCommander) return false;
+    }
+    
+    if (sourceZone === 'battlefield' && targetZone === 'battlefield' && targetPlayer !== player) {
+      const card = player.battlefield.find(c => c.id === cardId);
+      if (!card || card.faceDown || !this.changeControl(state, action, player, cardId, targetPlayer)) return false;
+      
+      this.addLogEntry(state, action, `${targetPlayer.name} gained control of ${card.name}`);
+      this.setGameState(state);
+      return true;
+    }
+    
+    const card = this.transferCard(state, action, player, sourceZone, cardId, targetZone, 'bottom', targetPlayer);
+    if (!card) return false;
+    
+    if (sourceZone === 'battlefield' && targetZone !== 'battlefield') {
+      this.releaseAttachments(state, action, playerId, cardId);
     }
     
     this.setGameState(state);
     return true;
   }
   
-  // Process move card action
-  processMoveCard(state, action) {
-    const { playerId, cardId, sourceZone, targetZone } = action.payload;
+  // Process change control action. The permanent moves to the new controller's
+  // battlefield and goes back to its owner when it leaves the battlefield.
+  // Face-down permanents can't change control, since only their controller
+  // knows what they are
+  processChangeControl(state, action) {
+    const { playerId, cardId, newControllerId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const newController = state.players.find(p => p.id === newControllerId);
+    
+    if (!player || !newController || newController === player || newController.lost) return false;
+    
+    const card = player.battlefield.find(c => c.id === cardId);
+    if (!card || card.faceDown) return false;
+    
+    if (!this.changeControl(state, action, player, cardId, newController)) return false;
+    
+    this.addLogEntry(state, action, `${newController.name} gained control of ${card.name}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process exchange control action. Two permanents controlled by different
+  // players swap controllers
+  processExchangeControl(state, action) {
+    const { playerId, cardId, otherPlayerId, otherCardId } = action.payload;
     const player = state.players.find(p => p.id === playerId);
+    const otherPlayer = state.players.find(p => p.id === otherPlayerId);
     
-    if (!player || !player[sourceZone] || !player[targetZone]) return false;
+    if (!player || !otherPlayer || otherPlayer === player) return false;
     
-    // Find the card in source zone
-    const cardIndex = player[sourceZone].findIndex(card => card.id === cardId);
-    if (cardIndex === -1) return false;
+    const card = player.battlefield.find(c => c.id === cardId);
+    const otherCard = otherPlayer.battlefield.find(c => c.id === otherCardId);
+    if (!card || !otherCard || card.faceDown || otherCard.faceDown) return false;
     
-    // Remove from source zone
-    const [card] = player[sourceZone].splice(cardIndex, 1);
+    if (!this.changeControl(state, action, player, cardId, otherPlayer)) return false;
+    if (!this.changeControl(state, action, otherPlayer, otherCardId, player)) return false;
     
-    // Add to target zone
-    player[targetZone].push(card);
+    this.addLogEntry(state, action, `${player.name} and ${otherPlayer.name} exchanged control of ${card.name} and ${otherCard.name}`);
     
     this.setGameState(state);
     return true;
   }
   
-  // Process update life action
+  // Process update life action. Players who lost are out of the game
   processUpdateLife(state, action) {
     const { playerId, delta } = action.payload;
     const player = state.players.find(p => p.id === playerId);
     
-    if (!player) return false;
+    if (!player || player.lost || !Number.isInteger(delta)) return false;
     
     player.life += delta;
+    this.checkLifeTotals(state, action);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process concede action. Only a player can concede for themselves
+  processConcede(state, action) {
+    const { playerId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || player.lost || action.sourcePlayer !== playerId) return false;
+    
+    this.eliminatePlayer(state, action, player, 'concede');
     
     this.setGameState(state);
     return true;
   }
   
-  // Process change phase action
+  // Process change phase action. Only the active player can skip ahead to a
+  // later step of their turn; they get priority there even without a stop
   processChangePhase(state, action) {
     const { phase } = action.payload;
-    const validPhases = ['untap', 'upkeep', 'draw', 'main1', 'combat', 'main2', 'end'];
     
-    if (!validPhases.includes(phase)) return false;
+    if (!getStep(phase) || state.phase === 'mulligan') return false;
+    if (action.sourcePlayer !== state.activePlayer) return false;
+    if (getStepIndex(phase) <= getStepIndex(state.phase)) return false;
     
-    state.phase = phase;
+    this.enterStep(state, action, phase, false);
     
     this.setGameState(state);
     return true;
   }
   
-  // Process next turn action
+  // Process next turn action. The active player ends their turn, skipping any
+  // steps that are left except cleanup, which leads into the next turn
   processNextTurn(state, action) {
-    const currentPlayerIndex = state.players.findIndex(p => p.id === state.activePlayer);
-    const nextPlayerIndex = (currentPlayerIndex + 1) % state.players.length;
+    if (state.phase === 'mulligan') return false;
+    if (action.sourcePlayer !== state.activePlayer) return false;
     
-    state.activePlayer = state.players[nextPlayerIndex].id;
-    state.phase = 'untap';
-    state.turn += 1;
+    this.enterStep(state, action, 'cleanup');
     
     this.setGameState(state);
     return true;
   }
   
-  // Process add counter action
-  processAddCounter(state, action) {
-    const { playerId, cardId, counterType, count = 1 } = action.payload;
-    const player = state.players.find(p => p.id === playerId);
-    
-    if (!player) return false;
-    
-    // Find the card on battlefield
-    const card = player.battlefield.find(c => c.id === cardId);
-    if (!card) return false;
+  // Process pass priority action. Once every player passed in succession the
+  // game moves on to the next step
+  processPassPriority(state, action) {
+    const { playerId } = action.payload;
     
-    // Initialize counters if needed
-    if (!card.counters) card.counters = {};
-    if (!card.counters[counterType]) card.counters[counterType] = 0;
+    if (!state.priority || state.priority.player !== playerId) return false;
+    if (action.sourcePlayer !== playerId) return false;
     
-    // Add counters
-    card.counters[counterType] += count;
+    this.passPriority(state, action, playerId);
     
     this.setGameState(state);
     return true;
   }
   
-  // Process remove counter action
-  processRemoveCounter(state, action) {
-    const { playerId, cardId, counterType, count = 1 } = action.payload;
+  // Process set stops action
+  processSetStops(state, action) {
+    const { playerId, stops } = action.payload;
     const player = state.players.find(p => p.id === playerId);
     
-    if (!player) return false;
-    
-    // Find the card on battlefield
-    const card = player.battlefield.find(c => c.id === cardId);
-    if (!card || !card.counters || !card.counters[counterType]) return false;
+    if (!player || !stops || action.sourcePlayer !== playerId) return false;
     
-    // Remove counters
-    card.counters[counterType] = Math.max(0, card.counters[counterType] - count);
+    player.stops = normalizeStops(stops);
     
     this.setGameState(state);
     return true;
   }
   
-  // Process create token action
-  processCreateToken(state, action) {
-    const { playerId, tokenData } = action.payload;
+  // Process cast spell action. The card leaves its zone (revealed if it was
+  // hidden) and waits on the stack until it resolves or is countered
+  processCastSpell(state, action) {
+    const { playerId, cardId, sourceZone = 'hand', description = '', targets = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || !player[sourceZone] || sourceZone === 'battlefield') return false;
+    // Commanders are cast with cast-commander, which raises their tax
+    if (sourceZone === 'command') return false;
+    
+    const stackTargets = this.resolveTargets(state, targets);
+    if (!stackTargets) return false;
+    
+    let card = this.takeCard(player, sourceZone, cardId);
+    if (!card) return false;
+    if (isHiddenZone(sourceZone)) {
+      card = this.revealCard(action, card);
+    }
+    
+    this.pushSpell(state, action, playerId, card, description, stackTargets);
+    this.addLogEntry(state, action, `${player.name} cast ${card.name}${this.describeTargets(stackTargets)}`);
+    
+    this.takePriority(state, playerId);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Put a spell on the stack
+  pushSpell(state, action, playerId, card, description, targets) {
+    if (!state.stack) state.stack = [];
+    state.stack.push({
+      id: `${action.id}-stack`,
+      kind: 'spell',
+      controller: playerId,
+      owner: playerId,
+      card,
+      description: String(description).substring(0, 500),
+      targets
+    });
+  }
+  
+  // Process activate ability action. Activated and triggered abilities go on
+  // the stack with a description of what they do; the source card stays put
+  processActivateAbility(state, action) {
+    const { playerId, sourceCardId = null, description = '', targets = [], triggered = false } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || !description) return false;
+    
+    let source = null;
+    if (sourceCardId) {
+      source = player.battlefield.find(c => c.id === sourceCardId);
+      if (!source) return false;
+    }
+    
+    const stackTargets = this.resolveTargets(state, targets);
+    if (!stackTargets) return false;
+    
+    if (!state.stack) state.stack = [];
+    state.stack.push({
+      id: `${action.id}-stack`,
+      kind: triggered ? 'trigger' : 'ability',
+      controller: playerId,
+      source: source ? { id: source.id, name: source.name, image_uris: source.image_uris } : null,
+      description: String(description).substring(0, 500),
+      targets: stackTargets
+    });
+    
+    const sourceName = source ? `${source.name}'s ` : '';
+    const verb = triggered ? 'put a trigger on the stack' : 'activated an ability';
+    this.addLogEntry(state, action, `${player.name} ${verb}: ${sourceName}${description}`);
+    
+    this.takePriority(state, playerId);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process resolve stack action. The top item resolves; a spell's card goes to
+  // the battlefield if it is a permanent and to the graveyard otherwise, unless
+  // a destination is given
+  processResolveStack(state, action) {
+    const { destination = null } = action.payload;
+    
+    if (!state.stack || state.stack.length === 0) return false;
+    if (destination && !['battlefield', 'graveyard', 'exile', 'hand'].includes(destination)) return false;
+    
+    this.resolveTopOfStack(state, action, destination);
+    this.resetPriorityAfterStack(state, action);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process counter spell action. A countered spell goes to its owner's
+  // graveyard; a countered ability simply leaves the stack
+  processCounterSpell(state, action) {
+    const { playerId, stackItemId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const index = (state.stack || []).findIndex(item => item.id === stackItemId);
+    
+    if (!player || index === -1) return false;
+    
+    const [item] = state.stack.splice(index, 1);
+    if (item.kind === 'spell') {
+      const owner = state.players.find(p => p.id === item.owner);
+      owner.graveyard.push(item.card);
+    }
+    
+    this.addLogEntry(state, action, `${player.name} countered ${this.describeStackItem(item)}`);
+    this.resetPriorityAfterStack(state, action);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process reorder stack action. A player can reorder the triggers they
+  // control; order lists their ids from top to bottom and the triggers keep
+  // the stack positions they occupied
+  processReorderStack(state, action) {
+    const { playerId, order = [] } = action.payload;
+    const stack = state.stack || [];
+    
+    if (action.sourcePlayer !== playerId || !Array.isArray(order)) return false;
+    
+    const positions = stack
+      .map((item, index) => (item.kind === 'trigger' && item.controller === playerId ? index : -1))
+      .filter(index => index !== -1);
+    
+    if (order.length !== positions.length || new Set(order).size !== order.length) return false;
+    
+    const triggers = order.map(id => stack.find(item => item.id === id));
+    if (triggers.some(item => !item || item.kind !== 'trigger' || item.controller !== playerId)) return false;
+    
+    // Highest position is the top of the stack
+    [...positions].reverse().forEach((position, i) => {
+      stack[position] = triggers[i];
+    });
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process declare attackers action. The active player declares all their
+  // attackers at once in the declare attackers step, each attacking a player
+  // or one of that player's planeswalkers. Attackers tap unless they have vigilance
+  processDeclareAttackers(state, action) {
+    const { playerId, attackers = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || playerId !== state.activePlayer || action.sourcePlayer !== playerId) return false;
+    if (state.phase !== 'declare-attackers' || state.combat) return false;
+    if (!Array.isArray(attackers) || new Set(attackers.map(a => a.cardId)).size !== attackers.length) return false;
+    
+    const declared = [];
+    for (const { cardId, defendingPlayerId, planeswalkerId = null } of attackers) {
+      const card = player.battlefield.find(c => c.id === cardId);
+      const defender = state.players.find(p => p.id === defendingPlayerId);
+      if (!card || card.tapped || !defender || defender.id === playerId || defender.lost) return false;
+      
+      let planeswalker = null;
+      if (planeswalkerId) {
+        planeswalker = defender.battlefield.find(c => c.id === planeswalkerId);
+        if (!planeswalker || !isPlaneswalker(planeswalker)) return false;
+      }
+      
+      declared.push({ card, defender, planeswalker });
+    }
+    
+    declared.forEach(({ card }) => {
+      if (!hasKeyword(card, 'vigilance')) card.tapped = true;
+    });
+    
+    state.combat = {
+      attackers: declared.map(({ card, defender, planeswalker }) => ({
+        cardId: card.id,
+        playerId,
+        defendingPlayerId: defender.id,
+        planeswalkerId: planeswalker ? planeswalker.id : null,
+        blocked: false
+      })),
+      blockers: [],
+      blockersDeclared: [], // Defending players who have declared their blockers
+      damageDealt: false
+    };
+    
+    const attackText = declared.map(({ card, defender, planeswalker }) =>
+      `${card.name} → ${planeswalker ? `${defender.name}'s ${planeswalker.name}` : defender.name}`
+    );
+    this.addLogEntry(state, action, attackText.length > 0
+      ? `${player.name} attacks: ${attackText.join(', ')}`
+      : `${player.name} declares no attackers`);
+    
+    this.takePriority(state, playerId);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process declare blockers action. Each defending player declares their
+  // blockers once, in the declare blockers step. A blocker can block one
+  // creature attacking that player or their planeswalkers
+  processDeclareBlockers(state, action) {
+    const { playerId, blockers = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const combat = state.combat;
+    
+    if (!player || !combat || action.sourcePlayer !== playerId) return false;
+    if (state.phase !== 'declare-blockers' || combat.blockersDeclared.includes(playerId)) return false;
+    if (!combat.attackers.some(attacker => attacker.defendingPlayerId === playerId)) return false;
+    if (!Array.isArray(blockers) || new Set(blockers.map(b => b.cardId)).size !== blockers.length) return false;
+    
+    const declared = [];
+    for (const { cardId, attackerId } of blockers) {
+      const card = player.battlefield.find(c => c.id === cardId);
+      const attacker = combat.attackers.find(a => a.cardId === attackerId && a.defendingPlayerId === playerId);
+      if (!card || card.tapped || !attacker) return false;
+      
+      declared.push({ card, attacker });
+    }
+    
+    declared.forEach(({ card, attacker }) => {
+      attacker.blocked = true;
+      combat.blockers.push({ cardId: card.id, playerId, attackerId: attacker.cardId });
+    });
+    combat.blockersDeclared.push(playerId);
+    
+    const blockText = declared.map(({ card, attacker }) => {
+      const attackingCard = findPermanent(state, attacker.playerId, attacker.cardId);
+      return `${card.name} blocks ${attackingCard ? attackingCard.name : 'an attacker'}`;
+    });
+    this.addLogEntry(state, action, blockText.length > 0
+      ? `${player.name} blocks: ${blockText.join(', ')}`
+      : `${player.name} declares no blockers`);
+    
+    this.takePriority(state, playerId);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process assign combat damage action. The active player submits the damage
+  // every creature in combat deals, starting from the defaults computed by
+  // Combat.js with any numbers the players overrode. Damage to players is
+  // taken from their life (and counts as commander damage from a commander),
+  // damage to creatures is marked on them and damage to planeswalkers removes
+  // loyalty counters
+  processAssignCombatDamage(state, action) {
+    const { playerId, assignments = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const combat = state.combat;
+    
+    if (!player || !combat || playerId !== state.activePlayer || action.sourcePlayer !== playerId) return false;
+    if (state.phase !== 'combat-damage' || combat.damageDealt || !Array.isArray(assignments)) return false;
+    
+    const inCombat = (sourcePlayerId, sourceId) =>
+      combat.attackers.some(a => a.cardId === sourceId && a.playerId === sourcePlayerId) ||
+      combat.blockers.some(b => b.cardId === sourceId && b.playerId === sourcePlayerId);
+    
+    const resolved = [];
+    for (const { sourceId, sourcePlayerId, targetPlayerId, targetCardId = null, amount } of assignments) {
+      const source = findPermanent(state, sourcePlayerId, sourceId);
+      const targetPlayer = state.players.find(p => p.id === targetPlayerId);
+      const target = targetCardId ? findPermanent(state, targetPlayerId, targetCardId) : null;
+      
+      if (!source || !inCombat(sourcePlayerId, sourceId) || !targetPlayer) return false;
+      if (targetCardId && !target) return false;
+      if (!Number.isInteger(amount) || amount < 0) return false;
+      
+      resolved.push({ source, sourcePlayerId, targetPlayer, target, amount });
+    }
+    
+    const summary = [];
+    resolved.forEach(({ source, sourcePlayerId, targetPlayer, target, amount }) => {
+      if (amount === 0) return;
+      
+      if (!target) {
+        targetPlayer.life -= amount;
+        summary.push(`${source.name} dealt ${amount} to ${targetPlayer.name}`);
+        
+        // Commander damage counts against the commander's owner, whoever controls it
+        if (source.isCommander) {
+          const sourcePlayer = state.players.find(p => p.id === (source.owner || sourcePlayerId));
+          this.addCommanderDamage(state, action, targetPlayer, sourcePlayer, getCommanderKey(source), amount, false);
+        }
+      } else if (isPlaneswalker(target)) {
+        if (!target.counters) target.counters = {};
+        target.counters.loyalty = Math.max(0, getLoyalty(target) - amount);
+        summary.push(`${source.name} dealt ${amount} to ${target.name} (${target.counters.loyalty} loyalty left)`);
+      } else {
+        target.damage = (target.damage || 0) + amount;
+        const lethal = target.damage >= getToughness(target) ? ', lethal' : '';
+        summary.push(`${source.name} dealt ${amount} to ${target.name} (${target.damage} damage${lethal})`);
+      }
+    });
+    
+    combat.damageDealt = true;
+    this.addLogEntry(state, action, summary.length > 0
+      ? `Combat damage: ${summary.join('; ')}`
+      : 'Combat damage: no damage was dealt');
+    this.checkLifeTotals(state, action);
+    
+    this.takePriority(state, playerId);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process mark damage action. amount is added to the damage marked on a
+  // permanent and can be negative to correct a mistake
+  processMarkDamage(state, action) {
+    const { playerId, cardId, amount } = action.payload;
+    const card = findPermanent(state, playerId, cardId);
+    
+    if (!card || !Number.isInteger(amount) || amount === 0) return false;
+    
+    const damage = Math.max(0, (card.damage || 0) + amount);
+    if (damage > 0) {
+      card.damage = damage;
+    } else {
+      delete card.damage;
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process add modifier action. Any player can put a temporary effect on any
+  // permanent; it remembers who added it for "until your next turn"
+  processAddModifier(state, action) {
+    const { playerId, cardId, modifier } = action.payload;
+    const card = findPermanent(state, playerId, cardId);
+    const normalized = normalizeModifier(modifier);
+    const source = state.players.find(p => p.id === action.sourcePlayer);
+    
+    if (!card || !normalized || !source) return false;
+    
+    if (!card.modifiers) card.modifiers = [];
+    card.modifiers.push({
+      ...normalized,
+      id: `${action.id}-modifier`,
+      createdBy: source.id
+    });
+    
+    this.addLogEntry(state, action, `${source.name} gave ${card.name} ${describeModifier(normalized)}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process remove modifier action
+  processRemoveModifier(state, action) {
+    const { playerId, cardId, modifierId } = action.payload;
+    const card = findPermanent(state, playerId, cardId);
+    
+    if (!card || !(card.modifiers || []).some(modifier => modifier.id === modifierId)) return false;
+    
+    this.expireModifiers(card, modifier => modifier.id === modifierId);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process attach card action. A permanent is attached to a host on any
+  // player's battlefield; a card in exile is linked as exiled with the host
+  processAttachCard(state, action) {
+    const { playerId, cardId, sourceZone = 'battlefield', hostPlayerId, hostCardId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const host = findPermanent(state, hostPlayerId, hostCardId);
+    
+    if (!player || !host || !['battlefield', 'exile'].includes(sourceZone)) return false;
+    
+    const card = player[sourceZone].find(c => c.id === cardId);
+    if (!card || (sourceZone === 'battlefield' && cardId === hostCardId && playerId === hostPlayerId)) return false;
+    
+    const link = { playerId: hostPlayerId, cardId: hostCardId };
+    if (sourceZone === 'exile') {
+      card.exiledWith = link;
+      this.addLogEntry(state, action, `${card.name} is exiled with ${host.name}`);
+    } else {
+      // A permanent can't end up attached to itself through its attachments
+      let current = host;
+      while (current?.attachedTo) {
+        if (isLinkedTo(current.attachedTo, playerId, cardId)) return false;
+        current = findPermanent(state, current.attachedTo.playerId, current.attachedTo.cardId);
+      }
+      
+      card.attachedTo = link;
+      this.addLogEntry(state, action, `${card.name} was attached to ${host.name}`);
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process detach card action
+  processDetachCard(state, action) {
+    const { playerId, cardId, sourceZone = 'battlefield' } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || !['battlefield', 'exile'].includes(sourceZone)) return false;
+    
+    const card = player[sourceZone].find(c => c.id === cardId);
+    const linkField = sourceZone === 'exile' ? 'exiledWith' : 'attachedTo';
+    if (!card || !card[linkField]) return false;
+    
+    delete card[linkField];
+    if (sourceZone === 'battlefield') {
+      this.addLogEntry(state, action, `${card.name} was unattached`);
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process reposition card action. Players arrange their own battlefield;
+  // moving a card of a stack moves the whole stack
+  processRepositionCard(state, action) {
+    const { playerId, cardId, x, y } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId) return false;
+    if (!Number.isInteger(x) || !Number.isInteger(y)) return false;
+    
+    const card = player.battlefield.find(c => c.id === cardId);
+    if (!card) return false;
+    
+    const position = clampPosition(x, y);
+    player.battlefield
+      .filter(c => c === card || (card.group && c.group === card.group))
+      .forEach(c => {
+        c.position = { ...position };
+      });
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process group cards action. Identical tokens can share a single stack,
+  // which takes the place of the first of them
+  processGroupCards(state, action) {
+    const { playerId, cardIds = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId) return false;
+    if (!Array.isArray(cardIds) || cardIds.length < 2 || new Set(cardIds).size !== cardIds.length) return false;
+    
+    const cards = cardIds.map(id => player.battlefield.find(c => c.id === id));
+    if (cards.some(card => !card || card.attachedTo)) return false;
+    
+    const tokenKey = getTokenKey(cards[0]);
+    if (!tokenKey || cards.some(card => getTokenKey(card) !== tokenKey)) return false;
+    
+    // Joining an existing stack keeps its id
+    const group = cards.find(card => card.group)?.group || cards[0].id;
+    const leader = player.battlefield.find(c => c.group === group) || cards[0];
+    const position = leader.position || findFreePosition(player.battlefield, leader);
+    cards.forEach(card => {
+      card.group = group;
+      card.position = { ...position };
+    });
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process ungroup cards action. The cards of a stack are fanned out from
+  // where the stack was
+  processUngroupCards(state, action) {
+    const { playerId, group } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || !group || action.sourcePlayer !== playerId) return false;
+    
+    const cards = player.battlefield.filter(c => c.group === group);
+    if (cards.length === 0) return false;
+    
+    cards.forEach((card, index) => {
+      delete card.group;
+      if (card.position) {
+        card.position = clampPosition(card.position.x + index, card.position.y);
+      }
+    });
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process flip card action. Transforming and modal double-faced cards turn
+  // to their other face; a face-down permanent has to be turned face up first
+  processFlipCard(state, action) {
+    const { playerId, cardId } = action.payload;
+    const card = findPermanent(state, playerId, cardId);
+    
+    if (!card || card.faceDown || !isDoubleFaced(card)) return false;
+    
+    const previousName = getCardFace(card).name;
+    if (card.faceIndex) {
+      delete card.faceIndex;
+    } else {
+      card.faceIndex = 1;
+    }
+    this.addLogEntry(state, action, `${previousName} was turned over to ${getCardFace(card).name}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process turn face down action. A permanent, a card from hand (morph) or
+  // a card from the library (manifest) becomes a face-down 2/2. Cards from
+  // hand or library get a new id so they can't be traced back
+  processTurnFaceDown(state, action) {
+    const { playerId, cardId, sourceZone = 'battlefield' } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId) return false;
+    if (!['battlefield', 'hand', 'library'].includes(sourceZone)) return false;
+    
+    if (sourceZone === 'battlefield') {
+      const index = player.battlefield.findIndex(c => c.id === cardId);
+      const card = player.battlefield[index];
+      if (!card || card.faceDown) return false;
+      
+      const { identity, permanentState } = splitPermanent(card);
+      delete identity.faceIndex;
+      player.battlefield[index] = this.createFaceDownCard(player, card.id, identity, permanentState);
+      this.addLogEntry(state, action, `${player.name} turned ${card.name} face down`);
+    } else {
+      // Without a card id the top card of the zone is used
+      const card = this.takeCard(player, sourceZone, cardId ?? player[sourceZone][0]?.id);
+      if (!card) return false;
+      
+      const faceDownCard = this.createFaceDownCard(player, `${action.id}-facedown`, card.hidden ? null : card);
+      player.battlefield.push(faceDownCard);
+      this.placePermanent(player, faceDownCard);
+      this.addLogEntry(state, action, sourceZone === 'hand'
+        ? `${player.name} put a card from their hand onto the battlefield face down`
+        : `${player.name} put a card from their library onto the battlefield face down`);
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process turn face up action. Only the controller knows what a face-down
+  // permanent is, so only they can turn it face up
+  processTurnFaceUp(state, action) {
+    const { playerId, cardId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId) return false;
+    
+    const index = player.battlefield.findIndex(c => c.id === cardId);
+    const card = player.battlefield[index];
+    if (!card?.faceDown) return false;
+    
+    const faceUpCard = this.revealFaceDown(action, card);
+    if (!faceUpCard) return false;
+    
+    player.battlefield[index] = faceUpCard;
+    this.addLogEntry(state, action, `${player.name} turned a face-down card face up: ${faceUpCard.name}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process undo request action. A player asks to undo their last actions,
+  // which also undoes everything other players did since. Without other
+  // players to approve it, the game is rewound right away
+  processUndoRequest(state, action) {
+    const { playerId, count = 1 } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId || state.undoRequest) return false;
+    
+    const undoable = this.getUndoableActions(playerId, state);
+    if (!Number.isInteger(count) || count < 1 || count > undoable.length) return false;
+    
+    const fromSequence = undoable[undoable.length - count].sequence;
+    const request = {
+      id: action.id,
+      playerId,
+      count,
+      fromSequence,
+      actionCount: state.history.actions.filter(a => a.sequence >= fromSequence).length,
+      approvals: []
+    };
+    
+    if (getPendingApprovers(state, request).length === 0) {
+      return this.rewind(state, action, request);
+    }
+    
+    state.undoRequest = request;
+    this.addLogEntry(state, action, `${player.name} asked to undo their last ${describeActionCount(count)}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process undo response action. Every other player still in the game has to
+  // approve the request; one refusal ends it, and so does the requester
+  // withdrawing it
+  processUndoResponse(state, action) {
+    const { playerId, requestId, approve } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const request = state.undoRequest;
+    
+    if (!player || action.sourcePlayer !== playerId || !request || request.id !== requestId) return false;
+    
+    if (playerId === request.playerId) {
+      if (approve) return false;
+      
+      delete state.undoRequest;
+      this.addLogEntry(state, action, `${player.name} withdrew their undo request`);
+    } else {
+      if (!getPendingApprovers(state, request).includes(playerId)) return false;
+      
+      if (!approve) {
+        delete state.undoRequest;
+        this.addLogEntry(state, action, `${player.name} declined the undo`);
+      } else {
+        request.approvals.push(playerId);
+        if (getPendingApprovers(state, request).length === 0) {
+          return this.rewind(state, action, request);
+        }
+        this.addLogEntry(state, action, `${player.name} approved the undo`);
+      }
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process redo action. Applies the actions the player last undid again, as
+  // long as nothing happened since and no one else is playing
+  processRedo(state, action) {
+    const { playerId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId || !this.canRedo(playerId, state)) return false;
+    
+    const { base, actions, redo } = state.history;
+    const redone = redo[redo.length - 1].actions;
+    const restoredState = this.replayActions(this.toCheckpoint(state), redone);
+    if (!restoredState) return false;
+    
+    restoredState.history = { base, actions: [...actions, ...redone], redo: redo.slice(0, -1) };
+    return this.restoreState(state, action, restoredState, `${player.name} redid what they undid`);
+  }
+  
+  // Rewind the game to before the first undone action, by applying the
+  // actions before it to the base of the undo history again
+  rewind(state, action, request) {
+    const { base, actions, redo } = state.history;
+    const kept = actions.filter(a => a.sequence < request.fromSequence);
+    const undone = actions.filter(a => a.sequence >= request.fromSequence);
+    if (undone[0]?.sequence !== request.fromSequence) return false;
+    
+    const restoredState = this.replayActions(base, kept);
+    if (!restoredState) return false;
+    
+    restoredState.history = {
+      base,
+      actions: kept,
+      redo: [...redo, { playerId: request.playerId, actions: undone }]
+    };
+    
+    const player = state.players.find(p => p.id === request.playerId);
+    const otherActions = undone.length - request.count;
+    const message = `${player.name} undid their last ${describeActionCount(request.count)}` +
+      (otherActions > 0 ? ` and ${describeActionCount(otherActions)} of other players` : '');
+    
+    return this.restoreState(state, action, restoredState, message);
+  }
+  
+  // Put back a rebuilt state, while the sequence and the log carry on
+  restoreState(state, action, restoredState, message) {
+    Object.assign(restoredState, {
+      version: state.version,
+      sequence: state.sequence,
+      timestamp: state.timestamp,
+      log: state.log
+    });
+    delete restoredState.undoRequest;
+    
+    this.addLogEntry(restoredState, action, message);
+    
+    this.setGameState(restoredState);
+    return true;
+  }
+  
+  // Process reveal cards action. Peers that can't see the zone only know how
+  // many cards were revealed; when they are revealed to everyone, the cards
+  // come with the action. The last few reveals are kept so recipients can look
+  // at them
+  processRevealCards(state, action) {
+    const { playerId, zone, count, recipients = null } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId || !isHiddenZone(zone)) return false;
+    if (!Number.isInteger(count) || count < 1 || count > player[zone].length) return false;
+    
+    const others = state.players.filter(p => p.id !== playerId).map(p => p.id);
+    if (recipients && (recipients.length === 0 || recipients.some(id => !others.includes(id)))) return false;
+    
+    let cards = Array.from({ length: count }, () => createPlaceholder());
+    if (!this.isHiddenFrom(player, zone)) {
+      const cardIds = action.privatePayload?.cardIds || [];
+      cards = cardIds.map(id => player[zone].find(card => card.id === id));
+      if (cards.length !== count || cards.some(card => !card)) return false;
+    }
+    
+    const reveal = { id: action.id, playerId, zone, count, recipients: recipients || others };
+    const from = zone === 'hand' ? 'their hand' : 'their library';
+    if (recipients) {
+      const names = recipients.map(id => state.players.find(p => p.id === id).name).join(', ');
+      this.addLogEntry(state, action, `${player.name} revealed ${count} card${count === 1 ? '' : 's'} from ${from} to ${names}`);
+    } else {
+      reveal.cards = cards.map(card => this.revealCard(action, card));
+      this.addLogEntry(state, action, `${player.name} revealed ${reveal.cards.map(card => card.name).join(', ')} from ${from}`);
+    }
+    
+    state.reveals = [...(state.reveals || []), reveal].slice(-MAX_REVEALS);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process add counter action
+  processAddCounter(state, action) {
+    const { playerId, cardId, counterType, count = 1 } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    
+    // Find the card on battlefield
+    const card = player.battlefield.find(c => c.id === cardId);
+    if (!card) return false;
+    
+    // Initialize counters if needed
+    if (!card.counters) card.counters = {};
+    if (!card.counters[counterType]) card.counters[counterType] = 0;
+    
+    // Add counters
+    card.counters[counterType] += count;
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process remove counter action
+  processRemoveCounter(state, action) {
+    const { playerId, cardId, counterType, count = 1 } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    
+    // Find the card on battlefield
+    const card = player.battlefield.find(c => c.id === cardId);
+    if (!card || !card.counters || !card.counters[counterType]) return false;
+    
+    // Remove counters
+    card.counters[counterType] = Math.max(0, card.counters[counterType] - count);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process create token action
+  processCreateToken(state, action) {
+    const { playerId, tokenData } = action.payload;
     const player = state.players.find(p => p.id === playerId);
     
     if (!player) return false;
     
-    // Create token with unique ID
+    // Derive the token ID from the action so every peer creates the same one
     const token = {
       ...tokenData,
-      id: uuidv4(),
+      id: `${action.id}-token`,
       isToken: true
     };
     
-    // Add to battlefield
-    player.battlefield.push(token);
+    // Add to battlefield
+    player.battlefield.push(token);
+    this.placePermanent(player, token);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process copy card action. Any player can copy a card they can see on any
+  // player's battlefield or public zone. The copy is a token with the card's
+  // Scryfall data, but none of its state, and is always face up unless it
+  // copies a face-down permanent
+  processCopyCard(state, action) {
+    const { playerId, sourcePlayerId, cardId, sourceZone = 'battlefield' } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const sourcePlayer = state.players.find(p => p.id === sourcePlayerId);
+    
+    if (!player || !sourcePlayer || !PUBLIC_ZONES.includes(sourceZone)) return false;
+    
+    const card = (sourcePlayer[sourceZone] || []).find(c => c.id === cardId);
+    if (!card) return false;
+    
+    const { identity } = splitPermanent(card);
+    delete identity.hiddenCard;
+    delete identity.isCommander;
+    delete identity.exiledWith;
+    delete identity.owner;
+    
+    const copy = {
+      ...(card.faceDown ? { ...FACE_DOWN_CARD, faceDown: true } : identity),
+      id: `${action.id}-copy`,
+      isToken: true,
+      isCopy: true
+    };
+    
+    player.battlefield.push(copy);
+    this.placePermanent(player, copy);
+    this.addLogEntry(state, action, `${player.name} created a copy of ${card.name}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process shuffle library action. The order comes from the shared seed in
+  // the action's proof, so no player can choose how a library ends up
+  processShuffleLibrary(state, action) {
+    const { playerId, randomness } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    
+    const seed = this.verifyRandomness(state, action, randomness);
+    if (!seed) {
+      console.error(`Rejected shuffle ${action.id}: invalid randomness proof`);
+      return false;
+    }
+    
+    this.addLogEntry(state, action, `${player.name} shuffled their library (seed ${seed.substring(0, 8)})`);
+    
+    // Only the owner holds the real library; everyone else just sees placeholders
+    if (this.isHiddenFrom(player, 'library')) {
+      this.setGameState(state);
+      return true;
+    }
+    
+    this.reorderLibrary(player, action, seed);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Shuffle a library we hold the cards for. Fresh private ids, so earlier
+  // references can't be used to track cards through the shuffle
+  reorderLibrary(player, action, seed) {
+    player.library = shuffleWithSeed(player.library, seed).map((card, index) => ({
+      ...card,
+      id: this.derivePrivateId(action, index)
+    }));
+  }
+  
+  // Seed of the randomness proof attached to an action, or null if the proof
+  // doesn't hold up. The round must have been started for this action, every
+  // player still in the game must have taken part in it, and it can only be
+  // used once; used rounds are kept in the state so every peer agrees on them
+  verifyRandomness(state, action, randomness) {
+    const seed = this.randomness.verifyProof(randomness, {
+      actionId: action.id,
+      participants: getPlayersInGame(state).map(player => player.id),
+      usedRounds: state.randomRounds || []
+    });
+    if (!seed) return null;
+    
+    state.randomRounds = [...(state.randomRounds || []), randomness.roundId];
+    return seed;
+  }
+  
+  // Process move to library action
+  processMoveToLibrary(state, action) {
+    const { playerId, cardId, sourceZone, position } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || !player[sourceZone]) return false;
+    
+    // Add to library based on position, defaulting to top
+    const card = this.transferCard(
+      state,
+      action,
+      player,
+      sourceZone,
+      cardId,
+      'library',
+      position === 'bottom' ? 'bottom' : 'top'
+    );
+    if (!card) return false;
+    
+    if (sourceZone === 'battlefield') {
+      this.releaseAttachments(state, action, playerId, cardId);
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process tap card action
+  processTapCard(state, action) {
+    const { playerId, cardId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    
+    // Find the card on battlefield
+    const card = player.battlefield.find(c => c.id === cardId);
+    if (!card || card.tapped) return false;
+    
+    card.tapped = true;
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process untap card action
+  processUntapCard(state, action) {
+    const { playerId, cardId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    
+    // Find the card on battlefield
+    const card = player.battlefield.find(c => c.id === cardId);
+    if (!card || !card.tapped) return false;
+    
+    card.tapped = false;
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process untap all action (manual untap, ignores "doesn't untap" flags)
+  processUntapAll(state, action) {
+    const { playerId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    
+    this.untapPermanents(player, false);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process set "doesn't untap during untap step" flag action
+  processSetDoesNotUntap(state, action) {
+    const { playerId, cardId, doesNotUntap = true } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    
+    // Find the card on battlefield
+    const card = player.battlefield.find(c => c.id === cardId);
+    if (!card) return false;
+    
+    card.doesNotUntap = doesNotUntap;
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process look at library action (scry, surveil or look at the top N cards)
+  // The whole reordering is applied atomically; the log only shows where cards went
+  processLookAtLibrary(state, action) {
+    const { playerId, mode = 'look', placements = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    // Only the owner knows the cards, so only they can look at their library
+    if (!player || action.sourcePlayer !== playerId) return false;
+    
+    const allowedDestinations = {
+      scry: ['top', 'bottom'],
+      surveil: ['top', 'graveyard'],
+      look: ['top', 'bottom', 'graveyard', 'hand']
+    }[mode];
+    
+    if (!allowedDestinations) return false;
+    if (placements.length === 0 || placements.length > player.library.length) return false;
+    
+    // Every placement must refer to one of the top N cards of the library
+    const topCards = player.library.slice(0, placements.length);
+    const placedCards = { top: [], bottom: [], graveyard: [], hand: [] };
+    
+    for (const { cardId, destination } of placements) {
+      if (!allowedDestinations.includes(destination)) return false;
+      
+      let cardIndex = topCards.findIndex(card => card.id === cardId);
+      
+      // Peers that can't see the library only hold placeholders for these cards
+      if (cardIndex === -1 && this.isHiddenFrom(player, 'library')) {
+        cardIndex = 0;
+      }
+      if (cardIndex === -1) return false;
+      
+      const [card] = topCards.splice(cardIndex, 1);
+      placedCards[destination].push(card);
+    }
+    
+    // Cards are placed in the order they were submitted, first card ending up on top
+    player.library = [
+      ...placedCards.top,
+      ...player.library.slice(placements.length),
+      ...placedCards.bottom
+    ];
+    
+    // Surveilled cards become public as they hit the graveyard
+    player.graveyard.push(...placedCards.graveyard.map(card => this.revealCard(action, card)));
+    player.hand.push(...placedCards.hand);
+    
+    // Only the number of cards per destination is logged, never their identities
+    const summary = [
+      placedCards.top.length > 0 && `${placedCards.top.length} top`,
+      placedCards.bottom.length > 0 && `${placedCards.bottom.length} bottom`,
+      placedCards.graveyard.length > 0 && `${placedCards.graveyard.length} to graveyard`,
+      placedCards.hand.length > 0 && `${placedCards.hand.length} to hand`
+    ].filter(Boolean).join(', ');
+    
+    const verb = {
+      scry: `scried ${placements.length}`,
+      surveil: `surveilled ${placements.length}`,
+      look: `looked at the top ${placements.length} cards of their library`
+    }[mode];
+    
+    this.addLogEntry(state, action, `${player.name} ${verb} (${summary})`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process search library action. Peers that can't see the library move
+  // placeholders; cards put onto the battlefield or into the graveyard are
+  // revealed as they arrive. The rest of the library is shuffled before the
+  // cards put on top go there, in the order they were chosen in
+  processSearchLibrary(state, action) {
+    const { playerId, destinations = [], randomness = null } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId) return false;
+    if (destinations.length > player.library.length) return false;
+    if (destinations.some(destination => !['hand', 'battlefield', 'graveyard', 'top'].includes(destination))) return false;
+    
+    const cardIds = action.privatePayload?.cardIds || [];
+    if (!this.isHiddenFrom(player, 'library')) {
+      if (cardIds.length !== destinations.length || new Set(cardIds).size !== cardIds.length) return false;
+    }
+    
+    const moved = { hand: [], battlefield: [], graveyard: [], top: [] };
+    destinations.forEach((destination, index) => moved[destination].push(cardIds[index]));
+    
+    for (const zone of ['hand', 'battlefield', 'graveyard']) {
+      for (const cardId of moved[zone]) {
+        if (!this.transferCard(state, action, player, 'library', cardId, zone)) return false;
+      }
+    }
+    
+    const summary = ['hand', 'battlefield', 'graveyard', 'top']
+      .filter(destination => moved[destination].length > 0)
+      .map(destination => {
+        const count = moved[destination].length;
+        const cards = `${count} card${count === 1 ? '' : 's'}`;
+        return destination === 'top' ? `put ${cards} on top` : `took ${cards} to ${destination}`;
+      });
+    
+    // Take every card going on top first, so none of them is found again
+    const topCards = moved.top.map(cardId => this.takeCard(player, 'library', cardId));
+    if (topCards.some(card => !card)) return false;
+    
+    if (randomness) {
+      const seed = this.verifyRandomness(state, action, randomness);
+      if (!seed) {
+        console.error(`Rejected library search ${action.id}: invalid randomness proof`);
+        return false;
+      }
+      if (!this.isHiddenFrom(player, 'library')) {
+        this.reorderLibrary(player, action, seed);
+      }
+    }
+    player.library.unshift(...topCards);
+    
+    const found = summary.length > 0 ? ` and ${summary.join(', ')}` : '';
+    const shuffled = randomness ? ', then shuffled it' : '';
+    this.addLogEntry(state, action, `${player.name} searched their library${found}${shuffled}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process load deck action. The card list only travels in the owner's private
+  // part of the action; the other players just learn how many cards there are
+  processLoadDeck(state, action) {
+    const { playerId, count, commander = null } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player) return false;
+    if (action.sourcePlayer !== playerId) return false;
+    
+    if (this.isHiddenFrom(player, 'library')) {
+      player.library = Array.from({ length: count }, () => createPlaceholder());
+    } else {
+      const cards = action.privatePayload?.cards;
+      if (!cards || cards.length !== count) return false;
+      
+      player.library = this.createLibrary(cards, action);
+    }
+    
+    // The commander is public and starts in the command zone
+    if (commander) {
+      player.commander = commander;
+      player.command = [this.createCommanderCard(commander, `${action.id}-commander`)];
+    }
+    player.deckLoaded = true;
+    
+    this.addLogEntry(state, action, `${player.name} loaded a ${count} card deck`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process cast commander action. The commander goes from the command zone
+  // onto the stack like any other spell, and every cast makes the next one
+  // cost more
+  processCastCommander(state, action) {
+    const { playerId, cardId, description = '', targets = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || !player.command || action.sourcePlayer !== playerId) return false;
+    
+    const commander = player.command.find(c => c.id === cardId);
+    if (!commander) return false;
+    
+    const stackTargets = this.resolveTargets(state, targets);
+    if (!stackTargets) return false;
+    
+    if (!player.commanderTax) player.commanderTax = {};
+    const key = getCommanderKey(commander);
+    const tax = player.commanderTax[key] || 0;
+    
+    this.pushSpell(state, action, playerId, this.takeCard(player, 'command', cardId), description, stackTargets);
+    player.commanderTax[key] = tax + COMMANDER_TAX_INCREMENT;
+    this.takePriority(state, playerId);
+    
+    this.addLogEntry(state, action, `${player.name} cast ${commander.name} from the command zone (tax ${tax})${this.describeTargets(stackTargets)}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process commander damage action. amount can be negative to correct a
+  // mistake; life only changes when affectsLife is set, which is the default
+  processCommanderDamage(state, action) {
+    const { playerId, sourcePlayerId, commanderKey, amount, affectsLife = true } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const sourcePlayer = state.players.find(p => p.id === sourcePlayerId);
+    
+    if (!player || !sourcePlayer || !commanderKey || !Number.isInteger(amount) || amount === 0) return false;
+    
+    this.addCommanderDamage(state, action, player, sourcePlayer, commanderKey, amount, affectsLife);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Record damage a player took from another player's commander
+  addCommanderDamage(state, action, player, sourcePlayer, commanderKey, amount, affectsLife) {
+    if (!player.commanderDamage) player.commanderDamage = {};
+    if (!player.commanderDamage[sourcePlayer.id]) player.commanderDamage[sourcePlayer.id] = {};
+    
+    const damageFromSource = player.commanderDamage[sourcePlayer.id];
+    const previous = damageFromSource[commanderKey] || 0;
+    const total = Math.max(0, previous + amount);
+    damageFromSource[commanderKey] = total;
+    
+    if (affectsLife) {
+      player.life -= total - previous;
+      this.checkLifeTotals(state, action);
+    }
+    
+    const commanderName = sourcePlayer.commander?.name || 'commander';
+    this.addLogEntry(state, action, `${player.name} has taken ${total} damage from ${sourcePlayer.name}'s ${commanderName}`);
+    
+    // 21 damage from a single commander makes a player lose. Losing is final;
+    // a mistake has to be undone
+    const limit = getFormat(state.config?.format).commanderDamageLimit;
+    if (limit && total >= limit) {
+      this.eliminatePlayer(state, action, player, 'commander-damage');
+    }
+  }
+  
+  // Process draw opening hand action
+  processDrawOpeningHand(state, action) {
+    const { playerId } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const status = state.mulligan?.[playerId];
+    
+    if (!player || !status || state.phase !== 'mulligan' || action.sourcePlayer !== playerId) return false;
+    if (status.kept || player.hand.length > 0) return false;
+    
+    const rule = getMulliganRule(state.config?.mulliganRule, state.players.length);
+    const handSize = Math.min(getOpeningHandSize(rule, status.count), player.library.length);
+    player.hand.push(...player.library.splice(0, handSize));
+    
+    this.addLogEntry(state, action, `${player.name} drew an opening hand of ${handSize}`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process mulligan action. The hand goes back into the library, which is
+  // shuffled with the shared seed from the action's proof, and a new hand is drawn
+  processMulligan(state, action) {
+    const { playerId, randomness } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const status = state.mulligan?.[playerId];
+    
+    if (!player || !status || state.phase !== 'mulligan' || status.kept) return false;
+    if (action.sourcePlayer !== playerId) return false;
+    
+    const seed = this.verifyRandomness(state, action, randomness);
+    if (!seed) {
+      console.error(`Rejected mulligan ${action.id}: invalid randomness proof`);
+      return false;
+    }
+    
+    // Hand and library are both hidden, so cards move between them as they are
+    player.library.push(...player.hand);
+    player.hand = [];
+    if (!this.isHiddenFrom(player, 'library')) {
+      this.reorderLibrary(player, action, seed);
+    }
+    
+    status.count += 1;
+    
+    const rule = getMulliganRule(state.config?.mulliganRule, state.players.length);
+    const handSize = Math.min(getOpeningHandSize(rule, status.count), player.library.length);
+    player.hand.push(...player.library.splice(0, handSize));
+    
+    this.addLogEntry(state, action, `${player.name} took mulligan ${status.count} and drew ${handSize} cards`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process keep hand action. With the London rule one card per paid
+  // mulligan goes to the bottom of the library. Turn 1 starts once every player kept
+  processKeepHand(state, action) {
+    const { playerId, bottomCardIds = [] } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const status = state.mulligan?.[playerId];
+    
+    if (!player || !status || state.phase !== 'mulligan' || status.kept) return false;
+    if (action.sourcePlayer !== playerId) return false;
+    
+    const rule = getMulliganRule(state.config?.mulliganRule, state.players.length);
+    const bottomCount = Math.min(getMulliganBottomCount(rule, status.count), player.hand.length);
+    if (bottomCardIds.length !== bottomCount) return false;
+    
+    for (const cardId of bottomCardIds) {
+      if (!this.transferCard(state, action, player, 'hand', cardId, 'library', 'bottom')) return false;
+    }
+    
+    status.kept = true;
+    
+    const mulligans = status.count === 1 ? '1 mulligan' : `${status.count} mulligans`;
+    this.addLogEntry(state, action, `${player.name} kept ${player.hand.length} cards after ${mulligans}`);
+    
+    if (Object.values(state.mulligan).every(s => s.kept)) {
+      this.addLogEntry(state, action, 'All players kept their hands');
+      
+      // The first turn waits for the starting player to be chosen
+      if (state.startingPlayer !== null) {
+        this.startTurn(state, action, state.activePlayer);
+      }
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process choose starting player action. The shared seed picks who takes
+  // the first turn, once per game
+  processChooseStartingPlayer(state, action) {
+    const { randomness } = action.payload;
+    
+    if (state.phase !== 'mulligan' || state.startingPlayer !== null) return false;
+    
+    const seed = this.verifyRandomness(state, action, randomness);
+    if (!seed) {
+      console.error(`Rejected starting player choice ${action.id}: invalid randomness proof`);
+      return false;
+    }
+    
+    const player = pickWithSeed(state.players, seed);
+    state.activePlayer = player.id;
+    state.startingPlayer = player.id;
+    this.addLogEntry(state, action, `${player.name} was chosen at random to go first (seed ${seed.substring(0, 8)})`);
+    
+    if (Object.values(state.mulligan).every(s => s.kept)) {
+      this.startTurn(state, action, state.activePlayer);
+    }
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process roll die action. Up to 20 dice with 2 to 1000 sides each
+  processRollDie(state, action) {
+    const { playerId, sides = 20, count = 1, randomness } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId) return false;
+    if (!Number.isInteger(sides) || sides < 2 || sides > 1000) return false;
+    if (!Number.isInteger(count) || count < 1 || count > 20) return false;
+    
+    const seed = this.verifyRandomness(state, action, randomness);
+    if (!seed) {
+      console.error(`Rejected die roll ${action.id}: invalid randomness proof`);
+      return false;
+    }
+    
+    const rolls = rollWithSeed(seed, sides, count);
+    const dice = `${count > 1 ? count : 'a '}d${sides}`;
+    const total = count > 1 ? ` = ${rolls.reduce((sum, roll) => sum + roll, 0)}` : '';
+    this.addLogEntry(state, action, `${player.name} rolled ${dice}: ${rolls.join(', ')}${total} (seed ${seed.substring(0, 8)})`);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process flip coin action. Up to 20 coins at once
+  processFlipCoin(state, action) {
+    const { playerId, count = 1, randomness } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    
+    if (!player || action.sourcePlayer !== playerId) return false;
+    if (!Number.isInteger(count) || count < 1 || count > 20) return false;
+    
+    const seed = this.verifyRandomness(state, action, randomness);
+    if (!seed) {
+      console.error(`Rejected coin flip ${action.id}: invalid randomness proof`);
+      return false;
+    }
+    
+    const flips = rollWithSeed(seed, 2, count).map(roll => (roll === 1 ? 'heads' : 'tails'));
+    const coins = count > 1 ? `${count} coins` : 'a coin';
+    this.addLogEntry(state, action, `${player.name} flipped ${coins}: ${flips.join(', ')} (seed ${seed.substring(0, 8)})`);
     
     this.setGameState(state);
     return true;
   }
   
-  // Process shuffle library action
-  processShuffleLibrary(state, action) {
-    const { playerId } = action.payload;
+  // Process random choice action. One of 2 to 20 options is picked
+  processRandomChoice(state, action) {
+    const { playerId, options = [], randomness } = action.payload;
     const player = state.players.find(p => p.id === playerId);
     
-    if (!player) return false;
+    if (!player || action.sourcePlayer !== playerId) return false;
+    if (!Array.isArray(options) || options.length < 2 || options.length > 20) return false;
+    if (options.some(option => typeof option !== 'string' || !option.trim())) return false;
     
-    // Fisher-Yates shuffle algorithm
-    for (let i = player.library.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [player.library[i], player.library[j]] = [player.library[j], player.library[i]];
+    const seed = this.verifyRandomness(state, action, randomness);
+    if (!seed) {
+      console.error(`Rejected random choice ${action.id}: invalid randomness proof`);
+      return false;
     }
     
+    const labels = options.map(option => option.trim().substring(0, 100));
+    const choice = pickWithSeed(labels, seed);
+    this.addLogEntry(state, action, `${player.name} chose at random from ${labels.join(', ')}: ${choice} (seed ${seed.substring(0, 8)})`);
+    
     this.setGameState(state);
     return true;
   }
   
-  // Process move to library action
-  processMoveToLibrary(state, action) {
-    const { playerId, cardId, sourceZone, position } = action.payload;
+  // Process add player counter action
+  processAddPlayerCounter(state, action) {
+    const { playerId, counterType, count = 1 } = action.payload;
     const player = state.players.find(p => p.id === playerId);
+    const type = normalizePlayerCounterType(counterType);
     
-    if (!player || !player[sourceZone]) return false;
+    if (!player || !type || !Number.isInteger(count) || count < 1) return false;
+    
+    if (!player.counters) player.counters = {};
+    this.setPlayerCounter(state, action, player, type, (player.counters[type] || 0) + count);
+    
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Process remove player counter action
+  processRemovePlayerCounter(state, action) {
+    const { playerId, counterType, count = 1 } = action.payload;
+    const player = state.players.find(p => p.id === playerId);
+    const type = normalizePlayerCounterType(counterType);
     
-    // Find the card in source zone
-    const cardIndex = player[sourceZone].findIndex(card => card.id === cardId);
-    if (cardIndex === -1) return false;
+    if (!player || !type || !Number.isInteger(count) || count < 1) return false;
+    if (!player.counters || !player.counters[type]) return false;
     
-    // Remove from source zone
-    const [card] = player[sourceZone].splice(cardIndex, 1);
+    this.setPlayerCounter(state, action, player, type, player.counters[type] - count);
     
-    // Add to library based on position
-    if (position === 'bottom') {
-      player.library.push(card);
+    this.setGameState(state);
+    return true;
+  }
+  
+  // Set a player counter, dropping it once it reaches zero. Ten poison
+  // counters make a player lose
+  setPlayerCounter(state, action, player, type, value) {
+    const total = Math.max(0, value);
+    if (total > 0) {
+      player.counters[type] = total;
     } else {
-      // Default to top
-      player.library.unshift(card);
+      delete player.counters[type];
     }
     
-    this.setGameState(state);
-    return true;
+    this.addLogEntry(state, action, `${player.name} has ${total} ${getPlayerCounterName(type).toLowerCase()} counter${total === 1 ? '' : 's'}`);
+    
+    if (type === 'poison' && total >= POISON_LIMIT) {
+      this.eliminatePlayer(state, action, player, 'poison');
+    }
+  }
+  
+  // Players at 0 life or less lose the game
+  checkLifeTotals(state, action) {
+    state.players
+      .filter(player => player.life <= 0)
+      .forEach(player => this.eliminatePlayer(state, action, player, 'life'));
+  }
+  
+  // A player loses the game and leaves it. The game is over once at most one
+  // player is left in it
+  eliminatePlayer(state, action, player, reason) {
+    if (player.lost) return;
+    
+    player.lost = true;
+    player.lossReason = reason;
+    state.eliminated = [...(state.eliminated || []), player.id];
+    this.addLogEntry(state, action, `${player.name} ${LOSS_MESSAGES[reason]}`);
+    
+    this.leaveGame(state, action, player);
+    
+    if (!state.gameOver && isGameOver(state)) {
+      const placements = getPlacements(state);
+      const winner = state.players.length > 1 ? state.players.find(p => p.id === placements[0]) : null;
+      state.gameOver = { winnerId: winner ? winner.id : null, placements };
+      this.addLogEntry(state, action, winner ? `${winner.name} won the game` : 'The game is over');
+    }
+  }
+  
+  // A player who left the game takes everything they own with them. Permanents
+  // of other players they controlled go back to their owners, and whatever
+  // else they controlled is removed as well
+  leaveGame(state, action, player) {
+    player.battlefield
+      .filter(card => card.owner && card.owner !== player.id)
+      .forEach(card => {
+        const owner = state.players.find(p => p.id === card.owner);
+        if (owner && !owner.lost) {
+          this.changeControl(state, action, player, card.id, owner);
+        }
+      });
+    
+    const leaving = [];
+    state.players.forEach(p => {
+      p.battlefield = p.battlefield.filter(card => {
+        const leaves = p === player || card.owner === player.id;
+        if (leaves) leaving.push({ playerId: p.id, cardId: card.id });
+        return !leaves;
+      });
+    });
+    leaving.forEach(({ playerId, cardId }) => this.releaseAttachments(state, action, playerId, cardId));
+    
+    if (state.stack) {
+      state.stack = state.stack.filter(item => item.controller !== player.id && item.owner !== player.id);
+    }
+    
+    // Creatures attacking the player or controlled by them are removed from combat
+    const combat = state.combat;
+    if (combat) {
+      const removed = combat.attackers.filter(attacker =>
+        attacker.playerId === player.id || attacker.defendingPlayerId === player.id
+      );
+      combat.attackers = combat.attackers.filter(attacker => !removed.includes(attacker));
+      combat.blockers = combat.blockers.filter(blocker =>
+        blocker.playerId !== player.id && !removed.some(attacker => attacker.cardId === blocker.attackerId)
+      );
+    }
+    
+    if (state.undoRequest?.playerId === player.id) {
+      delete state.undoRequest;
+    }
+    
+    // Leaving with priority counts as passing it
+    if (state.priority?.player === player.id) {
+      this.passPriority(state, action, player.id);
+    }
+  }
+  
+  // Begin the next turn with the given player active
+  startTurn(state, action, playerId) {
+    const player = state.players.find(p => p.id === playerId);
+    
+    state.activePlayer = playerId;
+    state.turn += 1;
+    this.addLogEntry(state, action, `Turn ${state.turn}: ${player.name}`);
+    
+    // Effects that last until this player's next turn end
+    state.players.forEach(p => p.battlefield.forEach(card => {
+      this.expireModifiers(card, modifier => modifier.expiry === 'next-turn' && modifier.createdBy === playerId);
+    }));
+    
+    this.enterStep(state, action, 'untap');
+  }
+  
+  // Enter a step: perform its turn-based actions, then give the active player
+  // priority. Steps nobody stops in are passed through automatically
+  enterStep(state, action, stepId, autoPass = true) {
+    const activePlayer = state.players.find(p => p.id === state.activePlayer);
+    state.phase = stepId;
+    state.priority = null;
+    
+    // Creatures stop attacking and blocking when the combat phase is over
+    if (getStep(stepId).phase !== 'combat') {
+      delete state.combat;
+    }
+    
+    if (stepId === 'untap') {
+      this.untapPermanents(activePlayer, true);
+    } else if (stepId === 'draw') {
+      // The starting player of a two-player game skips their first draw
+      const skipsDraw = state.turn === 1 && state.players.length === 2;
+      if (!skipsDraw && activePlayer.library.length > 0) {
+        activePlayer.hand.push(activePlayer.library.shift());
+      } else if (!skipsDraw && activePlayer.deckLoaded && !activePlayer.lost) {
+        this.eliminatePlayer(state, action, activePlayer, 'empty-library');
+      }
+    } else if (stepId === 'cleanup') {
+      // Marked damage and "until end of turn" effects wear off
+      state.players.forEach(player => player.battlefield.forEach(card => {
+        delete card.damage;
+        this.expireModifiers(card, modifier => modifier.expiry === 'end-of-turn');
+      }));
+    }
+    
+    if (!getStep(stepId).priority) {
+      this.advanceStep(state, action);
+      return;
+    }
+    
+    // Nobody is left to act once every player has lost
+    if (state.players.every(p => p.lost)) return;
+    
+    const firstPlayer = activePlayer.lost ? this.getNextPlayerId(state, activePlayer.id) : activePlayer.id;
+    state.priority = { player: firstPlayer, passes: [] };
+    if (autoPass) {
+      this.autoPassPriority(state, action);
+    }
+  }
+  
+  // Handle the cards linked to a permanent that left the battlefield. Auras
+  // attached to it go to the graveyard, other attachments stay unattached and
+  // cards exiled with it lose the link
+  releaseAttachments(state, action, hostPlayerId, hostCardId) {
+    state.players.forEach(player => {
+      player.battlefield
+        .filter(card => isLinkedTo(card.attachedTo, hostPlayerId, hostCardId))
+        .forEach(card => {
+          if (isAura(card)) {
+            this.transferCard(state, action, player, 'battlefield', card.id, 'graveyard');
+            this.addLogEntry(state, action, `${card.name} was put into the graveyard`);
+            this.releaseAttachments(state, action, player.id, card.id);
+          } else {
+            delete card.attachedTo;
+          }
+        });
+      
+      player.exile
+        .filter(card => isLinkedTo(card.exiledWith, hostPlayerId, hostCardId))
+        .forEach(card => {
+          delete card.exiledWith;
+        });
+    });
+  }
+  
+  // Remove the modifiers of a permanent that have expired
+  expireModifiers(card, isExpired) {
+    if (!card.modifiers) return;
+    
+    card.modifiers = card.modifiers.filter(modifier => !isExpired(modifier));
+    if (card.modifiers.length === 0) {
+      delete card.modifiers;
+    }
+  }
+  
+  // Move on to the next step, or to the next turn after cleanup
+  advanceStep(state, action) {
+    const nextStep = getNextStep(state.phase);
+    
+    if (nextStep) {
+      this.enterStep(state, action, nextStep);
+    } else {
+      this.startTurn(state, action, this.getNextPlayerId(state, state.activePlayer));
+    }
+  }
+  
+  // Pass priority to the next player in turn order. When everyone still in the
+  // game passed in succession, the step ends
+  passPriority(state, action, playerId) {
+    const priority = state.priority;
+    if (!priority.passes.includes(playerId)) {
+      priority.passes.push(playerId);
+    }
+    
+    const playersInGame = state.players.filter(p => !p.lost);
+    if (playersInGame.every(p => priority.passes.includes(p.id))) {
+      // With something on the stack, the top item resolves instead of the step ending
+      if (state.stack?.length > 0) {
+        this.resolveTopOfStack(state, action);
+        this.resetPriorityAfterStack(state, action);
+      } else {
+        this.advanceStep(state, action);
+      }
+      return;
+    }
+    
+    priority.player = this.getNextPlayerId(state, playerId);
+    this.autoPassPriority(state, action);
+  }
+  
+  // Pass on behalf of the priority holder while they have no stop in this step
+  autoPassPriority(state, action) {
+    const holder = state.players.find(p => p.id === state.priority?.player);
+    if (holder && !this.stopsAt(state, holder)) {
+      this.passPriority(state, action, holder.id);
+    }
+  }
+  
+  // Whether a player wants to act in the current step
+  stopsAt(state, player) {
+    if (state.stack?.length > 0) return true;
+    
+    // Combat waits for blockers and damage. Attacking is optional, so the
+    // declare attackers step only stops where the player asked for it
+    const decision = getCombatDecision(state, player.id);
+    if (decision === 'blockers' || decision === 'damage') return true;
+    
+    const isActive = player.id === state.activePlayer;
+    if (isActive && state.phase === MANDATORY_STOP) return true;
+    
+    const stops = player.stops || DEFAULT_STOPS;
+    return (isActive ? stops.own : stops.others).includes(state.phase);
+  }
+  
+  // After the stack changes the active player receives priority again
+  resetPriorityAfterStack(state, action) {
+    if (!state.priority) return;
+    
+    const activePlayer = state.players.find(p => p.id === state.activePlayer);
+    const firstPlayer = activePlayer.lost ? this.getNextPlayerId(state, activePlayer.id) : activePlayer.id;
+    state.priority = { player: firstPlayer, passes: [] };
+    this.autoPassPriority(state, action);
+  }
+  
+  // Resolve the top item of the stack
+  resolveTopOfStack(state, action, destination = null) {
+    const item = state.stack.pop();
+    
+    if (item.kind === 'spell') {
+      const owner = state.players.find(p => p.id === item.owner);
+      const zone = destination || (this.isPermanentCard(item.card) ? 'battlefield' : 'graveyard');
+      owner[zone].push(this.isHiddenFrom(owner, zone) ? createPlaceholder() : item.card);
+      if (zone === 'battlefield') {
+        this.placePermanent(owner, item.card);
+      }
+    }
+    
+    this.addLogEntry(state, action, `${this.describeStackItem(item)} resolved`);
+  }
+  
+  // Instants and sorceries go to the graveyard when they resolve, everything
+  // else enters the battlefield. Cards without a type line count as permanents
+  isPermanentCard(card) {
+    const typeLine = card.type_line || '';
+    return !/\b(Instant|Sorcery)\b/.test(typeLine);
+  }
+  
+  // Short name of a stack item for the log
+  describeStackItem(item) {
+    if (item.kind === 'spell') return item.card.name;
+    return item.source ? `${item.source.name}'s ability` : `ability (${item.description})`;
+  }
+  
+  // What a spell targets, for the log
+  describeTargets(targets) {
+    return targets.length > 0 ? ` targeting ${targets.map(t => t.name).join(', ')}` : '';
+  }
+  
+  // Check the targets of a spell or ability and attach their names, or return
+  // null if one of them doesn't exist. A target is a player or one of their permanents
+  resolveTargets(state, targets) {
+    if (!Array.isArray(targets)) return null;
+    
+    const resolved = [];
+    for (const { playerId, cardId = null } of targets) {
+      const player = state.players.find(p => p.id === playerId);
+      if (!player) return null;
+      
+      if (cardId) {
+        const card = player.battlefield.find(c => c.id === cardId);
+        if (!card) return null;
+        resolved.push({ playerId, cardId, name: card.name });
+      } else {
+        resolved.push({ playerId, cardId: null, name: player.name });
+      }
+    }
+    return resolved;
+  }
+  
+  // A player who acts takes priority, so everyone gets to respond again
+  takePriority(state, playerId) {
+    if (state.priority) {
+      state.priority = { player: playerId, passes: [] };
+    }
+  }
+  
+  // The next player in turn order who is still in the game
+  getNextPlayerId(state, playerId) {
+    const index = state.players.findIndex(p => p.id === playerId);
+    
+    for (let offset = 1; offset <= state.players.length; offset++) {
+      const player = state.players[(index + offset) % state.players.length];
+      if (!player.lost) return player.id;
+    }
+    return playerId;
+  }
+  
+  // Build the public instance of a commander for the command zone
+  createCommanderCard(commander, id) {
+    return {
+      ...commander,
+      id,
+      scryfallId: commander.scryfallId || commander.id,
+      isCommander: true
+    };
+  }
+  
+  // Check whether a player's zone is hidden from us
+  isHiddenFrom(player, zone) {
+    return isHiddenZone(zone) && player.id !== this.userId;
+  }
+  
+  // Build a library with a unique private id for every card instance,
+  // keeping the Scryfall id separately since copies of a card share it
+  createLibrary(cards, action = null) {
+    return cards.map((card, index) => ({
+      ...card,
+      id: action ? this.derivePrivateId(action, index) : uuidv4(),
+      scryfallId: card.scryfallId || card.id
+    }));
+  }
+  
+  // Derive a private card id only we can reproduce, so replaying our own
+  // actions gives the same ids without other peers being able to predict them
+  derivePrivateId(action, index) {
+    return sha256(`${this.privateSalt}:${action.id}:${index}`).substring(0, 32);
+  }
+  
+  // Strip the private part of an action before it is sent to peers
+  toPublicAction(action) {
+    const { privatePayload, ...publicAction } = action;
+    return publicAction;
+  }
+  
+  // The committed state as peers may see it. Hidden zones are masked, also in
+  // the base of the undo history, whose actions lose their private part
+  toPublicState(state) {
+    const publicState = maskHiddenZones(state);
+    if (state.history) {
+      const { base, actions, redo } = state.history;
+      publicState.history = {
+        base: maskHiddenZones(base),
+        actions: actions.map(action => this.toPublicAction(action)),
+        redo: redo.map(entry => ({ ...entry, actions: entry.actions.map(action => this.toPublicAction(action)) }))
+      };
+    }
+    return publicState;
+  }
+  
+  // Remove a card from one of a player's zones. Zones hidden from us only
+  // hold placeholders, so the top placeholder stands in for the requested card
+  takeCard(player, zone, cardId) {
+    const cards = player[zone];
+    if (!cards) return null;
+    
+    let cardIndex = cards.findIndex(card => card.id === cardId);
+    if (cardIndex === -1 && this.isHiddenFrom(player, zone) && cards.length > 0) {
+      cardIndex = 0;
+    }
+    if (cardIndex === -1) return null;
+    
+    return cards.splice(cardIndex, 1)[0];
+  }
+  
+  // Reveal a card leaving a hidden zone. The peer holding the real card records
+  // it on the action, peers holding a placeholder read the same card back.
+  // Revealed cards get a new public id that can't be linked to the private one
+  revealCard(action, card) {
+    const revealIndex = this.revealCursor++;
+    
+    if (!action.reveals) action.reveals = [];
+    if (!card.hidden) {
+      action.reveals[revealIndex] = {
+        ...card,
+        id: `${action.id}-${revealIndex}`
+      };
+    }
+    
+    const revealedCard = action.reveals[revealIndex];
+    if (!revealedCard) {
+      throw new Error(`Action ${action.id} is missing revealed card ${revealIndex}`);
+    }
+    
+    return { ...revealedCard };
+  }
+  
+  // Build a face-down permanent. The card itself is only kept by its controller
+  createFaceDownCard(player, id, identity, permanentState = {}) {
+    const card = { ...permanentState, ...FACE_DOWN_CARD, id, faceDown: true };
+    if (identity && player.id === this.userId) {
+      card.hiddenCard = identity;
+    }
+    return card;
+  }
+  
+  // Turn a face-down permanent face up, keeping its state on the battlefield.
+  // Its controller reveals the card on the action, other peers read it back.
+  // Returns null when the proposing peer doesn't know what the card is
+  revealFaceDown(action, card) {
+    if (!card.hiddenCard && !action.reveals?.[this.revealCursor]) return null;
+    
+    const { permanentState } = splitPermanent(card);
+    const revealedCard = this.revealCard(action, card.hiddenCard || createPlaceholder());
+    return { ...revealedCard, ...permanentState, id: card.id };
+  }
+  
+  // Move a card out of one of a player's zones, revealing it when it leaves
+  // a hidden zone or the battlefield face down, and hiding it from other
+  // players when it enters a hidden zone. A card can enter another player's
+  // battlefield; any other zone it enters is its owner's
+  transferCard(state, action, player, sourceZone, cardId, targetZone, position = 'bottom', targetPlayer = player) {
+    if (!player[sourceZone] || !targetPlayer[targetZone]) return null;
+    
+    let card = this.takeCard(player, sourceZone, cardId);
+    if (!card) return null;
+    
+    // Copies cease to exist when they leave the battlefield. Checked before a
+    // hidden destination turns the card into a placeholder
+    if (card.isCopy && sourceZone === 'battlefield' && targetZone !== 'battlefield') {
+      return card;
+    }
+    
+    if (card.faceDown && targetZone !== 'battlefield') {
+      card = this.revealFaceDown(action, card);
+      if (!card) return null;
+    }
+    
+    // Cards outside the battlefield are always in their owner's zones
+    const ownerId = card.owner || player.id;
+    const destination = targetZone === 'battlefield'
+      ? targetPlayer
+      : state.players.find(p => p.id === ownerId) || player;
+    
+    if (isHiddenZone(sourceZone) && !isHiddenZone(targetZone)) {
+      card = this.revealCard(action, card);
+    } else if (this.isHiddenFrom(destination, targetZone)) {
+      card = createPlaceholder();
+    }
+    
+    // Tapped state, counters, damage, modifiers, attachments, layout and the
+    // face that is showing don't follow a permanent to another zone
+    if (sourceZone === 'battlefield' && targetZone !== 'battlefield') {
+      delete card.faceIndex;
+      delete card.tapped;
+      delete card.doesNotUntap;
+      delete card.counters;
+      delete card.damage;
+      delete card.modifiers;
+      delete card.attachedTo;
+      delete card.position;
+      delete card.group;
+      delete card.controller;
+    }
+    if (sourceZone === 'exile' && targetZone !== 'exile') {
+      delete card.exiledWith;
+    }
+    
+    if (position === 'top') {
+      destination[targetZone].unshift(card);
+    } else {
+      destination[targetZone].push(card);
+    }
+    
+    if (targetZone === 'battlefield' && (sourceZone !== 'battlefield' || destination !== player)) {
+      card.owner = ownerId;
+      delete card.group;
+      this.placePermanent(destination, card);
+    }
+    
+    return card;
+  }
+  
+  // Put a permanent that entered the battlefield in the first free slot of its
+  // band. Whoever put it onto the battlefield owns it unless it has an owner already
+  placePermanent(player, card) {
+    card.owner = card.owner || player.id;
+    card.controller = player.id;
+    card.position = findFreePosition(player.battlefield, card);
+  }
+  
+  // Give another player control of a permanent. It moves to their battlefield
+  // and leaves combat; cards attached to it or exiled with it follow it
+  changeControl(state, action, player, cardId, newController) {
+    const card = this.transferCard(state, action, player, 'battlefield', cardId, 'battlefield', 'bottom', newController);
+    if (!card) return null;
+    
+    state.players.forEach(p => {
+      p.battlefield
+        .filter(c => isLinkedTo(c.attachedTo, player.id, cardId))
+        .forEach(c => {
+          c.attachedTo = { playerId: newController.id, cardId };
+        });
+      p.exile
+        .filter(c => isLinkedTo(c.exiledWith, player.id, cardId))
+        .forEach(c => {
+          c.exiledWith = { playerId: newController.id, cardId };
+        });
+    });
+    
+    const combat = state.combat;
+    if (combat) {
+      const inCombat = (entry) => entry.playerId === player.id && entry.cardId === cardId;
+      combat.attackers = combat.attackers.filter(attacker => !inCombat(attacker));
+      combat.blockers = combat.blockers.filter(blocker =>
+        !inCombat(blocker) && !(player.id === state.activePlayer && blocker.attackerId === cardId)
+      );
+    }
+    
+    return card;
+  }
+  
+  // Append a public entry to the game log shown to all players
+  addLogEntry(state, action, message) {
+    if (!state.log) state.log = [];
+    
+    state.log.push({
+      id: action.id,
+      timestamp: action.timestamp,
+      playerId: action.sourcePlayer,
+      message
+    });
+    
+    // Keep the log from growing without bound
+    if (state.log.length > 200) {
+      state.log.shift();
+    }
+  }
+  
+  // Untap a player's permanents, skipping "doesn't untap" cards during the untap step
+  untapPermanents(player, isUntapStep) {
+    player.battlefield.forEach(card => {
+      if (isUntapStep && card.doesNotUntap) return;
+      card.tapped = false;
+    });
   }
   
   // Handle data received from peers
@@ -399,235 +2992,341 @@ class GameStateManager {
         this.handleGameStateUpdate(data.state, fromPeerId);
         break;
       
-      case 'game-action':
-        this.handlePeerAction(data.action, fromPeerId);
+      case 'action-proposal':
+        this.handleActionProposal(data.action, fromPeerId);
         break;
       
-      case 'action-vote':
-        this.handleActionVote(data.actionId, fromPeerId, data.approved);
+      case 'action-commit':
+        this.handleActionCommit(data.action, fromPeerId);
+        break;
+      
+      case 'action-rejected':
+        this.handleActionRejected(data.actionId);
+        break;
+      
+      case 'request-actions':
+        this.sendMissingActions(data.fromSequence, fromPeerId);
+        break;
+      
+      case 'actions-sent':
+        this.handleActionsSent(data.sequence);
         break;
       
       case 'state-hash-check':
-        this.handleStateHashCheck(data.stateHash, fromPeerId);
+        this.handleStateHashCheck(data.stateHash, data.sequence, fromPeerId);
         break;
       
       case 'request-full-state':
         this.sendFullState(fromPeerId);
         break;
+      
+      case 'private-reveal':
+        this.handlePrivateReveal(data.actionId, data.cards, fromPeerId);
+        break;
     }
   }
   
-  // Handle game state update from a peer
-  handleGameStateUpdate(state, fromPeerId) {
-    // Only accept state updates if we don't have a state yet
-    // or if the received state is newer than ours
-    if (!this.gameState || state.version > this.gameState.version) {
-      console.log(`Accepting game state update from peer ${fromPeerId}`);
-      this.setGameState(state);
-    }
+  // Handle cards a peer revealed to us alone. They are only shown once the
+  // reveal is committed, and only if it came from the revealing player
+  handlePrivateReveal(actionId, cards, fromPeerId) {
+    if (!actionId || !Array.isArray(cards)) return;
+    
+    this.privateReveals.set(actionId, { from: fromPeerId, cards });
+    this.notifyStateListeners();
   }
   
-  // Handle action received from a peer
-  handlePeerAction(action, fromPeerId) {
-    console.log(`Received action from peer ${fromPeerId}:`, action);
+  // Handle game state snapshot from a peer. Snapshots are only used to join
+  // a game or to recover after we asked for one because our state diverged
+  handleGameStateUpdate(state, fromPeerId) {
+    // Also accept a newer snapshot, sent when we're further behind than a peer's log
+    const isNewer = this.confirmedState && state.id === this.confirmedState.id && state.sequence > this.sequence;
+    if (this.confirmedState && !this.awaitingSnapshot && !isNewer) return;
+    if (this.confirmedState && state.id === this.confirmedState.id && state.sequence < this.sequence) return;
+    
+    console.log(`Accepting game state snapshot at sequence ${state.sequence} from peer ${fromPeerId}`);
+    this.awaitingSnapshot = false;
+    this.confirmedState = this.mergeSnapshot(state);
+    this.sequence = state.sequence || 0;
+    
+    this.requestedSequence = 0;
+    
+    // Our log no longer lines up with the snapshot
+    this.actionLog = [];
+    this.outOfOrderActions.forEach((action, sequence) => {
+      if (sequence <= this.sequence) this.outOfOrderActions.delete(sequence);
+    });
     
-    // Check if we already have this action pending
-    if (this.pendingActions.has(action.id)) {
-      // Add vote for this action
-      this.addVoteForAction(action.id, fromPeerId, true);
-    } else {
-      // Apply the action locally
-      const success = this.processAction(action);
+    this.replayLocalActions();
+    this.applyBufferedActions();
+    this.finishCatchUp();
+  }
+  
+  // Combine a snapshot from a peer with what only we know. The sender can only
+  // send placeholders for our hidden zones, and we are the authority on them.
+  // The same goes for the undo history, as long as it starts where ours does
+  mergeSnapshot(state) {
+    const mergedState = this.mergeHiddenZones(state, this.confirmedState);
+    
+    if (state.history) {
+      const ownHistory = this.confirmedState?.history;
+      const ownActions = new Map(
+        [...(ownHistory?.actions || []), ...(ownHistory?.redo || []).flatMap(entry => entry.actions)]
+          .map(action => [action.id, action])
+      );
+      const withPrivatePart = action => ownActions.get(action.id) || action;
+      const { base, actions, redo } = state.history;
       
-      if (success) {
-        // Add to pending actions and vote for it
-        this.addPendingAction(action);
-        this.addVoteForAction(action.id, fromPeerId, true);
-        
-        // Broadcast our vote
-        this.p2pManager.broadcast({
-          type: 'action-vote',
-          actionId: action.id,
-          approved: true
-        });
-      } else {
-        // Reject the action
-        this.p2pManager.broadcast({
-          type: 'action-vote',
-          actionId: action.id,
-          approved: false
-        });
-      }
+      mergedState.history = {
+        base: ownHistory?.base.sequence === base.sequence ? this.mergeHiddenZones(base, ownHistory.base) : base,
+        actions: actions.map(withPrivatePart),
+        redo: redo.map(entry => ({ ...entry, actions: entry.actions.map(withPrivatePart) }))
+      };
     }
+    
+    return mergedState;
   }
   
-  // Handle vote for an action
-  handleActionVote(actionId, fromPeerId, approved) {
-    this.addVoteForAction(actionId, fromPeerId, approved);
+  // Put our own hidden zones and face-down cards back into a state from a peer
+  mergeHiddenZones(state, ownState) {
+    const ownPlayer = ownState?.players.find(p => p.id === this.userId);
+    
+    return {
+      ...state,
+      players: state.players.map(player => {
+        const mergedPlayer = {
+          ...player,
+          isCurrentPlayer: player.id === this.userId
+        };
+        
+        if (ownPlayer && player.id === this.userId) {
+          HIDDEN_ZONES.forEach(zone => {
+            mergedPlayer[zone] = ownPlayer[zone];
+          });
+          
+          // Nor can it tell what our face-down permanents are
+          mergedPlayer.battlefield = player.battlefield.map(card => {
+            const hiddenCard = card.faceDown && ownPlayer.battlefield.find(c => c.id === card.id)?.hiddenCard;
+            return hiddenCard ? { ...card, hiddenCard } : card;
+          });
+        }
+        
+        return mergedPlayer;
+      })
+    };
   }
   
-  // Add a pending action for consensus
-  addPendingAction(action) {
-    this.pendingActions.set(action.id, {
-      action,
-      votes: new Map(),
-      timestamp: Date.now()
-    });
-    
-    // Add our own vote
-    this.addVoteForAction(action.id, this.userId, true);
+  // Handle an action a peer wants the sequencer to commit
+  handleActionProposal(action, fromPeerId) {
+    if (!this.confirmedState || this.getSequencer() !== this.userId) return;
+    
+    // Peers can only propose their own actions
+    if (action.sourcePlayer !== fromPeerId) {
+      console.error(`Peer ${fromPeerId} proposed an action on behalf of ${action.sourcePlayer}`);
+      return;
+    }
     
-    // Check for consensus after a short delay
-    setTimeout(() => this.checkActionConsensus(action.id), 500);
+    this.sequenceAction(action);
   }
   
-  // Add a vote for an action
-  addVoteForAction(actionId, peerId, approved) {
-    const pendingAction = this.pendingActions.get(actionId);
-    if (!pendingAction) return;
-    
-    pendingAction.votes.set(peerId, approved);
+  // Handle a committed action from the sequencer
+  handleActionCommit(action, fromPeerId) {
+    if (!this.confirmedState || action.sequence <= this.sequence) return;
+    
+    // Hold on to commits that arrive ahead of a gap and ask for the missing ones
+    if (action.sequence > this.sequence + 1) {
+      this.outOfOrderActions.set(action.sequence, action);
+      this.requestMissingActions(fromPeerId);
+      return;
+    }
     
-    // Check for consensus
-    this.checkActionConsensus(actionId);
+    this.applyCommittedAction(action);
+    this.applyBufferedActions();
+  }
+  
+  // Apply a commit from the sequencer. A commit can't fail on a peer whose
+  // state matches the sequencer's, so a failure means we diverged
+  applyCommittedAction(action) {
+    if (this.commitAction(action)) return true;
+    
+    console.error(`Committed action ${action.id} failed to apply, requesting a snapshot`);
+    this.requestSnapshot();
+    return false;
+  }
+  
+  // Apply buffered commits that are now next in sequence
+  applyBufferedActions() {
+    while (this.outOfOrderActions.has(this.sequence + 1)) {
+      const action = this.outOfOrderActions.get(this.sequence + 1);
+      this.outOfOrderActions.delete(action.sequence);
+      
+      if (!this.applyCommittedAction(action)) break;
+    }
   }
   
-  // Check if there's consensus for an action
-  checkActionConsensus(actionId) {
-    const pendingAction = this.pendingActions.get(actionId);
-    if (!pendingAction) return;
+  // Handle the sequencer refusing one of our actions
+  handleActionRejected(actionId) {
+    if (!this.localActions.has(actionId)) return;
     
-    const { votes } = pendingAction;
-    const totalVotes = votes.size;
-    const approvedVotes = Array.from(votes.values()).filter(v => v).length;
-    const rejectedVotes = totalVotes - approvedVotes;
+    console.log(`Action ${actionId} was rejected by the sequencer`);
+    this.localActions.delete(actionId);
+    this.replayLocalActions();
+  }
+  
+  // Ask a peer to resend the commits we are missing
+  requestMissingActions(peerId) {
+    const fromSequence = this.sequence + 1;
+    if (this.requestedSequence === fromSequence) return;
     
-    const connectedPeers = this.p2pManager.getConnectedPeers().length;
-    const totalPlayers = connectedPeers + 1; // +1 for ourselves
+    this.requestedSequence = fromSequence;
+    this.p2pManager.sendToPeer(peerId, {
+      type: 'request-actions',
+      fromSequence
+    });
+  }
+  
+  // Resend commits a peer is missing, or a snapshot if we no longer have them
+  sendMissingActions(fromSequence, peerId) {
+    const firstLogged = this.actionLog.length > 0 ? this.actionLog[0].sequence : this.sequence + 1;
     
-    // Check if we have enough votes for consensus
-    if (totalVotes >= totalPlayers * this.consensusThreshold) {
-      if (approvedVotes > rejectedVotes) {
-        console.log(`Action ${actionId} approved by consensus`);
-        // Action is already applied, just remove from pending
-        this.pendingActions.delete(actionId);
-      } else {
-        console.log(`Action ${actionId} rejected by consensus`);
-        // Rollback the action if it was applied
-        this.rollbackAction(actionId);
-        this.pendingActions.delete(actionId);
-      }
+    if (fromSequence < firstLogged) {
+      this.sendFullState(peerId);
+      return;
     }
     
-    // Clean up old pending actions
-    this.cleanupPendingActions();
+    this.actionLog
+      .filter(action => action.sequence >= fromSequence)
+      .forEach(action => {
+        this.p2pManager.sendToPeer(peerId, {
+          type: 'action-commit',
+          action
+        });
+      });
+    
+    // Let the peer know where the resent actions end
+    this.p2pManager.sendToPeer(peerId, {
+      type: 'actions-sent',
+      sequence: this.sequence
+    });
   }
   
-  // Rollback an action that was rejected by consensus
-  rollbackAction(actionId) {
-    // Find the action in the log
-    const actionIndex = this.actionLog.findIndex(log => log.id === actionId);
-    if (actionIndex === -1) return;
-    
-    // Find the state before this action
-    const prevStateIndex = this.stateHistory.findIndex(
-      history => history.timestamp > this.actionLog[actionIndex].appliedAt
-    ) - 1;
-    
-    if (prevStateIndex >= 0) {
-      console.log(`Rolling back to state before action ${actionId}`);
-      this.setGameState(this.stateHistory[prevStateIndex].state);
-      
-      // Remove the action from the log
-      this.actionLog.splice(actionIndex, 1);
-      
-      // Reapply all subsequent actions
-      for (let i = actionIndex; i < this.actionLog.length; i++) {
-        this.processAction(this.actionLog[i]);
-      }
+  // Handle the end of resent actions. A restored game is current once it
+  // applied everything the peer had
+  handleActionsSent(sequence) {
+    if (this.catchingUp && this.sequence >= sequence) {
+      this.finishCatchUp();
     }
   }
   
-  // Clean up old pending actions
-  cleanupPendingActions() {
-    const now = Date.now();
-    this.pendingActions.forEach((pendingAction, actionId) => {
-      // Remove actions older than 10 seconds
-      if (now - pendingAction.timestamp > 10000) {
-        this.pendingActions.delete(actionId);
-      }
+  // Ask the sequencer for its state after we diverged from it
+  requestSnapshot() {
+    const sequencer = this.getSequencer();
+    if (sequencer === this.userId) return;
+    
+    this.awaitingSnapshot = true;
+    this.p2pManager.sendToPeer(sequencer, {
+      type: 'request-full-state'
     });
   }
   
-  // Handle state hash check from a peer
-  handleStateHashCheck(stateHash, fromPeerId) {
-    if (!this.gameState) return;
+  // Handle state hash check from a peer. Hashes are only comparable when
+  // both peers have applied the same commits
+  handleStateHashCheck(stateHash, sequence, fromPeerId) {
+    if (!this.confirmedState || sequence !== this.sequence) return;
     
     const ourStateHash = this.calculateStateHash();
     
     if (ourStateHash !== stateHash) {
-      console.log(`State hash mismatch with peer ${fromPeerId}`);
-      // Request full state from the peer
-      this.p2pManager.sendToPeer(fromPeerId, {
-        type: 'request-full-state'
-      });
+      console.log(`State hash mismatch with peer ${fromPeerId} at sequence ${sequence}`);
+      this.requestSnapshot();
     }
   }
   
   // Send full state to a peer
   sendFullState(peerId) {
-    if (!this.gameState) return;
+    if (!this.confirmedState) return;
     
     this.p2pManager.sendToPeer(peerId, {
       type: 'game-state',
-      state: this.gameState
+      state: this.toPublicState(this.confirmedState)
     });
   }
   
-  // Calculate hash of current game state for comparison
+  // Calculate hash of the committed game state for comparison. Hidden zones
+  // only contribute their size, so every peer hashes the same public view
   calculateStateHash() {
-    if (!this.gameState) return null;
+    if (!this.confirmedState) return null;
+    
+    const state = this.confirmedState;
     
     // Create a simplified version of the state for hashing
     const hashableState = {
-      version: this.gameState.version,
-      activePlayer: this.gameState.activePlayer,
-      phase: this.gameState.phase,
-      turn: this.gameState.turn,
-      players: this.gameState.players.map(p => ({
+      sequence: state.sequence,
+      activePlayer: state.activePlayer,
+      phase: state.phase,
+      turn: state.turn,
+      priority: state.priority || null,
+      mulligan: state.mulligan || null,
+      stack: (state.stack || []).map(item => item.id),
+      combat: state.combat || null,
+      undoRequest: state.undoRequest || null,
+      history: state.history ? {
+        baseSequence: state.history.base.sequence,
+        actions: state.history.actions.map(action => action.id),
+        redo: state.history.redo.map(entry => entry.actions.length)
+      } : null,
+      reveals: (state.reveals || []).map(reveal => reveal.id),
+      players: state.players.map(p => ({
         id: p.id,
         life: p.life,
         handCount: p.hand.length,
         libraryCount: p.library.length,
         graveyardCount: p.graveyard.length,
         exileCount: p.exile.length,
-        battlefield: p.battlefield.map(card => card.id)
+        command: (p.command || []).map(card => card.id),
+        commanderDamage: p.commanderDamage || {},
+        counters: p.counters || {},
+        stops: p.stops || null,
+        lost: !!p.lost,
+        battlefield: p.battlefield.map(card => ({
+          id: card.id,
+          tapped: !!card.tapped,
+          faceDown: !!card.faceDown,
+          faceIndex: card.faceIndex || 0,
+          damage: card.damage || 0,
+          modifiers: (card.modifiers || []).map(modifier => modifier.id),
+          attachedTo: card.attachedTo || null,
+          position: card.position || null,
+          group: card.group || null
+        }))
       }))
     };
     
     return sha256(JSON.stringify(hashableState));
   }
   
-  // Broadcast current game state to all peers
+  // Broadcast the committed game state to all peers
   broadcastGameState() {
-    if (!this.gameState) return;
+    if (!this.confirmedState) return;
     
     this.p2pManager.broadcast({
       type: 'game-state',
-      state: this.gameState
+      state: this.toPublicState(this.confirmedState)
     });
   }
   
-  // Periodically check state consistency with peers
+  // Periodically check state consistency with peers and resend
+  // actions the sequencer hasn't committed yet
   startStateConsistencyChecks(interval = 5000) {
     this.consistencyCheckInterval = setInterval(() => {
-      if (!this.gameState) return;
+      if (!this.confirmedState) return;
       
-      const stateHash = this.calculateStateHash();
       this.p2pManager.broadcast({
         type: 'state-hash-check',
-        stateHash
+        stateHash: this.calculateStateHash(),
+        sequence: this.sequence
       });
+      
+      this.resendLocalActions(this.resendTimeout);
     }, interval);
   }
   
@@ -641,10 +3340,21 @@ class GameStateManager {
   // Handle connection events
   handleConnectionEvent(event, data) {
     if (event === 'peer-connected') {
-      console.log(`Peer ${data} connected, sending current game state`);
-      if (this.gameState) {
+      // A restored game asks the first peer it reaches for the actions it missed
+      if (this.catchingUp) {
+        this.requestedSequence = 0;
+        this.requestMissingActions(data);
+        return;
+      }
+      
+      // Joining peers get a snapshot from the sequencer and follow the log from there
+      if (this.confirmedState && this.getSequencer() === this.userId) {
+        console.log(`Peer ${data} connected, sending current game state`);
         this.sendFullState(data);
       }
+    } else if (event === 'peer-disconnected' || event === 'peer-reconnecting') {
+      // The sequencer may have changed, so make sure it has our actions
+      this.resendLocalActions();
     }
   }
   
@@ -671,6 +3381,13 @@ class GameStateManager {
   // Clean up resources
   cleanup() {
     this.stopStateConsistencyChecks();
+    clearTimeout(this.catchUpTimer);
+    
+    // Don't lose changes that were waiting to be saved
+    if (this.persistTimer) {
+      this.persist();
+    }
+    this.randomness.cleanup();
   }
 }
 
@@ -0,0 +1,79 @@
+// GameStorage.js
+// Persists a game's local state and action log in IndexedDB, keyed by gameId,
+// so a player can resume a game after refreshing the page
+
+const DB_NAME = 'mtg-multiplayer';
+const DB_VERSION = 1;
+const STORE_NAME = 'games';
+
+class GameStorage {
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.indexedDB = indexedDB;
+    this.dbPromise = null;
+  }
+
+  // Whether the browser supports IndexedDB at all
+  isAvailable() {
+    return !!this.indexedDB;
+  }
+
+  // Open the database, creating the store on first use
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!this.isAvailable()) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'gameId' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Run a single request against the store and resolve with its result
+  async request(mode, createRequest) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Save everything needed to resume a game
+  saveGame(gameId, data) {
+    return this.request('readwrite', store => store.put({
+      ...data,
+      gameId,
+      savedAt: Date.now()
+    }));
+  }
+
+  // Load a saved game, or null if there is none
+  async loadGame(gameId) {
+    const saved = await this.request('readonly', store => store.get(gameId));
+    return saved || null;
+  }
+
+  // Forget a saved game
+  deleteGame(gameId) {
+    return this.request('readwrite', store => store.delete(gameId));
+  }
+}
+
+export default GameStorage;
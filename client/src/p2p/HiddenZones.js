@@ -0,0 +1,54 @@
+// HiddenZones.js
+// Hidden-information model for player zones
+//
+// Each peer only holds the cards it is entitled to see: its own hand and library
+// and every public zone. The hidden zones of other players are kept as opaque
+// placeholders, so zone sizes are known to everyone but card identities are not.
+// Face-down permanents are public, but only their controller knows what they are.
+
+// Zones whose contents are only known to their owner
+export const HIDDEN_ZONES = ['library', 'hand'];
+
+// Zones every player can see the cards of
+export const PUBLIC_ZONES = ['battlefield', 'graveyard', 'exile', 'command'];
+
+// Reveals of hidden cards kept in the game state for their recipients to look at
+export const MAX_REVEALS = 10;
+
+// Check whether a zone is hidden from players other than its owner
+export const isHiddenZone = (zone) => HIDDEN_ZONES.includes(zone);
+
+// Opaque stand-in for a card this peer is not allowed to see
+export const createPlaceholder = () => ({
+  id: 'hidden',
+  hidden: true
+});
+
+// Replace the hidden zones of every player except the viewer with placeholders,
+// and leave out what their face-down permanents are
+export const maskHiddenZones = (state, viewerId = null) => ({
+  ...state,
+  players: state.players.map(player => {
+    if (player.id === viewerId) return player;
+
+    const maskedPlayer = { ...player };
+    HIDDEN_ZONES.forEach(zone => {
+      maskedPlayer[zone] = (player[zone] || []).map(() => createPlaceholder());
+    });
+    maskedPlayer.battlefield = (player.battlefield || []).map(card => {
+      if (!card.hiddenCard) return card;
+      const { hiddenCard, ...faceDownCard } = card;
+      return faceDownCard;
+    });
+    return maskedPlayer;
+  })
+});
+
+export default {
+  HIDDEN_ZONES,
+  PUBLIC_ZONES,
+  MAX_REVEALS,
+  isHiddenZone,
+  createPlaceholder,
+  maskHiddenZones
+};
@@ -0,0 +1,74 @@
+// Modifiers.js
+// Temporary effects on permanents: power/toughness changes, granted keywords
+// and text notes, each lasting until it expires or is removed
+
+// How long a modifier lasts. End-of-turn modifiers are removed in the cleanup
+// step; "until your next turn" ones when the player who added them starts
+// their next turn
+export const MODIFIER_EXPIRIES = [
+  { id: 'end-of-turn', name: 'Until end of turn' },
+  { id: 'next-turn', name: 'Until your next turn' },
+  { id: 'permanent', name: 'Until removed' }
+];
+
+export const DEFAULT_EXPIRY = 'end-of-turn';
+
+// Clean up a modifier sent by a player, or return null if it does nothing
+export const normalizeModifier = (modifier = {}) => {
+  const toDelta = (value) => (Number.isInteger(value) ? value : 0);
+  const keywords = (Array.isArray(modifier.keywords) ? modifier.keywords : [])
+    .filter(keyword => typeof keyword === 'string')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+  const note = typeof modifier.note === 'string' ? modifier.note.trim().substring(0, 200) : '';
+  const expiry = MODIFIER_EXPIRIES.some(e => e.id === modifier.expiry) ? modifier.expiry : DEFAULT_EXPIRY;
+
+  const normalized = {
+    power: toDelta(modifier.power),
+    toughness: toDelta(modifier.toughness),
+    keywords: [...new Set(keywords)],
+    note,
+    expiry
+  };
+
+  const hasEffect = normalized.power || normalized.toughness || normalized.keywords.length > 0 || normalized.note;
+  return hasEffect ? normalized : null;
+};
+
+// Total power and toughness change from a permanent's modifiers
+export const getModifierDeltas = (card) =>
+  (card.modifiers || []).reduce(
+    (totals, modifier) => ({
+      power: totals.power + modifier.power,
+      toughness: totals.toughness + modifier.toughness
+    }),
+    { power: 0, toughness: 0 }
+  );
+
+// Whether one of a permanent's modifiers grants it a keyword
+export const grantsKeyword = (card, keyword) =>
+  (card.modifiers || []).some(modifier => modifier.keywords.includes(keyword));
+
+// Short description of a modifier, e.g. "+2/+2, trample (until end of turn)"
+export const describeModifier = (modifier) => {
+  const formatDelta = (value) => (value >= 0 ? `+${value}` : `${value}`);
+  const parts = [];
+
+  if (modifier.power || modifier.toughness) {
+    parts.push(`${formatDelta(modifier.power)}/${formatDelta(modifier.toughness)}`);
+  }
+  parts.push(...modifier.keywords);
+  if (modifier.note) parts.push(modifier.note);
+
+  const expiry = MODIFIER_EXPIRIES.find(e => e.id === modifier.expiry);
+  return `${parts.join(', ')} (${expiry.name.toLowerCase()})`;
+};
+
+export default {
+  MODIFIER_EXPIRIES,
+  DEFAULT_EXPIRY,
+  normalizeModifier,
+  getModifierDeltas,
+  grantsKeyword,
+  describeModifier
+};
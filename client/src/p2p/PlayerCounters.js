@@ -0,0 +1,39 @@
+// PlayerCounters.js
+// Counter types players can have, as opposed to counters on cards
+
+export const PLAYER_COUNTER_TYPES = [
+  { id: 'poison', name: 'Poison' },
+  { id: 'energy', name: 'Energy' },
+  { id: 'experience', name: 'Experience' },
+  { id: 'rad', name: 'Rad' },
+  { id: 'tickets', name: 'Tickets' }
+];
+
+// Poison counters that make a player lose
+export const POISON_LIMIT = 10;
+
+// Display name of a counter type. Custom counters are stored under the name
+// the player gave them
+export const getPlayerCounterName = (counterType) => {
+  const builtIn = PLAYER_COUNTER_TYPES.find(type => type.id === counterType);
+  return builtIn ? builtIn.name : counterType;
+};
+
+// Clean up a counter type entered by a player, or return null if it is empty
+export const normalizePlayerCounterType = (counterType) => {
+  if (typeof counterType !== 'string') return null;
+  const trimmed = counterType.trim();
+  if (!trimmed) return null;
+
+  const builtIn = PLAYER_COUNTER_TYPES.find(type =>
+    type.id === trimmed.toLowerCase() || type.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  return builtIn ? builtIn.id : trimmed.substring(0, 32);
+};
+
+export default {
+  PLAYER_COUNTER_TYPES,
+  POISON_LIMIT,
+  getPlayerCounterName,
+  normalizePlayerCounterType
+};
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getTokenQuery, matchesCommonToken } from './Tokens';
 
 class ScryfallService {
   constructor() {
@@ -109,13 +110,83 @@ class ScryfallService {
     );
   }
 
-  // Get card image URL
-  getCardImageUrl(card) {
+  // Tokens are cached in localStorage by Scryfall id, next to the card cache
+  getCachedTokens() {
+    return JSON.parse(localStorage.getItem('tokenCache') || '{}');
+  }
+
+  cacheTokens(tokens) {
+    const cachedTokens = this.getCachedTokens();
+    tokens.forEach(token => {
+      cachedTokens[token.id] = token;
+    });
+    localStorage.setItem('tokenCache', JSON.stringify(cachedTokens));
+  }
+
+  // Get token cards by ID, fetching the ones that aren't cached yet in batches
+  async getTokensByIds(tokenIds) {
+    const cachedTokens = this.getCachedTokens();
+    const missingIds = tokenIds.filter(id => !cachedTokens[id]);
+    
+    for (let i = 0; i < missingIds.length; i += this.batchSize) {
+      const batch = missingIds.slice(i, i + this.batchSize);
+      const response = await this.queueRequest(() => 
+        axios.post(`${this.baseUrl}/cards/collection`, {
+          identifiers: batch.map(id => ({ id }))
+        })
+      );
+      
+      (response.data || []).forEach(token => {
+        cachedTokens[token.id] = token;
+      });
+    }
+    
+    if (missingIds.length > 0) {
+      localStorage.setItem('tokenCache', JSON.stringify(cachedTokens));
+    }
+    
+    return tokenIds.map(id => cachedTokens[id]).filter(Boolean);
+  }
+
+  // Search for tokens with a Scryfall query. No match is an empty list
+  async searchTokens(query) {
+    try {
+      const response = await this.queueRequest(() => 
+        axios.get(`${this.baseUrl}/cards/search`, {
+          params: {
+            q: `t:token ${query}`,
+            unique: 'cards'
+          }
+        })
+      );
+      
+      const tokens = response.data || [];
+      this.cacheTokens(tokens);
+      return tokens;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Find the Scryfall card of a common token, from the cache if possible
+  async findCommonToken(token) {
+    const cachedToken = Object.values(this.getCachedTokens()).find(card => matchesCommonToken(card, token));
+    if (cachedToken) return cachedToken;
+    
+    const tokens = await this.searchTokens(getTokenQuery(token));
+    return tokens.find(card => matchesCommonToken(card, token)) || tokens[0] || null;
+  }
+
+  // Get card image URL, of the front face unless another face is given
+  getCardImageUrl(card, faceIndex = card?.faceIndex || 0) {
     if (!card) return '';
     
     // For double-faced cards
     if (card.card_faces && card.card_faces[0].image_uris) {
-      return card.card_faces[0].image_uris.normal;
+      return (card.card_faces[faceIndex] || card.card_faces[0]).image_uris.normal;
     }
     
     // For regular cards
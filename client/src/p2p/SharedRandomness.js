@@ -0,0 +1,276 @@
+// SharedRandomness.js
+// Commit-reveal protocol that lets all connected peers agree on a random seed
+//
+// Every participant picks a secret and first broadcasts only a hash of it (the
+// commitment). Once all commitments are in, the secrets are revealed, checked
+// against their commitments and combined into one seed. No single peer can pick
+// the outcome, and anyone holding the proof can recompute the seed.
+//
+// A round is started for one game action and every commitment is bound to its
+// id, so a proof can't be moved to another action. Peers only accept a proof
+// that every player still in the game took part in and that no earlier action
+// used, otherwise a player could run rounds alone until they liked the result.
+
+import { v4 as uuidv4 } from 'uuid';
+import { sha256 } from 'js-sha256';
+
+// Generate a random hex string from the browser's secure random source
+export const generateSecret = (byteCount = 32) => {
+  const bytes = new Uint8Array(byteCount);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Hash binding a participant to their secret for one round of one action
+const createCommitment = (roundId, actionId, peerId, secret) => sha256(`${roundId}:${actionId}:${peerId}:${secret}`);
+
+// Deterministic pseudo-random number generator returning floats in [0, 1).
+// Each value is taken from the hash of the seed and a counter
+export const createSeededRandom = (seed) => {
+  let counter = 0;
+  return () => {
+    const hash = sha256(`${seed}:${counter++}`);
+    return parseInt(hash.substring(0, 8), 16) / 0x100000000;
+  };
+};
+
+// Fisher-Yates shuffle driven by a seed, so every peer gets the same permutation
+export const shuffleWithSeed = (items, seed) => {
+  const random = createSeededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Roll dice with the given number of sides, driven by a seed
+export const rollWithSeed = (seed, sides, count = 1) => {
+  const random = createSeededRandom(seed);
+  return Array.from({ length: count }, () => Math.floor(random() * sides) + 1);
+};
+
+// Pick one of the items, driven by a seed
+export const pickWithSeed = (items, seed) => items[Math.floor(createSeededRandom(seed)() * items.length)];
+
+class SharedRandomness {
+  constructor(p2pConnectionManager, userId, timeout = 10000) {
+    this.p2pManager = p2pConnectionManager;
+    this.userId = userId;
+    this.timeout = timeout; // How long to wait for all peers before giving up on a round
+    this.rounds = new Map(); // Map of roundId -> round in progress
+    this.contributions = new Map(); // Map of roundId -> the secret we contributed
+
+    // Listen for protocol messages from peers
+    this.p2pManager.addDataListener(this.handlePeerData.bind(this));
+  }
+
+  // Start a round for the action with the given id and resolve with its proof
+  // once all participants revealed their secrets. The proof is what gets
+  // attached to the action
+  requestSeed(actionId, participants) {
+    const roundId = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      const round = this.getRound(roundId);
+      round.participants = [...participants].sort();
+      round.actionId = actionId;
+      round.resolve = resolve;
+      round.reject = reject;
+
+      this.p2pManager.broadcast({
+        type: 'random-request',
+        roundId,
+        actionId,
+        participants: round.participants
+      });
+
+      this.commit(round);
+    });
+  }
+
+  // Handle protocol messages from peers
+  handlePeerData(data, fromPeerId) {
+    if (!data || !data.type) return;
+
+    switch (data.type) {
+      case 'random-request':
+        this.handleRequest(data, fromPeerId);
+        break;
+
+      case 'random-commit':
+        this.handleCommit(data, fromPeerId);
+        break;
+
+      case 'random-reveal':
+        this.handleReveal(data, fromPeerId);
+        break;
+    }
+  }
+
+  // Join a round another peer started
+  handleRequest({ roundId, actionId, participants }, fromPeerId) {
+    if (!Array.isArray(participants) || !participants.includes(this.userId)) return;
+    if (!participants.includes(fromPeerId) || typeof actionId !== 'string') return;
+
+    const round = this.getRound(roundId);
+    if (round.participants) return;
+
+    round.participants = [...participants].sort();
+    round.actionId = actionId;
+    this.commit(round);
+  }
+
+  // Record a peer's commitment
+  handleCommit({ roundId, commitment }, fromPeerId) {
+    const round = this.getRound(roundId);
+    if (round.commitments.has(fromPeerId)) return;
+
+    round.commitments.set(fromPeerId, commitment);
+    this.checkRound(round);
+  }
+
+  // Record a peer's revealed secret
+  handleReveal({ roundId, secret }, fromPeerId) {
+    const round = this.getRound(roundId);
+    if (round.reveals.has(fromPeerId)) return;
+
+    round.reveals.set(fromPeerId, secret);
+    this.checkRound(round);
+  }
+
+  // Get or create the record for a round. Messages can arrive before the
+  // request that started the round, so records are created lazily
+  getRound(roundId) {
+    if (!this.rounds.has(roundId)) {
+      const round = {
+        roundId,
+        participants: null,
+        actionId: null,
+        commitments: new Map(),
+        reveals: new Map(),
+        revealed: false,
+        resolve: null,
+        reject: null
+      };
+
+      round.timer = setTimeout(() => this.failRound(round, 'Timed out waiting for peers'), this.timeout);
+      this.rounds.set(roundId, round);
+    }
+
+    return this.rounds.get(roundId);
+  }
+
+  // Pick our secret for a round and broadcast the commitment to it
+  commit(round) {
+    const secret = generateSecret();
+    this.contributions.set(round.roundId, secret);
+
+    // Forget old contributions, they are only needed to verify recent actions
+    if (this.contributions.size > 100) {
+      this.contributions.delete(this.contributions.keys().next().value);
+    }
+
+    const commitment = createCommitment(round.roundId, round.actionId, this.userId, secret);
+    round.commitments.set(this.userId, commitment);
+
+    this.p2pManager.broadcast({
+      type: 'random-commit',
+      roundId: round.roundId,
+      commitment
+    });
+
+    this.checkRound(round);
+  }
+
+  // Advance a round: reveal once every commitment is in, finish once every secret is
+  checkRound(round) {
+    if (!round.participants) return;
+
+    const hasAll = (map) => round.participants.every(peerId => map.has(peerId));
+
+    if (!round.revealed && hasAll(round.commitments)) {
+      round.revealed = true;
+      const secret = this.contributions.get(round.roundId);
+      round.reveals.set(this.userId, secret);
+
+      this.p2pManager.broadcast({
+        type: 'random-reveal',
+        roundId: round.roundId,
+        secret
+      });
+    }
+
+    if (round.revealed && hasAll(round.reveals)) {
+      const proof = {
+        roundId: round.roundId,
+        actionId: round.actionId,
+        participants: round.participants,
+        commitments: Object.fromEntries(round.commitments),
+        reveals: Object.fromEntries(round.reveals)
+      };
+
+      if (!this.verifyProof(proof)) {
+        this.failRound(round, 'A peer revealed a secret that does not match its commitment');
+        return;
+      }
+
+      clearTimeout(round.timer);
+      this.rounds.delete(round.roundId);
+      if (round.resolve) round.resolve(proof);
+    }
+  }
+
+  // Abandon a round that can't complete
+  failRound(round, reason) {
+    clearTimeout(round.timer);
+    this.rounds.delete(round.roundId);
+
+    console.error(`Random round ${round.roundId} failed: ${reason}`);
+    if (round.reject) round.reject(new Error(reason));
+  }
+
+  // Check a proof and return the seed it produces, or null if it is invalid.
+  // If we took part in the round, our own contribution must be in it unchanged.
+  // Game actions also pass what the proof must match: the id of the action
+  // carrying it, the players that must have taken part and the rounds earlier
+  // actions already used
+  verifyProof(proof, { actionId, participants: expectedParticipants, usedRounds = [] } = {}) {
+    if (!proof || !Array.isArray(proof.participants) || proof.participants.length === 0) {
+      return null;
+    }
+
+    const { roundId, participants, commitments = {}, reveals = {} } = proof;
+
+    if (actionId !== undefined && proof.actionId !== actionId) return null;
+    if (usedRounds.includes(roundId)) return null;
+    if (expectedParticipants) {
+      const sortedParticipants = [...participants].sort();
+      const sortedExpected = [...expectedParticipants].sort();
+      if (sortedParticipants.length !== sortedExpected.length ||
+          sortedParticipants.some((peerId, index) => peerId !== sortedExpected[index])) {
+        return null;
+      }
+    }
+
+    const allMatch = participants.every(peerId =>
+      typeof reveals[peerId] === 'string' &&
+      commitments[peerId] === createCommitment(roundId, proof.actionId, peerId, reveals[peerId])
+    );
+    if (!allMatch) return null;
+
+    const ownSecret = this.contributions.get(roundId);
+    if (ownSecret && reveals[this.userId] !== ownSecret) return null;
+
+    return sha256(`${roundId}|${[...participants].sort().map(peerId => `${peerId}:${reveals[peerId]}`).join('|')}`);
+  }
+
+  // Abandon all rounds in progress
+  cleanup() {
+    this.rounds.forEach(round => clearTimeout(round.timer));
+    this.rounds.clear();
+  }
+}
+
+export default SharedRandomness;
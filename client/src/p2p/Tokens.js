@@ -0,0 +1,73 @@
+// Tokens.js
+// Tokens players can create: the ones made by cards in the game, found through
+// Scryfall's all_parts links, and a list of common tokens that are looked up
+// on Scryfall by name, colour and power/toughness
+
+// Colors use Scryfall's letters; an empty list is colorless
+export const COMMON_TOKENS = [
+  { name: 'Treasure', type_line: 'Token Artifact — Treasure', colors: [] },
+  { name: 'Clue', type_line: 'Token Artifact — Clue', colors: [] },
+  { name: 'Food', type_line: 'Token Artifact — Food', colors: [] },
+  { name: 'Blood', type_line: 'Token Artifact — Blood', colors: [] },
+  { name: 'Gold', type_line: 'Token Artifact — Gold', colors: [] },
+  { name: 'Soldier', type_line: 'Token Creature — Soldier', power: '1', toughness: '1', colors: ['W'] },
+  { name: 'Human', type_line: 'Token Creature — Human', power: '1', toughness: '1', colors: ['W'] },
+  { name: 'Spirit', type_line: 'Token Creature — Spirit', power: '1', toughness: '1', colors: ['W'] },
+  { name: 'Angel', type_line: 'Token Creature — Angel', power: '4', toughness: '4', colors: ['W'] },
+  { name: 'Bird', type_line: 'Token Creature — Bird', power: '1', toughness: '1', colors: ['U'] },
+  { name: 'Zombie', type_line: 'Token Creature — Zombie', power: '2', toughness: '2', colors: ['B'] },
+  { name: 'Goblin', type_line: 'Token Creature — Goblin', power: '1', toughness: '1', colors: ['R'] },
+  { name: 'Dragon', type_line: 'Token Creature — Dragon', power: '5', toughness: '5', colors: ['R'] },
+  { name: 'Saproling', type_line: 'Token Creature — Saproling', power: '1', toughness: '1', colors: ['G'] },
+  { name: 'Elf Warrior', type_line: 'Token Creature — Elf Warrior', power: '1', toughness: '1', colors: ['G'] },
+  { name: 'Insect', type_line: 'Token Creature — Insect', power: '1', toughness: '1', colors: ['G'] },
+  { name: 'Wolf', type_line: 'Token Creature — Wolf', power: '2', toughness: '2', colors: ['G'] },
+  { name: 'Beast', type_line: 'Token Creature — Beast', power: '3', toughness: '3', colors: ['G'] },
+  { name: 'Thopter', type_line: 'Token Artifact Creature — Thopter', power: '1', toughness: '1', colors: [] },
+  { name: 'Servo', type_line: 'Token Artifact Creature — Servo', power: '1', toughness: '1', colors: [] }
+];
+
+// Scryfall search query for a common token
+export const getTokenQuery = (token) => {
+  const terms = [`!"${token.name}"`];
+  if (token.power !== undefined) {
+    terms.push(`pow=${token.power}`, `tou=${token.toughness}`);
+  }
+  terms.push(`c=${token.colors.join('') || 'c'}`);
+  return terms.join(' ');
+};
+
+// Whether a Scryfall token card is the given common token
+export const matchesCommonToken = (card, token) =>
+  card.name === token.name &&
+  card.power === token.power &&
+  card.toughness === token.toughness &&
+  (card.colors || []).join('') === token.colors.join('');
+
+// Tokens the given cards make, from their Scryfall all_parts links.
+// Returns [{ id, name, type_line }] without duplicates
+export const getRelatedTokens = (cards) => {
+  const tokens = new Map();
+  cards.forEach(card => {
+    (card.all_parts || [])
+      .filter(part => part.component === 'token' && part.id !== card.scryfallId && part.id !== card.id)
+      .forEach(part => {
+        tokens.set(part.id, { id: part.id, name: part.name, type_line: part.type_line });
+      });
+  });
+  return [...tokens.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Token data for a create-token action from a Scryfall token card
+export const toTokenData = (card) => {
+  const { id, all_parts: allParts, ...tokenData } = card;
+  return { ...tokenData, scryfallId: id };
+};
+
+export default {
+  COMMON_TOKENS,
+  getTokenQuery,
+  matchesCommonToken,
+  getRelatedTokens,
+  toTokenData
+};
@@ -0,0 +1,59 @@
+// TurnStructure.js
+// Steps of a turn, in order, and the stops players use to skip steps they
+// don't want to act in
+
+// Steps without priority (untap, cleanup) are left as soon as their
+// turn-based actions are done. state.phase holds the id of the current step
+export const TURN_STEPS = [
+  { id: 'untap', name: 'Untap', shortName: 'Untap', phase: 'beginning', priority: false },
+  { id: 'upkeep', name: 'Upkeep', shortName: 'Upkeep', phase: 'beginning', priority: true },
+  { id: 'draw', name: 'Draw', shortName: 'Draw', phase: 'beginning', priority: true },
+  { id: 'main1', name: 'Precombat Main', shortName: 'Main 1', phase: 'main1', priority: true },
+  { id: 'beginning-of-combat', name: 'Beginning of Combat', shortName: 'Combat', phase: 'combat', priority: true },
+  { id: 'declare-attackers', name: 'Declare Attackers', shortName: 'Attack', phase: 'combat', priority: true },
+  { id: 'declare-blockers', name: 'Declare Blockers', shortName: 'Block', phase: 'combat', priority: true },
+  { id: 'combat-damage', name: 'Combat Damage', shortName: 'Damage', phase: 'combat', priority: true },
+  { id: 'end-of-combat', name: 'End of Combat', shortName: 'End Combat', phase: 'combat', priority: true },
+  { id: 'main2', name: 'Postcombat Main', shortName: 'Main 2', phase: 'main2', priority: true },
+  { id: 'end', name: 'End Step', shortName: 'End', phase: 'ending', priority: true },
+  { id: 'cleanup', name: 'Cleanup', shortName: 'Cleanup', phase: 'ending', priority: false }
+];
+
+// Steps a player stops in when priority reaches them, on their own turn and
+// on other players' turns. Everywhere else they pass automatically
+export const DEFAULT_STOPS = {
+  own: ['main1', 'declare-attackers', 'main2'],
+  others: ['declare-blockers', 'end']
+};
+
+// The active player always stops in their precombat main phase, so a turn
+// can't pass without them getting a chance to play a land
+export const MANDATORY_STOP = 'main1';
+
+// Look up a step by id
+export const getStep = (stepId) => TURN_STEPS.find(step => step.id === stepId) || null;
+
+// Position of a step in the turn, or -1 if it isn't one
+export const getStepIndex = (stepId) => TURN_STEPS.findIndex(step => step.id === stepId);
+
+// The step after the given one, or null after cleanup
+export const getNextStep = (stepId) => {
+  const index = getStepIndex(stepId);
+  return index !== -1 && index < TURN_STEPS.length - 1 ? TURN_STEPS[index + 1].id : null;
+};
+
+// Keep only known steps, so stops from peers can't hold arbitrary data
+export const normalizeStops = (stops = {}) => ({
+  own: TURN_STEPS.map(step => step.id).filter(id => stops.own?.includes(id)),
+  others: TURN_STEPS.map(step => step.id).filter(id => stops.others?.includes(id))
+});
+
+export default {
+  TURN_STEPS,
+  DEFAULT_STOPS,
+  MANDATORY_STOP,
+  getStep,
+  getStepIndex,
+  getNextStep,
+  normalizeStops
+};
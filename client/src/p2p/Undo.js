@@ -0,0 +1,26 @@
+// Undo.js
+// Undoing committed actions. The game state keeps the last committed actions
+// along with the state from before them, and an undo applies the actions before
+// the undone ones to that state again once every other player still in the
+// game approved it. Redo is only possible when there is no one to ask
+
+// Committed actions that can be undone
+export const UNDO_HISTORY_SIZE = 50;
+
+// Actions that manage the history rather than play the game; they can't be undone
+export const UNDO_ACTION_TYPES = ['undo-request', 'undo-response', 'redo'];
+
+// Players that still have to approve an undo request
+export const getPendingApprovers = (state, request) =>
+  state.players
+    .filter(player => player.id !== request.playerId && !player.lost && !request.approvals.includes(player.id))
+    .map(player => player.id);
+
+export const describeActionCount = (count) => `${count} action${count === 1 ? '' : 's'}`;
+
+export default {
+  UNDO_HISTORY_SIZE,
+  UNDO_ACTION_TYPES,
+  getPendingApprovers,
+  describeActionCount
+};
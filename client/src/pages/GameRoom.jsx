@@ -2,6 +2,33 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useGame } from '../contexts/GameContext';
+import LibraryArrangeModal from '../components/LibraryArrangeModal';
+import LibrarySearchModal from '../components/LibrarySearchModal';
+import GameLog from '../components/GameLog';
+import PlayerZones from '../components/PlayerZones';
+import CommanderDamage from '../components/CommanderDamage';
+import PlayerCounterControls from '../components/PlayerCounterControls';
+import MulliganModal from '../components/MulliganModal';
+import TurnTracker from '../components/TurnTracker';
+import StackPanel from '../components/StackPanel';
+import StackEntryModal from '../components/StackEntryModal';
+import CombatModal from '../components/CombatModal';
+import PermanentEffectsModal from '../components/PermanentEffectsModal';
+import TokenPickerModal from '../components/TokenPickerModal';
+import UndoModal from '../components/UndoModal';
+import RevealCardsModal from '../components/RevealCardsModal';
+import RevealedCardsModal from '../components/RevealedCardsModal';
+import GameOverModal from '../components/GameOverModal';
+import RandomToolsModal from '../components/RandomToolsModal';
+import { getFormat, getMulliganRule, getOpeningHandSize, OPENING_HAND_SIZE } from '../p2p/Formats';
+import { getCombatDecision, findPermanent, getPower, getToughness } from '../p2p/Combat';
+import { getAttachments, getExiledWith, isAttachedToPermanent } from '../p2p/Attachments';
+import { CARD_SLOT, getTokenKey } from '../p2p/BattlefieldLayout';
+import { isDoubleFaced, getCardFace, getCardImage } from '../p2p/CardFaces';
+
+// Size in pixels of a battlefield grid cell on full-size and compact boards
+const CELL_SIZE = 20;
+const COMPACT_CELL_SIZE = 16;
 
 const GameRoom = () => {
   const { gameId } = useParams();
@@ -10,6 +37,18 @@ const GameRoom = () => {
   const [zoomedOpponent, setZoomedOpponent] = useState(null);
   const [deckData, setDeckData] = useState(null);
   const [hoveredCard, setHoveredCard] = useState(null);
+  const [libraryMode, setLibraryMode] = useState(null);
+  const [showLibrarySearch, setShowLibrarySearch] = useState(false);
+  const [mulliganBusy, setMulliganBusy] = useState(false);
+  const [stackEntry, setStackEntry] = useState(null);
+  const [postponedCombatStep, setPostponedCombatStep] = useState(null);
+  const [effectsTarget, setEffectsTarget] = useState(null);
+  const [showTokenPicker, setShowTokenPicker] = useState(false);
+  const [showUndo, setShowUndo] = useState(false);
+  const [showReveal, setShowReveal] = useState(false);
+  const [seenRevealIds, setSeenRevealIds] = useState([]);
+  const [showGameOver, setShowGameOver] = useState(true);
+  const [showRandomTools, setShowRandomTools] = useState(false);
   
   const { currentUser } = useAuth();
   const { 
@@ -17,13 +56,65 @@ const GameRoom = () => {
     players, 
     currentPlayer,
     isConnected,
+    reconnectingPeers,
     joinGame,
     drawCard,
     playCard,
     moveCard,
     updateLife,
+    leaveGame,
+    concede,
     changePhase,
     nextTurn,
+    passPriority,
+    setStops,
+    castSpell,
+    activateAbility,
+    resolveStack,
+    counterSpell,
+    reorderStack,
+    declareAttackers,
+    declareBlockers,
+    assignCombatDamage,
+    markDamage,
+    addModifier,
+    removeModifier,
+    attachCard,
+    detachCard,
+    repositionCard,
+    groupCards,
+    ungroupCards,
+    flipCard,
+    turnFaceDown,
+    turnFaceUp,
+    copyCard,
+    changeControl,
+    exchangeControl,
+    createToken,
+    requestUndo,
+    respondToUndo,
+    redo,
+    getUndoableActionCount,
+    canRedo,
+    revealCards,
+    getRevealedCards,
+    tapCard,
+    untapCard,
+    untapAll,
+    setDoesNotUntap,
+    lookAtLibrary,
+    searchLibrary,
+    loadDeck,
+    shuffleLibrary,
+    rollDie,
+    flipCoin,
+    randomChoice,
+    castCommander,
+    commanderDamage,
+    addPlayerCounter,
+    removePlayerCounter,
+    mulligan,
+    keepHand,
     importDeck
   } = useGame();
   
@@ -57,15 +148,28 @@ const GameRoom = () => {
     initializeGame();
   }, [gameId, joinGame, importDeck]);
 
+  // Load our deck into the game once it has started. Only the deck size is
+  // shared with the other players
+  const deckLoadedRef = useRef(false);
+  useEffect(() => {
+    if (deckLoadedRef.current || !gameState || !deckData || !currentPlayer) return;
+    
+    // A game resumed after a page refresh already has our deck
+    deckLoadedRef.current = true;
+    if (currentPlayer.deckLoaded) return;
+    
+    loadDeck(currentPlayer.id, deckData.cards, deckData.commander);
+  }, [gameState, deckData, currentPlayer, loadDeck]);
+
   // Handle card hover
   const handleCardHover = (card) => {
     setHoveredCard(card);
   };
 
   // Handle card click
-  const handleCardClick = (card, zone, playerId) => {
+  const handleCardClick = (e, card, zone, playerId) => {
     // If CTRL is pressed, handle multi-select
-    if (window.event.ctrlKey) {
+    if (e.ctrlKey) {
       // Multi-select logic would go here
       return;
     }
@@ -76,7 +180,14 @@ const GameRoom = () => {
       if (zone === 'hand') {
         playCard(playerId, card.id);
       } else if (zone === 'battlefield') {
-        // Toggle tapped state or other actions
+        if (e.altKey) {
+          // ALT + click toggles the "doesn't untap" flag
+          setDoesNotUntap(playerId, card.id, !card.doesNotUntap);
+        } else if (card.tapped) {
+          untapCard(playerId, card.id);
+        } else {
+          tapCard(playerId, card.id);
+        }
       }
     } else {
       // It's an opponent's card
@@ -84,11 +195,32 @@ const GameRoom = () => {
     }
   };
 
+  // Right-click a permanent to edit its damage and temporary effects
+  const handleCardContextMenu = (e, card, playerId) => {
+    e.preventDefault();
+    setEffectsTarget({ playerId, cardId: card.id });
+  };
+
   // Handle drag start
   const handleDragStart = (e, card, zone, playerId) => {
+    // Where the card was grabbed, so it lands where it is dropped
+    const rect = e.currentTarget.getBoundingClientRect();
     e.dataTransfer.setData('card', JSON.stringify(card));
     e.dataTransfer.setData('zone', zone);
     e.dataTransfer.setData('playerId', playerId);
+    e.dataTransfer.setData('offset', JSON.stringify({ x: e.clientX - rect.left, y: e.clientY - rect.top }));
+  };
+
+  // Grid cell of the battlefield a dragged card was dropped on
+  const getDropCell = (e, cellSize) => {
+    const grid = e.currentTarget.querySelector('[data-battlefield-grid]');
+    const rect = grid.getBoundingClientRect();
+    const offset = JSON.parse(e.dataTransfer.getData('offset') || '{"x":0,"y":0}');
+    
+    return {
+      x: Math.round((e.clientX - rect.left - offset.x) / cellSize),
+      y: Math.round((e.clientY - rect.top - offset.y) / cellSize)
+    };
   };
 
   // Handle drop
@@ -98,8 +230,78 @@ const GameRoom = () => {
     const sourceZone = e.dataTransfer.getData('zone');
     const sourcePlayerId = e.dataTransfer.getData('playerId');
     
-    if (sourcePlayerId === playerId) {
-      moveCard(playerId, card.id, sourceZone, targetZone);
+    if (sourcePlayerId !== playerId) return;
+    
+    // Moving a permanent on the battlefield rearranges it, unattaching it if needed
+    if (targetZone === 'battlefield' && sourceZone === 'battlefield') {
+      if (card.attachedTo) {
+        detachCard(playerId, card.id);
+      }
+      const { x, y } = getDropCell(e, CELL_SIZE);
+      repositionCard(playerId, card.id, x, y);
+      return;
+    }
+    
+    // SHIFT + drop puts a card from hand onto the battlefield face down
+    if (targetZone === 'battlefield' && sourceZone === 'hand' && e.shiftKey) {
+      turnFaceDown(playerId, card.id, 'hand');
+      return;
+    }
+    
+    // Dropping on the stack casts the card, or activates an ability of a permanent
+    if (targetZone === 'stack') {
+      setStackEntry({ card, sourceZone });
+      return;
+    }
+    
+    // A commander going to the graveyard or exile may go to the command zone instead
+    let zone = targetZone;
+    if (card.isCommander && (targetZone === 'graveyard' || targetZone === 'exile')) {
+      if (window.confirm(`Return ${card.name} to the command zone instead?`)) {
+        zone = 'command';
+      }
+    }
+    
+    if (zone !== sourceZone) {
+      moveCard(playerId, card.id, sourceZone, zone);
+    }
+  };
+
+  // Dropping a permanent on another one attaches it; dropping a card from
+  // exile links it as exiled with that permanent
+  const handleAttachDrop = (e, host, hostPlayerId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const card = JSON.parse(e.dataTransfer.getData('card'));
+    const sourceZone = e.dataTransfer.getData('zone');
+    const sourcePlayerId = e.dataTransfer.getData('playerId');
+    
+    if (sourceZone !== 'battlefield' && sourceZone !== 'exile') return;
+    if (card.id === host.id) return;
+    
+    // An identical token joins the host's stack instead
+    const tokenKey = getTokenKey(card);
+    if (sourceZone === 'battlefield' && sourcePlayerId === hostPlayerId && tokenKey && tokenKey === getTokenKey(host)) {
+      const player = players.find(p => p.id === sourcePlayerId);
+      const stack = card.group ? player.battlefield.filter(c => c.group === card.group) : [card];
+      groupCards(sourcePlayerId, [host.id, ...stack.map(c => c.id).filter(id => id !== host.id)]);
+      return;
+    }
+    
+    attachCard(sourcePlayerId, card.id, hostPlayerId, host.id, sourceZone);
+  };
+
+  // Clicking a stack of tokens taps one of them, or untaps one with SHIFT
+  // held or once they are all tapped
+  const handleStackClick = (e, stack, playerId) => {
+    if (playerId !== currentUser.id) return;
+    
+    const untapped = stack.find(card => !card.tapped);
+    const tapped = stack.find(card => card.tapped);
+    if (untapped && !e.shiftKey) {
+      tapCard(playerId, untapped.id);
+    } else if (tapped) {
+      untapCard(playerId, tapped.id);
     }
   };
 
@@ -123,13 +325,176 @@ const GameRoom = () => {
     nextTurn();
   };
 
-  // Handle draw card
+  // Pass priority; the step ends once every player has passed
+  const handlePassPriority = () => {
+    if (currentPlayer) {
+      passPriority(currentPlayer.id);
+    }
+  };
+
+  // Save the steps we want to stop in
+  const handleSetStops = (stops) => {
+    if (currentPlayer) {
+      setStops(currentPlayer.id, stops);
+    }
+  };
+
+  // Handle draw card. Drawing from an empty library loses the game
   const handleDrawCard = () => {
     if (currentPlayer) {
+      if (currentPlayer.deckLoaded && currentPlayer.library.length === 0 &&
+          !window.confirm('Your library is empty. Drawing now loses the game. Draw anyway?')) {
+        return;
+      }
       drawCard(currentPlayer.id);
     }
   };
 
+  const handleConcede = () => {
+    if (currentPlayer && window.confirm('Concede the game? Your permanents leave the game with you.')) {
+      concede(currentPlayer.id);
+    }
+  };
+
+  // Leaving for good means the game can't be resumed after a refresh
+  const handleLeaveGame = () => {
+    leaveGame();
+    navigate('/');
+  };
+
+  // Handle scry/surveil/look submission
+  const handleLibraryArrange = (placements) => {
+    if (currentPlayer) {
+      lookAtLibrary(currentPlayer.id, libraryMode, placements);
+    }
+    setLibraryMode(null);
+  };
+
+  // Handle the cards taken while searching our library
+  const handleLibrarySearch = (selections, shuffle) => {
+    if (currentPlayer) {
+      searchLibrary(currentPlayer.id, selections, shuffle);
+    }
+    setShowLibrarySearch(false);
+  };
+
+  // Handle untap all
+  const handleUntapAll = () => {
+    if (currentPlayer) {
+      untapAll(currentPlayer.id);
+    }
+  };
+
+  const handleShuffle = () => {
+    if (currentPlayer) {
+      shuffleLibrary(currentPlayer.id);
+    }
+  };
+
+  // Create the token picked in the token library, as many times as asked
+  const handleCreateTokens = (tokenData, count) => {
+    for (let i = 0; i < count; i++) {
+      createToken(currentUser.id, tokenData);
+    }
+    setShowTokenPicker(false);
+  };
+
+  // Ask to undo our last actions
+  const handleRequestUndo = (count) => {
+    requestUndo(currentUser.id, count);
+    setShowUndo(false);
+  };
+
+  // Reveal cards to every opponent, or only to the chosen ones
+  const handleRevealCards = (zone, cardIds, recipients) => {
+    revealCards(currentUser.id, zone, cardIds, recipients);
+    setShowReveal(false);
+  };
+
+  // Roll dice, flip coins or pick at random; the results appear in the log
+  const handleRollDie = (sides, count) => {
+    rollDie(currentUser.id, sides, count);
+    setShowRandomTools(false);
+  };
+
+  const handleFlipCoin = (count) => {
+    flipCoin(currentUser.id, count);
+    setShowRandomTools(false);
+  };
+
+  const handleRandomChoice = (options) => {
+    randomChoice(currentUser.id, options);
+    setShowRandomTools(false);
+  };
+
+  // Cards we can see, for the tokens they make
+  const getVisibleCards = () => players.flatMap(player => [
+    ...['library', 'hand', 'battlefield', 'graveyard', 'exile', 'command'].flatMap(zone => player[zone] || []),
+    ...(player.commander ? [player.commander] : [])
+  ]).filter(card => !card.hidden);
+
+  // Cast a commander from the command zone, paying commander tax
+  const handleCastCommander = (card) => {
+    if (currentPlayer) {
+      castCommander(currentPlayer.id, card.id);
+    }
+  };
+
+  // Shuffle our hand back and draw a new one. The shuffle waits for every
+  // peer's randomness, so the buttons stay disabled until it is done
+  const handleMulligan = async () => {
+    if (!currentPlayer) return;
+    
+    setMulliganBusy(true);
+    await mulligan(currentPlayer.id);
+    setMulliganBusy(false);
+  };
+
+  // Keep our hand. Under the Vancouver rule a smaller hand comes with a scry 1
+  const handleKeepHand = (bottomCardIds) => {
+    if (!currentPlayer) return;
+    
+    const rule = getMulliganRule(gameState.config?.mulliganRule, players.length);
+    const mulliganCount = gameState.mulligan?.[currentPlayer.id]?.count || 0;
+    
+    if (keepHand(currentPlayer.id, bottomCardIds) &&
+        rule.drawsFewer && getOpeningHandSize(rule, mulliganCount) < OPENING_HAND_SIZE) {
+      setLibraryMode('scry');
+    }
+  };
+
+  // Put the dropped card (or its ability) on the stack
+  const handleStackEntry = ({ description, targets, triggered }) => {
+    const { card, sourceZone } = stackEntry;
+    
+    if (sourceZone === 'battlefield') {
+      activateAbility(currentUser.id, card.id, description, targets, triggered);
+    } else if (sourceZone === 'command') {
+      castCommander(currentUser.id, card.id, description, targets);
+    } else {
+      castSpell(currentUser.id, card.id, sourceZone, description, targets);
+    }
+    setStackEntry(null);
+  };
+
+  // Combat assistant decisions
+  const handleDeclareAttackers = (attackers) => {
+    declareAttackers(currentUser.id, attackers);
+  };
+
+  const handleDeclareBlockers = (blockers) => {
+    declareBlockers(currentUser.id, blockers);
+  };
+
+  const handleAssignCombatDamage = (assignments) => {
+    assignCombatDamage(currentUser.id, assignments);
+  };
+
+  // Adjust the commander damage we have taken from an opponent's commander
+  const handleCommanderDamage = (opponentId, commanderKey, delta) => {
+    commanderDamage(currentUser.id, opponentId, commanderKey, delta);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-bg-primary flex justify-center items-center">
@@ -171,6 +536,172 @@ const GameRoom = () => {
 
   // Get opponents (all players except current user)
   const opponents = players.filter(player => player.id !== currentUser.id);
+  const format = getFormat(gameState.config?.format);
+  
+  // Opening hand decision, shown until we keep. Without a deck there is nothing to wait for
+  const mulliganStatus = gameState.phase === 'mulligan' ? gameState.mulligan?.[currentUser.id] : null;
+  const showMulligan = !!mulliganStatus && !mulliganStatus.kept && !!currentPlayer &&
+    (currentPlayer.hand.length > 0 || !deckData);
+  
+  // Combat decision we still have to make in this step, unless we put it off
+  const combatStep = `${gameState.turn}:${gameState.phase}`;
+  const combatDecision = getCombatDecision(gameState, currentUser.id);
+  const showCombat = !!combatDecision && postponedCombatStep !== combatStep;
+  
+  // Attacking and blocking creatures are marked on the battlefield
+  const getCombatRole = (card) => {
+    if (gameState.combat?.attackers.some(attacker => attacker.cardId === card.id)) return 'ATK';
+    if (gameState.combat?.blockers.some(blocker => blocker.cardId === card.id)) return 'BLK';
+    return null;
+  };
+  
+  // Power/toughness including counters and temporary effects, and marked damage
+  const renderCardStats = (card) => {
+    const modified = card.modifiers?.length > 0;
+    if (getCardFace(card).power === undefined && !modified && !card.damage) return null;
+    
+    return (
+      <div className="absolute bottom-0 right-0 flex text-xs">
+        {card.damage > 0 && (
+          <span className="bg-red-600 text-white px-1 rounded-tl">{card.damage}</span>
+        )}
+        <span className={`bg-black bg-opacity-75 px-1 ${modified ? 'text-accent' : 'text-white'}`}>
+          {getPower(card)}/{getToughness(card)}
+        </span>
+      </div>
+    );
+  };
+  
+  const effectsCard = effectsTarget && findPermanent(gameState, effectsTarget.playerId, effectsTarget.cardId);
+  const previewCard = hoveredCard && (hoveredCard.hiddenCard || hoveredCard);
+  const undoableActionCount = getUndoableActionCount(currentUser.id);
+  
+  // The oldest reveal made to us that we haven't closed yet
+  const incomingReveal = (gameState.reveals || []).find(reveal =>
+    reveal.recipients.includes(currentUser.id) && !seenRevealIds.includes(reveal.id)
+  );
+  
+  // Permanents that aren't attached to another one; attachments are drawn under their host
+  const getBattlefieldRoots = (player) =>
+    (player.battlefield || []).filter(card => !isAttachedToPermanent(players, card));
+  
+  // A permanent with the cards attached to it stacked underneath, each
+  // handled as a card of the player who controls it
+  const renderPermanent = (card, playerId, sizeClass, stack = [card]) => {
+    const attachments = getAttachments(players, playerId, card.id);
+    const exiledWith = getExiledWith(players, playerId, card.id);
+    const tappedCount = stack.filter(c => c.tapped).length;
+    
+    return (
+      <div
+        key={card.id}
+        className="relative m-1"
+        style={{ paddingBottom: `${attachments.length}rem` }}
+      >
+        {attachments.map(({ card: attached, playerId: controllerId }, index) => (
+          <div
+            key={attached.id}
+            className="absolute left-0"
+            style={{ top: `${attachments.length - index}rem` }}
+          >
+            {renderPermanent(attached, controllerId, sizeClass)}
+          </div>
+        ))}
+        <div 
+          className={`relative z-10 ${sizeClass} rounded overflow-hidden shadow-lg card-hover ${card.tapped ? 'transform rotate-90' : ''}`}
+          onClick={(e) => (stack.length > 1 ? handleStackClick(e, stack, playerId) : handleCardClick(e, card, 'battlefield', playerId))}
+          onContextMenu={(e) => handleCardContextMenu(e, card, playerId)}
+          onMouseEnter={() => handleCardHover(card)}
+          onMouseLeave={() => setHoveredCard(null)}
+          draggable
+          onDragStart={(e) => handleDragStart(e, card, 'battlefield', playerId)}
+          onDragOver={handleDragOver}
+          onDrop={(e) => handleAttachDrop(e, card, playerId)}
+        >
+          <img 
+            src={getCardImage(card)} 
+            alt={card.name || 'Card'} 
+            className="w-full h-full object-cover"
+          />
+          {card.doesNotUntap && (
+            <div
+              className="absolute top-0 right-0 bg-blue-600 text-white text-xs px-1 rounded-bl"
+              title="Doesn't untap during untap step"
+            >
+              DNU
+            </div>
+          )}
+          {exiledWith.length > 0 && (
+            <div
+              className="absolute bottom-0 left-0 bg-purple-700 text-white text-xs px-1 rounded-tr"
+              title={`Exiled with ${card.name}: ${exiledWith.map(({ card: exiled }) => exiled.name).join(', ')}`}
+            >
+              {exiledWith.length}
+            </div>
+          )}
+          {stack.length > 1 && (
+            <div
+              className="absolute top-1/3 left-0 right-0 text-center"
+              title={playerId === currentUser.id ? 'Click to split the stack' : undefined}
+              onClick={(e) => {
+                if (playerId !== currentUser.id) return;
+                e.stopPropagation();
+                ungroupCards(playerId, card.group);
+              }}
+            >
+              <span className="bg-black bg-opacity-75 text-white font-bold text-sm px-2 rounded-full">
+                ×{stack.length}{tappedCount > 0 ? ` (${tappedCount} tapped)` : ''}
+              </span>
+            </div>
+          )}
+          {renderCombatRole(card)}
+          {renderCardStats(card)}
+        </div>
+      </div>
+    );
+  };
+  
+  // A player's battlefield laid out on the grid the way they arranged it.
+  // A stack of tokens is drawn as its first card with a count
+  const renderBattlefield = (player, playerId, sizeClass, cellSize) => {
+    const roots = getBattlefieldRoots(player);
+    const shown = roots.filter((card, index) => !card.group || roots.findIndex(c => c.group === card.group) === index);
+    const positionOf = (card, index) => card.position || { x: index * CARD_SLOT.columns, y: 0 };
+    const extent = shown.reduce((max, card, index) => {
+      const { x, y } = positionOf(card, index);
+      return { x: Math.max(max.x, x), y: Math.max(max.y, y) };
+    }, { x: 0, y: 0 });
+    
+    return (
+      <div
+        data-battlefield-grid
+        className="relative"
+        style={{
+          width: (extent.x + CARD_SLOT.columns) * cellSize,
+          height: (extent.y + CARD_SLOT.rows + 2) * cellSize
+        }}
+      >
+        {shown.map((card, index) => {
+          const { x, y } = positionOf(card, index);
+          const stack = card.group ? roots.filter(c => c.group === card.group) : [card];
+          return (
+            <div key={card.id} className="absolute" style={{ left: x * cellSize, top: y * cellSize }}>
+              {renderPermanent(card, playerId, sizeClass, stack)}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+  
+  const renderCombatRole = (card) => {
+    const role = getCombatRole(card);
+    return role && (
+      <div className="absolute top-0 left-0 bg-red-600 text-white text-xs px-1 rounded-br">
+        {role}
+      </div>
+    );
+  };
 
   return (
     <div className="h-screen bg-bg-primary text-text-primary overflow-hidden" ref={gameContainerRef}>
@@ -191,9 +722,9 @@ const GameRoom = () => {
                       onClick={() => setZoomedOpponent(opp)}
                     >
                       <div className="flex items-center">
-                        <div className="w-2 h-2 rounded-full bg-green-500 mr-2"></div>
+                        <div className={`w-2 h-2 rounded-full mr-2 ${reconnectingPeers.includes(opp.id) ? 'bg-yellow-500' : 'bg-green-500'}`}></div>
                         <span className="mr-2">{opp.name || 'Opponent'}</span>
-                        <span className="text-accent font-bold">{opp.life || 20}</span>
+                        <span className="text-accent font-bold">{opp.life ?? format.startingLife}</span>
                       </div>
                     </div>
                   ))}
@@ -210,17 +741,38 @@ const GameRoom = () => {
                 <div className="flex justify-between items-start mb-4">
                   <div className="flex items-center">
                     <span className="text-lg font-bold mr-2">{zoomedOpponent.name || 'Opponent'}</span>
+                    {reconnectingPeers.includes(zoomedOpponent.id) && (
+                      <span className="text-yellow-500 text-xs mr-2">reconnecting...</span>
+                    )}
+                    {zoomedOpponent.lost && (
+                      <span className="text-red-500 text-xs mr-2">lost</span>
+                    )}
                     <div className="flex items-center bg-bg-secondary px-3 py-1 rounded-full">
                       <button 
                         className="text-red-500 font-bold w-6 h-6 flex items-center justify-center"
                         onClick={() => handleLifeChange(zoomedOpponent.id, -1)}
                       >-</button>
-                      <span className="mx-2 text-accent font-bold">{zoomedOpponent.life || 20}</span>
+                      <span className="mx-2 text-accent font-bold">{zoomedOpponent.life ?? format.startingLife}</span>
                       <button 
                         className="text-green-500 font-bold w-6 h-6 flex items-center justify-center"
                         onClick={() => handleLifeChange(zoomedOpponent.id, 1)}
                       >+</button>
                     </div>
+                    <PlayerCounterControls
+                      counters={zoomedOpponent.counters}
+                      onAdd={(type) => addPlayerCounter(zoomedOpponent.id, type)}
+                      onRemove={(type) => removePlayerCounter(zoomedOpponent.id, type)}
+                    />
+                    {format.commander && (
+                      <div className="ml-2">
+                        <CommanderDamage
+                          opponent={zoomedOpponent}
+                          damageTaken={currentPlayer?.commanderDamage?.[zoomedOpponent.id]}
+                          limit={format.commanderDamageLimit}
+                          onChange={(key, delta) => handleCommanderDamage(zoomedOpponent.id, key, delta)}
+                        />
+                      </div>
+                    )}
                   </div>
                   
                   <div className="flex space-x-2">
@@ -241,27 +793,11 @@ const GameRoom = () => {
                 
                 {/* Opponent Battlefield */}
                 <div 
-                  className="bg-bg-secondary bg-opacity-50 rounded-lg p-4 h-64 overflow-y-auto flex flex-wrap"
+                  className="bg-bg-secondary bg-opacity-50 rounded-lg p-4 h-64 overflow-auto"
                   onDragOver={handleDragOver}
                   onDrop={(e) => handleDrop(e, 'battlefield', zoomedOpponent.id)}
                 >
-                  {zoomedOpponent.battlefield?.map((card, index) => (
-                    <div 
-                      key={`${card.id}-${index}`}
-                      className={`w-20 h-28 m-1 rounded overflow-hidden shadow-lg card-hover ${card.tapped ? 'transform rotate-90' : ''}`}
-                      onClick={() => handleCardClick(card, 'battlefield', zoomedOpponent.id)}
-                      onMouseEnter={() => handleCardHover(card)}
-                      onMouseLeave={() => setHoveredCard(null)}
-                      draggable
-                      onDragStart={(e) => handleDragStart(e, card, 'battlefield', zoomedOpponent.id)}
-                    >
-                      <img 
-                        src={card.image_uris?.normal || 'https://c1.scryfall.com/file/scryfall-card-backs/normal/59/597b79b3-7d77-4261-871a-60dd17403388.jpg'} 
-                        alt={card.name || 'Card'} 
-                        className="w-full h-full object-cover"
-                      />
-                    </div>
-                  ))}
+                  {renderBattlefield(zoomedOpponent, zoomedOpponent.id, 'w-20 h-28', CELL_SIZE)}
                 </div>
               </div>
             </>
@@ -276,6 +812,12 @@ const GameRoom = () => {
                   <div className="flex justify-between items-start mb-4">
                     <div className="flex items-center">
                       <span className="font-bold mr-2">{opponent.name || 'Opponent'}</span>
+                      {reconnectingPeers.includes(opponent.id) && (
+                        <span className="text-yellow-500 text-xs mr-2">reconnecting...</span>
+                      )}
+                      {opponent.lost && (
+                        <span className="text-red-500 text-xs mr-2">lost</span>
+                      )}
                       <div className="flex items-center bg-bg-secondary px-2 py-1 rounded-full">
                         <button 
                           className="text-red-500 font-bold w-5 h-5 flex items-center justify-center"
@@ -284,7 +826,7 @@ const GameRoom = () => {
                             handleLifeChange(opponent.id, -1);
                           }}
                         >-</button>
-                        <span className="mx-1 text-accent font-bold">{opponent.life || 20}</span>
+                        <span className="mx-1 text-accent font-bold">{opponent.life ?? format.startingLife}</span>
                         <button 
                           className="text-green-500 font-bold w-5 h-5 flex items-center justify-center"
                           onClick={(e) => {
@@ -293,6 +835,22 @@ const GameRoom = () => {
                           }}
                         >+</button>
                       </div>
+                      <PlayerCounterControls
+                        counters={opponent.counters}
+                        onAdd={(type) => addPlayerCounter(opponent.id, type)}
+                        onRemove={(type) => removePlayerCounter(opponent.id, type)}
+                        compact
+                      />
+                      {format.commander && (
+                        <div className="ml-1">
+                          <CommanderDamage
+                            opponent={opponent}
+                            damageTaken={currentPlayer?.commanderDamage?.[opponent.id]}
+                            limit={format.commanderDamageLimit}
+                            onChange={(key, delta) => handleCommanderDamage(opponent.id, key, delta)}
+                          />
+                        </div>
+                      )}
                     </div>
                     
                     <div className="flex space-x-1">
@@ -309,28 +867,12 @@ const GameRoom = () => {
                   
                   {/* Opponent Battlefield (Compact) */}
                   <div 
-                    className="bg-bg-secondary bg-opacity-50 rounded-lg p-2 h-48 overflow-y-auto flex flex-wrap"
+                    className="bg-bg-secondary bg-opacity-50 rounded-lg p-2 h-48 overflow-auto"
                     onClick={(e) => e.stopPropagation()}
                     onDragOver={handleDragOver}
                     onDrop={(e) => handleDrop(e, 'battlefield', opponent.id)}
                   >
-                    {opponent.battlefield?.map((card, index) => (
-                      <div 
-                        key={`${card.id}-${index}`}
-                        className={`w-16 h-22 m-1 rounded overflow-hidden shadow-lg card-hover ${card.tapped ? 'transform rotate-90' : ''}`}
-                        onClick={() => handleCardClick(card, 'battlefield', opponent.id)}
-                        onMouseEnter={() => handleCardHover(card)}
-                        onMouseLeave={() => setHoveredCard(null)}
-                        draggable
-                        onDragStart={(e) => handleDragStart(e, card, 'battlefield', opponent.id)}
-                      >
-                        <img 
-                          src={card.image_uris?.normal || 'https://c1.scryfall.com/file/scryfall-card-backs/normal/59/597b79b3-7d77-4261-871a-60dd17403388.jpg'} 
-                          alt={card.name || 'Card'} 
-                          className="w-full h-full object-cover"
-                        />
-                      </div>
-                    ))}
+                    {renderBattlefield(opponent, opponent.id, 'w-16 h-22', COMPACT_CELL_SIZE)}
                   </div>
                 </div>
               ))}
@@ -339,83 +881,187 @@ const GameRoom = () => {
         </div>
         
         {/* Player Section (Lower Half) */}
-        <div className="h-1/2 bg-bg-secondary flex flex-col">
+        <div className="h-1/2 bg-bg-secondary flex flex-col relative">
+          {/* Game Log */}
+          <div className="absolute right-4 bottom-40 z-10">
+            <GameLog entries={gameState.log} />
+          </div>
+          
+          {/* Stack */}
+          <div className="absolute left-28 bottom-40 z-10">
+            <StackPanel
+              stack={gameState.stack}
+              players={players}
+              userId={currentUser.id}
+              onResolve={resolveStack}
+              onCounter={(stackItemId) => counterSpell(currentUser.id, stackItemId)}
+              onReorder={(order) => reorderStack(currentUser.id, order)}
+              onDrop={(e) => handleDrop(e, 'stack', currentUser.id)}
+              onDragOver={handleDragOver}
+              onCardHover={setHoveredCard}
+            />
+          </div>
+          
           {/* Player Info and Controls */}
           <div className="flex justify-between items-center p-4 border-b border-gray-700">
             <div className="flex items-center">
               <span className="text-lg font-bold mr-2">{currentUser.username}</span>
+              {currentPlayer?.lost && (
+                <span className="text-red-500 text-sm mr-2">You lost</span>
+              )}
               <div className="flex items-center bg-bg-tertiary px-3 py-1 rounded-full">
                 <button 
                   className="text-red-500 font-bold w-6 h-6 flex items-center justify-center"
                   onClick={() => handleLifeChange(currentUser.id, -1)}
                 >-</button>
-                <span className="mx-2 text-accent font-bold">{currentPlayer?.life || 20}</span>
+                <span className="mx-2 text-accent font-bold">{currentPlayer?.life ?? format.startingLife}</span>
                 <button 
                   className="text-green-500 font-bold w-6 h-6 flex items-center justify-center"
                   onClick={() => handleLifeChange(currentUser.id, 1)}
                 >+</button>
               </div>
+              <PlayerCounterControls
+                counters={currentPlayer?.counters}
+                onAdd={(type) => addPlayerCounter(currentUser.id, type)}
+                onRemove={(type) => removePlayerCounter(currentUser.id, type)}
+              />
             </div>
             
             {/* Game Phases */}
-            <div className="flex space-x-1">
-              {['untap', 'upkeep', 'draw', 'main1', 'combat', 'main2', 'end'].map(phase => (
+            <TurnTracker
+              gameState={gameState}
+              players={players}
+              userId={currentUser.id}
+              onPass={handlePassPriority}
+              onChangePhase={handlePhaseChange}
+              onNextTurn={handleNextTurn}
+              onSetStops={handleSetStops}
+            />
+            
+            <div className="flex space-x-2">
+              <button
+                className="btn-primary text-sm"
+                onClick={handleDrawCard}
+              >
+                Draw
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={handleUntapAll}
+              >
+                Untap All
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={handleShuffle}
+                disabled={!currentPlayer?.library?.length}
+              >
+                Shuffle
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => turnFaceDown(currentUser.id, currentPlayer.library[0].id, 'library')}
+                disabled={!currentPlayer?.library?.length}
+                title="Put the top card of your library onto the battlefield face down"
+              >
+                Manifest
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => setShowTokenPicker(true)}
+              >
+                Token
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => setShowReveal(true)}
+                disabled={!currentPlayer?.hand?.length && !currentPlayer?.library?.length}
+              >
+                Reveal
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => setShowRandomTools(true)}
+              >
+                Dice
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => setShowUndo(true)}
+                disabled={!!gameState.undoRequest || undoableActionCount === 0}
+              >
+                Undo
+              </button>
+              {canRedo(currentUser.id) && (
                 <button
-                  key={phase}
-                  className={`px-2 py-1 text-xs rounded ${gameState?.phase === phase ? 'bg-green-600' : 'bg-gray-700'}`}
-                  onClick={() => handlePhaseChange(phase)}
+                  className="btn-secondary text-sm"
+                  onClick={() => redo(currentUser.id)}
                 >
-                  {phase}
+                  Redo
+                </button>
+              )}
+              {combatDecision && !showCombat && (
+                <button
+                  className="btn-primary text-sm"
+                  onClick={() => setPostponedCombatStep(null)}
+                >
+                  Combat
+                </button>
+              )}
+              {['scry', 'surveil', 'look'].map(mode => (
+                <button
+                  key={mode}
+                  className="btn-secondary text-sm capitalize"
+                  onClick={() => setLibraryMode(mode)}
+                  disabled={!currentPlayer?.library?.length}
+                >
+                  {mode}
                 </button>
               ))}
               <button
-                className="px-2 py-1 text-xs rounded bg-blue-600 ml-2"
-                onClick={handleNextTurn}
+                className="btn-secondary text-sm"
+                onClick={() => setShowLibrarySearch(true)}
+                disabled={!currentPlayer?.library?.length}
               >
-                Next Turn
+                Search
               </button>
-            </div>
-            
-            <div className="flex space-x-2">
               <button
-                className="btn-primary text-sm"
-                onClick={handleDrawCard}
+                className="btn-secondary text-sm"
+                onClick={handleConcede}
+                disabled={!currentPlayer || currentPlayer.lost || !!gameState.gameOver}
               >
-                Draw
+                Concede
               </button>
               <button
                 className="btn-secondary text-sm"
-                onClick={() => navigate('/')}
+                onClick={handleLeaveGame}
               >
                 Leave Game
               </button>
             </div>
           </div>
           
-          {/* Player Battlefield */}
-          <div 
-            className="flex-1 p-4 overflow-y-auto"
-            onDragOver={handleDragOver}
-            onDrop={(e) => handleDrop(e, 'battlefield', currentUser.id)}
-          >
-            <div className="flex flex-wrap">
-              {currentPlayer?.battlefield?.map((card, index) => (
-                <div 
-                  key={`${card.id}-${index}`}
-                  className={`w-20 h-28 m-1 rounded overflow-hidden shadow-lg card-hover ${card.tapped ? 'transform rotate-90' : ''}`}
-                  onClick={() => handleCardClick(card, 'battlefield', currentUser.id)}
-                  onMouseEnter={() => handleCardHover(card)}
-                  onMouseLeave={() => setHoveredCard(null)}
-                  draggable
-                  onDragStart={(e) => handleDragStart(e, card, 'battlefield', currentUser.id)}
-                >
-                  <img 
-                    src={card.image_uris?.normal || 'https://c1.scryfall.com/file/scryfall-card-backs/normal/59/597b79b3-7d77-4261-871a-60dd17403388.jpg'} 
-                    alt={card.name || 'Card'} 
-                    className="w-full h-full object-cover"
-                  />
-                </div>
-              ))}
+          <div className="flex-1 flex min-h-0 p-4">
+            {/* Command Zone, Graveyard and Exile */}
+            {currentPlayer && (
+              <PlayerZones
+                player={currentPlayer}
+                showCommandZone={format.commander}
+                onCastCommander={handleCastCommander}
+                onDrop={(e, zone) => handleDrop(e, zone, currentUser.id)}
+                onDragOver={handleDragOver}
+                onDragStart={(e, card, zone) => handleDragStart(e, card, zone, currentUser.id)}
+                onCardHover={setHoveredCard}
+              />
+            )}
+            
+            {/* Player Battlefield */}
+            <div 
+              className="flex-1 overflow-auto"
+              onDragOver={handleDragOver}
+              onDrop={(e) => handleDrop(e, 'battlefield', currentUser.id)}
+            >
+              {currentPlayer && renderBattlefield(currentPlayer, currentUser.id, 'w-20 h-28', CELL_SIZE)}
             </div>
           </div>
           
@@ -429,14 +1075,14 @@ const GameRoom = () => {
               <div 
                 key={`${card.id}-${index}`}
                 className="w-20 h-28 mx-1 rounded overflow-hidden shadow-lg card-hover transform hover:translate-y-(-10px)"
-                onClick={() => handleCardClick(card, 'hand', currentUser.id)}
+                onClick={(e) => handleCardClick(e, card, 'hand', currentUser.id)}
                 onMouseEnter={() => handleCardHover(card)}
                 onMouseLeave={() => setHoveredCard(null)}
                 draggable
                 onDragStart={(e) => handleDragStart(e, card, 'hand', currentUser.id)}
               >
                 <img 
-                  src={card.image_uris?.normal || 'https://c1.scryfall.com/file/scryfall-card-backs/normal/59/597b79b3-7d77-4261-871a-60dd17403388.jpg'} 
+                  src={getCardImage(card)} 
                   alt={card.name || 'Card'} 
                   className="w-full h-full object-cover"
                 />
@@ -446,18 +1092,187 @@ const GameRoom = () => {
         </div>
       </div>
       
-      {/* Enlarged Card Preview */}
-      {hoveredCard && (
+      {/* Spell or Ability Going on the Stack */}
+      {stackEntry && (
+        <StackEntryModal
+          card={stackEntry.card}
+          isAbility={stackEntry.sourceZone === 'battlefield'}
+          players={players}
+          onSubmit={handleStackEntry}
+          onCancel={() => setStackEntry(null)}
+        />
+      )}
+      
+      {/* Damage and Temporary Effects of a Permanent */}
+      {effectsCard && (
+        <PermanentEffectsModal
+          card={effectsCard}
+          onMarkDamage={(amount) => markDamage(effectsTarget.playerId, effectsCard.id, amount)}
+          onAddModifier={(modifier) => addModifier(effectsTarget.playerId, effectsCard.id, modifier)}
+          onRemoveModifier={(modifierId) => removeModifier(effectsTarget.playerId, effectsCard.id, modifierId)}
+          onFlip={isDoubleFaced(effectsCard) && !effectsCard.faceDown
+            ? () => flipCard(effectsTarget.playerId, effectsCard.id)
+            : null}
+          onTurnFaceDown={effectsTarget.playerId === currentUser.id && !effectsCard.faceDown
+            ? () => turnFaceDown(effectsTarget.playerId, effectsCard.id)
+            : null}
+          onTurnFaceUp={effectsTarget.playerId === currentUser.id && effectsCard.faceDown
+            ? () => turnFaceUp(effectsTarget.playerId, effectsCard.id)
+            : null}
+          onCopy={() => copyCard(currentUser.id, effectsTarget.playerId, effectsCard.id)}
+          ownerName={effectsCard.owner && effectsCard.owner !== effectsTarget.playerId
+            ? players.find(p => p.id === effectsCard.owner)?.name
+            : null}
+          otherPlayers={players.filter(p => p.id !== effectsTarget.playerId && !p.lost)}
+          otherPermanents={players
+            .filter(p => p.id !== effectsTarget.playerId && !p.lost)
+            .flatMap(p => p.battlefield.filter(c => !c.faceDown).map(c => ({ playerId: p.id, card: c })))}
+          onChangeControl={!effectsCard.faceDown
+            ? (newControllerId) => changeControl(effectsTarget.playerId, effectsCard.id, newControllerId)
+            : null}
+          onExchangeControl={(otherPlayerId, otherCardId) =>
+            exchangeControl(effectsTarget.playerId, effectsCard.id, otherPlayerId, otherCardId)}
+          onClose={() => setEffectsTarget(null)}
+        />
+      )}
+      
+      {/* Undo Request */}
+      {(showUndo || gameState.undoRequest) && (
+        <UndoModal
+          request={gameState.undoRequest}
+          players={players}
+          userId={currentUser.id}
+          maxCount={undoableActionCount}
+          onRequest={handleRequestUndo}
+          onRespond={(approve) => respondToUndo(currentUser.id, gameState.undoRequest.id, approve)}
+          onClose={() => setShowUndo(false)}
+        />
+      )}
+      
+      {/* Final Placements */}
+      {gameState.gameOver && showGameOver && (
+        <GameOverModal
+          gameOver={gameState.gameOver}
+          players={players}
+          userId={currentUser.id}
+          onLeave={handleLeaveGame}
+          onClose={() => setShowGameOver(false)}
+        />
+      )}
+      
+      {/* Revealing Cards */}
+      {showReveal && currentPlayer && (
+        <RevealCardsModal
+          player={currentPlayer}
+          players={players}
+          onReveal={handleRevealCards}
+          onClose={() => setShowReveal(false)}
+        />
+      )}
+      
+      {/* Dice, Coins and Random Choices */}
+      {showRandomTools && (
+        <RandomToolsModal
+          players={players}
+          userId={currentUser.id}
+          onRollDie={handleRollDie}
+          onFlipCoin={handleFlipCoin}
+          onRandomChoice={handleRandomChoice}
+          onClose={() => setShowRandomTools(false)}
+        />
+      )}
+      
+      {/* Cards Revealed to Us */}
+      {incomingReveal && (
+        <RevealedCardsModal
+          key={incomingReveal.id}
+          reveal={incomingReveal}
+          revealerName={players.find(p => p.id === incomingReveal.playerId)?.name || 'Opponent'}
+          cards={getRevealedCards(incomingReveal)}
+          onCardHover={setHoveredCard}
+          onClose={() => setSeenRevealIds(ids => [...ids, incomingReveal.id])}
+        />
+      )}
+      
+      {/* Token Library */}
+      {showTokenPicker && (
+        <TokenPickerModal
+          cards={getVisibleCards()}
+          onCreate={handleCreateTokens}
+          onClose={() => setShowTokenPicker(false)}
+        />
+      )}
+      
+      {/* Combat Assistant */}
+      {showCombat && (
+        <CombatModal
+          key={combatStep}
+          mode={combatDecision}
+          gameState={gameState}
+          players={players}
+          userId={currentUser.id}
+          onDeclareAttackers={handleDeclareAttackers}
+          onDeclareBlockers={handleDeclareBlockers}
+          onAssignDamage={handleAssignCombatDamage}
+          onClose={() => setPostponedCombatStep(combatStep)}
+        />
+      )}
+      
+      {/* Opening Hand and Mulligans */}
+      {showMulligan && (
+        <MulliganModal
+          hand={currentPlayer.hand}
+          mulliganCount={mulliganStatus.count}
+          rule={getMulliganRule(gameState.config?.mulliganRule, players.length)}
+          waitingFor={players
+            .filter(p => p.id !== currentUser.id && !gameState.mulligan?.[p.id]?.kept)
+            .map(p => p.name || 'Opponent')}
+          busy={mulliganBusy}
+          onMulligan={handleMulligan}
+          onKeep={handleKeepHand}
+        />
+      )}
+      
+      {/* Private Library Search */}
+      {showLibrarySearch && currentPlayer && (
+        <LibrarySearchModal
+          library={currentPlayer.library}
+          onSubmit={handleLibrarySearch}
+          onCardHover={setHoveredCard}
+          onCancel={() => setShowLibrarySearch(false)}
+        />
+      )}
+      
+      {/* Private Library View (scry, surveil, look) */}
+      {libraryMode && currentPlayer && (
+        <LibraryArrangeModal
+          library={currentPlayer.library}
+          mode={libraryMode}
+          onSubmit={handleLibraryArrange}
+          onCancel={() => setLibraryMode(null)}
+        />
+      )}
+      
+      {/* Enlarged Card Preview. The controller of a face-down permanent can peek at it */}
+      {previewCard && (
         <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 z-50 flex flex-col items-center">
           <div className="w-64 rounded overflow-hidden shadow-2xl">
             <img 
-              src={hoveredCard.image_uris?.large || 'https://c1.scryfall.com/file/scryfall-card-backs/large/59/597b79b3-7d77-4261-871a-60dd17403388.jpg'} 
-              alt={hoveredCard.name || 'Card'} 
+              src={getCardImage(previewCard, 'large')} 
+              alt={previewCard.name || 'Card'} 
               className="w-full"
             />
           </div>
           <div className="mt-2 bg-bg-primary p-3 rounded max-w-md text-sm">
-            {hoveredCard.oracle_text || 'No text available'}
+            {hoveredCard.isCopy && (
+              <div className="text-gray-400 mb-1">Token copy</div>
+            )}
+            {hoveredCard.faceDown && (
+              <div className="text-gray-400 mb-1">
+                {hoveredCard.hiddenCard ? 'Face down - only you can see this card' : 'Face-down 2/2 creature'}
+              </div>
+            )}
+            {getCardFace(previewCard).oracle_text || 'No text available'}
           </div>
         </div>
       )}
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useDeck } from '../contexts/DeckContext';
+import { FORMATS, MULLIGAN_RULES, getFormat } from '../p2p/Formats';
 
 const Home = () => {
   const [games, setGames] = useState([]);
@@ -10,6 +11,8 @@ const Home = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [gameName, setGameName] = useState('');
   const [maxPlayers, setMaxPlayers] = useState(4);
+  const [format, setFormat] = useState('standard');
+  const [mulliganRule, setMulliganRule] = useState('');
   
   const { currentUser, logout, getAuthHeader } = useAuth();
   const { decks, getActiveDeck, setActiveDeck } = useDeck();
@@ -52,7 +55,9 @@ const Home = () => {
         },
         body: JSON.stringify({
           name: gameName || `${currentUser.username}'s Game`,
-          maxPlayers: parseInt(maxPlayers)
+          maxPlayers: parseInt(maxPlayers),
+          format,
+          mulliganRule: mulliganRule || null
         })
       });
       
@@ -218,6 +223,7 @@ const Home = () => {
                   <h3 className="text-lg font-semibold mb-2">{game.name}</h3>
                   <p className="text-text-secondary mb-4">
                     Players: {game.players.length}/{game.maxPlayers}
+                    {game.format && ` · ${getFormat(game.format).name}`}
                   </p>
                   <div className="flex justify-end">
                     <button
@@ -271,6 +277,41 @@ const Home = () => {
                 </select>
               </div>
               
+              <div className="form-group">
+                <label htmlFor="format" className="form-label">
+                  Format
+                </label>
+                <select
+                  id="format"
+                  className="input-field"
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                >
+                  {Object.values(FORMATS).map(option => (
+                    <option key={option.id} value={option.id}>
+                      {option.name} ({option.startingLife} life)
+                    </option>
+                  ))}
+                </select>
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="mulliganRule" className="form-label">
+                  Mulligan
+                </label>
+                <select
+                  id="mulliganRule"
+                  className="input-field"
+                  value={mulliganRule}
+                  onChange={(e) => setMulliganRule(e.target.value)}
+                >
+                  <option value="">Default (London, free first mulligan with 3+ players)</option>
+                  {Object.values(MULLIGAN_RULES).map(rule => (
+                    <option key={rule.id} value={rule.id}>{rule.name}</option>
+                  ))}
+                </select>
+              </div>
+              
               <div className="form-group">
                 <label className="form-label">
                   Selected Deck
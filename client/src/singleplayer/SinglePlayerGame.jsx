@@ -4,11 +4,23 @@ import { useNavigate } from 'react-router-dom';
 import SinglePlayerConnectionManager from './SinglePlayerConnectionManager';
 import GameStateManager from '../p2p/GameStateManager';
 import ScryfallService from '../p2p/ScryfallService';
+import LibraryArrangeModal from '../components/LibraryArrangeModal';
+import LibrarySearchModal from '../components/LibrarySearchModal';
+import GameLog from '../components/GameLog';
+import PlayerCounterControls from '../components/PlayerCounterControls';
+import MulliganModal from '../components/MulliganModal';
+import RandomToolsModal from '../components/RandomToolsModal';
+import TurnTracker from '../components/TurnTracker';
+import { getMulliganRule, getOpeningHandSize, OPENING_HAND_SIZE } from '../p2p/Formats';
 
 const SinglePlayerGame = () => {
   const [gameManager, setGameManager] = useState(null);
   const [gameState, setGameState] = useState(null);
   const [hoveredCard, setHoveredCard] = useState(null);
+  const [libraryMode, setLibraryMode] = useState(null);
+  const [showLibrarySearch, setShowLibrarySearch] = useState(false);
+  const [showRandomTools, setShowRandomTools] = useState(false);
+  const [mulliganBusy, setMulliganBusy] = useState(false);
   const [error, setError] = useState(null);
   const { currentUser } = useAuth();
   const navigate = useNavigate();
@@ -91,6 +103,34 @@ const SinglePlayerGame = () => {
     }
   };
 
+  const handleNextTurn = () => {
+    if (gameManager) {
+      gameManager.applyAction({
+        type: 'next-turn',
+        payload: {}
+      });
+    }
+  };
+
+  // With no other players, passing priority moves on to the next step
+  const handlePassPriority = () => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: 'pass-priority',
+        payload: { playerId: currentUser.id }
+      });
+    }
+  };
+
+  const handleSetStops = (stops) => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: 'set-stops',
+        payload: { playerId: currentUser.id, stops }
+      });
+    }
+  };
+
   const handleLifeChange = (playerId, delta) => {
     if (gameManager) {
       gameManager.applyAction({
@@ -100,6 +140,118 @@ const SinglePlayerGame = () => {
     }
   };
 
+  const handlePlayerCounter = (counterType, delta) => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: delta > 0 ? 'add-player-counter' : 'remove-player-counter',
+        payload: { playerId: currentUser.id, counterType, count: Math.abs(delta) }
+      });
+    }
+  };
+
+  // Toggle the tapped state of a permanent
+  const handleToggleTapped = (card) => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: card.tapped ? 'untap-card' : 'tap-card',
+        payload: { playerId: currentUser.id, cardId: card.id }
+      });
+    }
+  };
+
+  const handleUntapAll = () => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: 'untap-all',
+        payload: { playerId: currentUser.id }
+      });
+    }
+  };
+
+  const handleShuffle = () => {
+    if (gameManager && currentUser) {
+      gameManager.shuffleLibrary(currentUser.id).catch(err => {
+        console.error('Error shuffling library:', err);
+      });
+    }
+  };
+
+  // Alone there is no one to approve an undo, so it happens right away
+  const handleUndo = () => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: 'undo-request',
+        payload: { playerId: currentUser.id, count: 1 }
+      });
+    }
+  };
+
+  const handleRedo = () => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: 'redo',
+        payload: { playerId: currentUser.id }
+      });
+    }
+  };
+
+  const handleMulligan = async () => {
+    if (gameManager && currentUser) {
+      setMulliganBusy(true);
+      try {
+        await gameManager.mulligan(currentUser.id);
+      } catch (err) {
+        console.error('Error taking mulligan:', err);
+      }
+      setMulliganBusy(false);
+    }
+  };
+
+  // Keep the opening hand. Under the Vancouver rule a smaller hand comes with a scry 1
+  const handleKeepHand = (bottomCardIds) => {
+    if (gameManager && currentUser) {
+      const rule = getMulliganRule(gameState.config?.mulliganRule, gameState.players.length);
+      const mulliganCount = gameState.mulligan?.[currentUser.id]?.count || 0;
+      
+      const kept = gameManager.applyAction({
+        type: 'keep-hand',
+        payload: { playerId: currentUser.id, bottomCardIds }
+      });
+      if (kept && rule.drawsFewer && getOpeningHandSize(rule, mulliganCount) < OPENING_HAND_SIZE) {
+        setLibraryMode('scry');
+      }
+    }
+  };
+
+  const handleLibraryArrange = (placements) => {
+    if (gameManager && currentUser) {
+      gameManager.applyAction({
+        type: 'look-at-library',
+        payload: { playerId: currentUser.id, mode: libraryMode, placements }
+      });
+    }
+    setLibraryMode(null);
+  };
+
+  const handleLibrarySearch = (selections, shuffle) => {
+    if (gameManager && currentUser) {
+      gameManager.searchLibrary(currentUser.id, selections, shuffle).catch(err => {
+        console.error('Error searching library:', err);
+      });
+    }
+    setShowLibrarySearch(false);
+  };
+
+  // Roll dice, flip coins or pick at random; the results appear in the log
+  const runRandomTool = (tool) => {
+    if (gameManager && currentUser) {
+      tool(gameManager).catch(err => {
+        console.error('Error using random tool:', err);
+      });
+    }
+    setShowRandomTools(false);
+  };
+
   // Card interaction handlers
   const handleDragStart = (e, card, zone) => {
     e.dataTransfer.setData('card', JSON.stringify(card));
@@ -129,6 +281,9 @@ const SinglePlayerGame = () => {
   };
 
   const currentPlayer = gameState?.players.find(p => p.id === currentUser?.id);
+  const mulliganStatus = gameState?.phase === 'mulligan' ? gameState.mulligan?.[currentUser?.id] : null;
+  const showMulligan = !!mulliganStatus && !mulliganStatus.kept && !!currentPlayer &&
+    (currentPlayer.hand.length > 0 || currentPlayer.library.length === 0);
 
   if (error) {
     return (
@@ -164,6 +319,11 @@ const SinglePlayerGame = () => {
 
         {/* Lower half - player's board */}
         <div className="h-1/2 bg-bg-secondary flex flex-col relative">
+          {/* Game Log */}
+          <div className="absolute right-4 bottom-16 z-10">
+            <GameLog entries={gameState.log} />
+          </div>
+          
           {/* Player Info and Controls */}
           <div className="flex justify-between items-center p-4 border-b border-gray-700">
             <div className="flex items-center">
@@ -179,20 +339,26 @@ const SinglePlayerGame = () => {
                   onClick={() => handleLifeChange(currentUser.id, 1)}
                 >+</button>
               </div>
+              <PlayerCounterControls
+                counters={currentPlayer?.counters}
+                onAdd={(type) => handlePlayerCounter(type, 1)}
+                onRemove={(type) => handlePlayerCounter(type, -1)}
+              />
+              {currentPlayer?.lost && (
+                <span className="text-red-500 text-sm ml-2">You lost</span>
+              )}
             </div>
             
             {/* Game Phases */}
-            <div className="flex space-x-1">
-              {['untap', 'upkeep', 'draw', 'main1', 'combat', 'main2', 'end'].map(phase => (
-                <button
-                  key={phase}
-                  className={`px-2 py-1 text-xs rounded ${gameState.phase === phase ? 'bg-green-600' : 'bg-gray-700'}`}
-                  onClick={() => handlePhaseChange(phase)}
-                >
-                  {phase}
-                </button>
-              ))}
-            </div>
+            <TurnTracker
+              gameState={gameState}
+              players={gameState.players}
+              userId={currentUser.id}
+              onPass={handlePassPriority}
+              onChangePhase={handlePhaseChange}
+              onNextTurn={handleNextTurn}
+              onSetStops={handleSetStops}
+            />
             
             <div className="flex space-x-2">
               <button
@@ -201,6 +367,55 @@ const SinglePlayerGame = () => {
               >
                 Draw
               </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={handleUntapAll}
+              >
+                Untap All
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={handleShuffle}
+              >
+                Shuffle
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={handleUndo}
+                disabled={!gameManager?.getUndoableActions(currentUser.id).length}
+              >
+                Undo
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={handleRedo}
+                disabled={!gameManager?.canRedo(currentUser.id)}
+              >
+                Redo
+              </button>
+              {['scry', 'surveil', 'look'].map(mode => (
+                <button
+                  key={mode}
+                  className="btn-secondary text-sm capitalize"
+                  onClick={() => setLibraryMode(mode)}
+                  disabled={!currentPlayer?.library?.length}
+                >
+                  {mode}
+                </button>
+              ))}
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => setShowLibrarySearch(true)}
+                disabled={!currentPlayer?.library?.length}
+              >
+                Search
+              </button>
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => setShowRandomTools(true)}
+              >
+                Dice
+              </button>
               <button
                 className="btn-secondary text-sm"
                 onClick={() => navigate('/')}
@@ -209,7 +424,8 @@ const SinglePlayerGame = () => {
               </button>
               <button
                 className="btn-primary text-sm"
-                onClick={() => handlePhaseChange('next')}
+                onClick={handlePassPriority}
+                disabled={gameState.priority?.player !== currentUser.id}
               >
                 Next Phase
               </button>
@@ -227,6 +443,7 @@ const SinglePlayerGame = () => {
                 <div 
                   key={`${card.id}-${index}`}
                   className={`w-20 h-28 m-1 rounded overflow-hidden shadow-lg card-hover ${card.tapped ? 'transform rotate-90' : ''}`}
+                  onClick={() => handleToggleTapped(card)}
                   onMouseEnter={() => setHoveredCard(card)}
                   onMouseLeave={() => setHoveredCard(null)}
                   draggable
@@ -268,6 +485,49 @@ const SinglePlayerGame = () => {
         </div>
       </div>
       
+      {/* Opening Hand and Mulligans */}
+      {showMulligan && (
+        <MulliganModal
+          hand={currentPlayer.hand}
+          mulliganCount={mulliganStatus.count}
+          rule={getMulliganRule(gameState.config?.mulliganRule, gameState.players.length)}
+          busy={mulliganBusy}
+          onMulligan={handleMulligan}
+          onKeep={handleKeepHand}
+        />
+      )}
+      
+      {/* Private Library Search */}
+      {showLibrarySearch && currentPlayer && (
+        <LibrarySearchModal
+          library={currentPlayer.library}
+          onSubmit={handleLibrarySearch}
+          onCancel={() => setShowLibrarySearch(false)}
+        />
+      )}
+      
+      {/* Dice, Coins and Random Choices */}
+      {showRandomTools && (
+        <RandomToolsModal
+          players={gameState.players}
+          userId={currentUser.id}
+          onRollDie={(sides, count) => runRandomTool(manager => manager.rollDie(currentUser.id, sides, count))}
+          onFlipCoin={(count) => runRandomTool(manager => manager.flipCoin(currentUser.id, count))}
+          onRandomChoice={(options) => runRandomTool(manager => manager.randomChoice(currentUser.id, options))}
+          onClose={() => setShowRandomTools(false)}
+        />
+      )}
+      
+      {/* Private Library View (scry, surveil, look) */}
+      {libraryMode && currentPlayer && (
+        <LibraryArrangeModal
+          library={currentPlayer.library}
+          mode={libraryMode}
+          onSubmit={handleLibraryArrange}
+          onCancel={() => setLibraryMode(null)}
+        />
+      )}
+      
       {/* Enlarged Card Preview */}
       {hoveredCard && (
         <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 z-50 flex flex-col items-center">
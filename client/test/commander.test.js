@@ -0,0 +1,50 @@
+// Casting a commander: it goes on the stack like any other spell, and only
+// cast-commander raises its tax
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { startGame } from './support/network.js';
+import { castCommander, castSpell, resolveStack } from '../src/p2p/GameActions.js';
+
+const commander = { id: 'commander', name: 'Commander', type_line: 'Legendary Creature — Bear' };
+
+const findPlayer = (player, playerId) => player.confirmedState.players.find(p => p.id === playerId);
+
+test('a commander is cast onto the stack and raises its tax', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob'], { commander });
+  
+  const [commanderCard] = findPlayer(alice, 'alice').command;
+  assert.strictEqual(alice.applyAction(castCommander('alice', commanderCard.id)), true);
+  await network.flush();
+  
+  [alice, bob].forEach(peer => {
+    const player = findPlayer(peer, 'alice');
+    assert.strictEqual(player.command.length, 0);
+    assert.strictEqual(player.battlefield.length, 0);
+    assert.deepStrictEqual(Object.values(player.commanderTax), [2]);
+    assert.strictEqual(peer.confirmedState.stack[0].card.name, 'Commander');
+  });
+  
+  assert.strictEqual(alice.applyAction(resolveStack()), true);
+  await network.flush();
+  
+  assert.strictEqual(findPlayer(bob, 'alice').battlefield[0].name, 'Commander');
+  assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('a commander cannot be cast as a regular spell', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob'], { commander });
+  
+  const [commanderCard] = findPlayer(alice, 'alice').command;
+  assert.strictEqual(alice.applyAction(castSpell('alice', commanderCard.id, 'command')), false);
+  await network.flush();
+  
+  assert.strictEqual(findPlayer(bob, 'alice').command.length, 1);
+  assert.deepStrictEqual(findPlayer(bob, 'alice').commanderTax, {});
+  
+  alice.cleanup();
+  bob.cleanup();
+});
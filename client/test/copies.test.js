@@ -0,0 +1,38 @@
+// Copies of permanents between peers: a copy that leaves the battlefield
+// ceases to exist on every peer, even when it heads for a hidden zone
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { startGame } from './support/network.js';
+import { playCard, copyCard, moveCard } from '../src/p2p/GameActions.js';
+
+const findPlayer = (player, playerId) => player.confirmedState.players.find(p => p.id === playerId);
+
+['hand', 'library', 'graveyard'].forEach(targetZone => {
+  test(`a copy put into the ${targetZone} ceases to exist for every player`, async () => {
+    const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+    
+    const [handCard] = findPlayer(alice, 'alice').hand;
+    assert.strictEqual(alice.applyAction(playCard('alice', handCard.id)), true);
+    await network.flush();
+    
+    const [permanent] = findPlayer(alice, 'alice').battlefield;
+    assert.strictEqual(alice.applyAction(copyCard('alice', 'alice', permanent.id)), true);
+    await network.flush();
+    
+    const copy = findPlayer(alice, 'alice').battlefield.find(card => card.isCopy);
+    const zoneSize = findPlayer(alice, 'alice')[targetZone].length;
+    assert.strictEqual(alice.applyAction(moveCard('alice', copy.id, 'battlefield', targetZone)), true);
+    await network.flush();
+    
+    [alice, bob].forEach(peer => {
+      const player = findPlayer(peer, 'alice');
+      assert.strictEqual(player[targetZone].length, zoneSize);
+      assert.ok(!player.battlefield.some(card => card.isCopy));
+    });
+    assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+    
+    alice.cleanup();
+    bob.cleanup();
+  });
+});
@@ -0,0 +1,149 @@
+// Random actions only accept a proof from a fresh round every player still in
+// the game took part in, made for that very action
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { startGame } from './support/network.js';
+import { shuffleLibrary, searchLibrary, mulligan, rollDie as rollDieAction, flipCoin, randomChoice } from '../src/p2p/GameActions.js';
+
+const rollDie = (player, id, randomness) => player.applyAction({
+  id,
+  type: 'roll-die',
+  payload: { playerId: player.userId, sides: 20, count: 1, randomness }
+});
+
+// Run a round with every player for the action that will carry the proof
+const requestSeed = async (network, player, actionId) => {
+  const [proof] = await Promise.all([
+    player.randomness.requestSeed(actionId, ['alice', 'bob']),
+    network.flush()
+  ]);
+  return proof;
+};
+
+const countRolls = (player) =>
+  player.confirmedState.log.filter(entry => entry.message.includes('rolled a d20')).length;
+
+test('a die roll is accepted with a proof every player took part in', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  await Promise.all([bob.rollDie('bob'), network.flush()]);
+  await network.flush();
+  
+  assert.strictEqual(countRolls(alice), 1);
+  assert.strictEqual(countRolls(bob), 1);
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('a die roll is rejected with a proof from a round the player ran alone', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  const [proof] = await Promise.all([bob.randomness.requestSeed('solo-roll', ['bob']), network.flush()]);
+  assert.strictEqual(rollDie(bob, 'solo-roll', proof), false);
+  await network.flush();
+  
+  assert.strictEqual(countRolls(alice), 0);
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('a die roll is rejected with a proof that was already used', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  await Promise.all([bob.rollDie('bob'), network.flush()]);
+  await network.flush();
+  const committedRoll = alice.actionLog.find(action => action.type === 'roll-die');
+  
+  assert.strictEqual(rollDie(bob, committedRoll.id, committedRoll.payload.randomness), false);
+  assert.strictEqual(rollDie(bob, 'another-roll', committedRoll.payload.randomness), false);
+  await network.flush();
+  
+  assert.strictEqual(countRolls(alice), 1);
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('a coin flip is rejected with a proof made for another action', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  const [proof] = await Promise.all([bob.randomness.requestSeed('some-action', ['alice', 'bob']), network.flush()]);
+  const flipped = bob.applyAction({
+    id: 'coin-flip',
+    type: 'flip-coin',
+    payload: { playerId: 'bob', count: 1, randomness: proof }
+  });
+  assert.strictEqual(flipped, false);
+  await network.flush();
+  
+  assert.ok(!alice.confirmedState.log.some(entry => entry.message.includes('flipped')));
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('a shuffle built by its action creator is accepted', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  const proof = await requestSeed(network, bob, 'bob-shuffle');
+  assert.strictEqual(bob.applyAction(shuffleLibrary('bob', proof, 'bob-shuffle')), true);
+  await network.flush();
+  
+  assert.ok(alice.actionLog.some(action => action.id === 'bob-shuffle'));
+  assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('a search built by its action creator is accepted', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  const [card] = bob.confirmedState.players.find(p => p.id === 'bob').library;
+  const proof = await requestSeed(network, bob, 'bob-search');
+  const search = searchLibrary('bob', [{ cardId: card.id, destination: 'hand' }], proof, 'bob-search');
+  assert.strictEqual(bob.applyAction(search), true);
+  await network.flush();
+  
+  assert.ok(bob.confirmedState.players.find(p => p.id === 'bob').hand.some(c => c.id === card.id));
+  assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('a mulligan built by its action creator is accepted', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob'], { keepHands: false });
+  
+  const proof = await requestSeed(network, bob, 'bob-mulligan');
+  assert.strictEqual(bob.applyAction(mulligan('bob', proof, 'bob-mulligan')), true);
+  await network.flush();
+  
+  assert.strictEqual(alice.confirmedState.mulligan.bob.count, 1);
+  assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+  
+  alice.cleanup();
+  bob.cleanup();
+});
+
+test('dice, coins and random choices built by their action creators are accepted', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  const rollProof = await requestSeed(network, bob, 'bob-roll');
+  assert.strictEqual(bob.applyAction(rollDieAction('bob', 20, 1, rollProof, 'bob-roll')), true);
+  const flipProof = await requestSeed(network, bob, 'bob-flip');
+  assert.strictEqual(bob.applyAction(flipCoin('bob', 2, flipProof, 'bob-flip')), true);
+  const choiceProof = await requestSeed(network, alice, 'alice-choice');
+  assert.strictEqual(alice.applyAction(randomChoice('alice', ['left', 'right'], choiceProof, 'alice-choice')), true);
+  await network.flush();
+  
+  const committedIds = alice.actionLog.map(action => action.id);
+  ['bob-roll', 'bob-flip', 'alice-choice'].forEach(id => assert.ok(committedIds.includes(id)));
+  assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+  
+  alice.cleanup();
+  bob.cleanup();
+});
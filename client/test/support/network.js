@@ -0,0 +1,113 @@
+// In-memory stand-in for P2PConnectionManager, so several GameStateManagers
+// can play a game in one process. Messages are queued and delivered by flush()
+
+import GameStateManager from '../../src/p2p/GameStateManager.js';
+
+export const createNetwork = () => {
+  const queue = [];
+  const peers = new Map();
+  
+  const connect = (peerId) => {
+    const dataListeners = new Set();
+    const connectionListeners = new Set();
+    const manager = {
+      dataListeners,
+      addDataListener(callback) {
+        dataListeners.add(callback);
+        return () => dataListeners.delete(callback);
+      },
+      addConnectionListener(callback) {
+        connectionListeners.add(callback);
+        return () => connectionListeners.delete(callback);
+      },
+      getConnectedPeers() {
+        if (peers.get(peerId)?.manager !== manager) return [];
+        return [...peers.keys()].filter(id => id !== peerId);
+      },
+      isConnected: () => true,
+      sendToPeer(targetId, data) {
+        const target = peers.get(targetId);
+        if (!target || peers.get(peerId)?.manager !== manager) return false;
+        
+        const message = JSON.stringify(data);
+        queue.push(() => target.manager.dataListeners.forEach(callback => callback(JSON.parse(message), peerId)));
+        return true;
+      },
+      broadcast(data) {
+        this.getConnectedPeers().forEach(targetId => this.sendToPeer(targetId, data));
+      }
+    };
+    
+    peers.set(peerId, { manager });
+    return manager;
+  };
+  
+  // Deliver queued messages, and the ones they cause, until the network is quiet
+  const flush = async () => {
+    while (queue.length > 0) {
+      while (queue.length > 0) {
+        queue.shift()();
+        await null;
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+  
+  return {
+    connect,
+    flush,
+    disconnect: (peerId) => peers.delete(peerId),
+    createPlayer: (peerId) => new GameStateManager(connect(peerId), peerId)
+  };
+};
+
+// Storage that keeps saved games in memory, like GameStorage does in IndexedDB
+export const createStorage = () => {
+  const games = new Map();
+  
+  return {
+    saveGame: async (gameId, data) => { games.set(gameId, JSON.parse(JSON.stringify(data))); },
+    loadGame: async (gameId) => games.get(gameId) || null,
+    deleteGame: async (gameId) => { games.delete(gameId); }
+  };
+};
+
+export const createDeck = (size) => Array.from({ length: size }, (_, index) => ({
+  id: `card-${index}`,
+  name: `Card ${index}`,
+  type_line: 'Creature — Bear'
+}));
+
+// Start a game between the given players, each with a deck (led by the given
+// commander, if any) and an opening hand, which they keep unless keepHands is false
+export const startGame = async (playerIds, { deckSize = 20, keepHands = true, commander = null } = {}) => {
+  const network = createNetwork();
+  const players = playerIds.map(network.createPlayer);
+  
+  players[0].initializeGameState(playerIds.map(id => ({ id, name: id })));
+  await network.flush();
+  
+  if (!keepHands) return { network, players };
+  
+  players.forEach((player, index) => player.applyAction({
+    type: 'load-deck',
+    payload: { playerId: playerIds[index], count: deckSize, commander },
+    privatePayload: { cards: createDeck(deckSize) }
+  }));
+  await network.flush();
+  
+  await Promise.all([
+    ...players.map((player, index) => player.shuffleAndDrawOpeningHand(playerIds[index])),
+    network.flush()
+  ]);
+  
+  if (!keepHands) return { network, players };
+  
+  players.forEach((player, index) => player.applyAction({
+    type: 'keep-hand',
+    payload: { playerId: playerIds[index] }
+  }));
+  await network.flush();
+  
+  return { network, players };
+};
@@ -0,0 +1,5 @@
+// Lets Node load the client sources, which import relative modules without
+// their extension the way Vite allows
+import { register } from 'node:module';
+
+register('./resolve.js', import.meta.url);
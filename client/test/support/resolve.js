@@ -0,0 +1,9 @@
+// Resolve hook that retries extensionless relative imports with .js
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.')) throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
@@ -0,0 +1,84 @@
+// Undo between peers: the undo history is part of the replicated state, so
+// peers that reloaded or took a snapshot can still rewind
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { startGame, createStorage } from './support/network.js';
+
+const drawCard = (player, playerId) => player.applyAction({
+  type: 'draw-card',
+  payload: { playerId, count: 1 }
+});
+
+const handSize = (player, playerId) =>
+  player.confirmedState.players.find(p => p.id === playerId).hand.length;
+
+test('an undo rewinds a peer that reloaded the game', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  drawCard(alice, 'alice');
+  await network.flush();
+  drawCard(bob, 'bob');
+  await network.flush();
+  drawCard(alice, 'alice');
+  await network.flush();
+  
+  // Bob reloads the page
+  const storage = createStorage();
+  await bob.attachStorage(storage, 'game');
+  bob.persist();
+  await null;
+  bob.cleanup();
+  network.disconnect('bob');
+  
+  const reloadedBob = network.createPlayer('bob');
+  assert.strictEqual(await reloadedBob.attachStorage(storage, 'game'), true);
+  reloadedBob.finishCatchUp();
+  
+  alice.applyAction({ type: 'undo-request', payload: { playerId: 'alice', count: 2 } });
+  await network.flush();
+  const requestId = reloadedBob.confirmedState.undoRequest?.id;
+  assert.ok(requestId);
+  
+  reloadedBob.applyAction({ type: 'undo-response', payload: { playerId: 'bob', requestId, approve: true } });
+  await network.flush();
+  
+  assert.strictEqual(handSize(alice, 'alice'), 7);
+  assert.strictEqual(handSize(reloadedBob, 'alice'), 7);
+  assert.strictEqual(handSize(reloadedBob, 'bob'), 7);
+  assert.strictEqual(reloadedBob.calculateStateHash(), alice.calculateStateHash());
+  
+  alice.cleanup();
+  reloadedBob.cleanup();
+});
+
+test('an undo rewinds a peer that took a snapshot', async () => {
+  const { network, players: [alice, bob] } = await startGame(['alice', 'bob']);
+  
+  drawCard(bob, 'bob');
+  await network.flush();
+  
+  // As after a state hash mismatch
+  bob.requestSnapshot();
+  await network.flush();
+  
+  bob.applyAction({ type: 'undo-request', payload: { playerId: 'bob', count: 1 } });
+  await network.flush();
+  alice.applyAction({
+    type: 'undo-response',
+    payload: { playerId: 'alice', requestId: alice.confirmedState.undoRequest.id, approve: true }
+  });
+  await network.flush();
+  
+  assert.strictEqual(handSize(bob, 'bob'), 7);
+  assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+  
+  // Our own cards are still known after rewinding past the snapshot
+  drawCard(bob, 'bob');
+  await network.flush();
+  assert.ok(bob.confirmedState.players.find(p => p.id === 'bob').hand.every(card => !card.hidden));
+  assert.strictEqual(bob.calculateStateHash(), alice.calculateStateHash());
+  
+  alice.cleanup();
+  bob.cleanup();
+});
@@ -11,7 +11,7 @@ const games = new Map();
 // @access  Private
 router.post('/', auth, (req, res) => {
   try {
-    const { name, maxPlayers = 4 } = req.body;
+    const { name, maxPlayers = 4, format = 'standard', mulliganRule = null } = req.body;
     const userId = req.user.id;
     
     // Find user (in a real app, this would query the database)
@@ -28,6 +28,8 @@ router.post('/', auth, (req, res) => {
         isHost: true
       }],
       maxPlayers,
+      format,
+      mulliganRule, // null lets the client pick based on the number of players
       status: 'waiting',
       createdAt: new Date()
     };
@@ -156,6 +158,71 @@ router.post('/:id/start', auth, (req, res) => {
   }
 });
 
+// @route   POST api/games/:id/finish
+// @desc    Record how a game ended
+// @access  Private
+router.post('/:id/finish', auth, (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const userId = req.user.id;
+    const { winnerId = null, placements = [] } = req.body;
+
+    // Find game
+    const game = games.get(gameId);
+    if (!game) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    // Check if user is in the game
+    if (!game.players.some(player => player.id === userId)) {
+      return res.status(403).json({ message: 'You are not in this game' });
+    }
+
+    // Every player reports the result; it counts once it is confirmed
+    if (game.status === 'finished') {
+      return res.json(game);
+    }
+
+    if (game.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Game has not started' });
+    }
+
+    // Placements list every player once, from first to last place
+    const playerIds = game.players.map(player => player.id);
+    const validPlacements = Array.isArray(placements) &&
+      placements.length === playerIds.length &&
+      playerIds.every(id => placements.includes(id));
+    if (!validPlacements || (winnerId !== null && winnerId !== placements[0])) {
+      return res.status(400).json({ message: 'Invalid game result' });
+    }
+
+    // A result counts once two players reported it, one of whom it says has
+    // lost, so no player can record a win on their own
+    const result = JSON.stringify({ winnerId, placements });
+    game.resultReports = { ...game.resultReports, [userId]: result };
+
+    const reportedBy = Object.keys(game.resultReports).filter(id => game.resultReports[id] === result);
+    const losers = winnerId === null ? placements : placements.slice(1);
+    if (reportedBy.length < 2 || !reportedBy.some(id => losers.includes(id))) {
+      return res.status(202).json(game);
+    }
+
+    // Update game status
+    game.status = 'finished';
+    game.finishedAt = new Date();
+    game.result = {
+      winnerId,
+      placements,
+      reportedBy
+    };
+
+    res.json(game);
+  } catch (error) {
+    console.error('Finish game error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET api/games/:id/invite
 // @desc    Generate invite link for a game
 // @access  Private
@@ -32,9 +32,39 @@ app.use('/api/games', gameRoutes);
 // In-memory storage for active connections
 const activeConnections = new Map();
 
+// In-memory storage for game rooms (gameId -> Set of userIds)
+const gameRooms = new Map();
+
+// Remove a user from a game room and tell the remaining players
+const leaveGameRoom = (socket, gameId) => {
+  const userId = socket.data.userId;
+  const members = gameRooms.get(gameId);
+  
+  socket.leave(`game:${gameId}`);
+  socket.data.games.delete(gameId);
+  
+  if (!userId || !members || !members.has(userId)) return;
+  
+  // A newer socket of the same user (e.g. after a page refresh) keeps the seat
+  if (activeConnections.get(userId) !== socket.id) return;
+  
+  members.delete(userId);
+  if (members.size === 0) {
+    gameRooms.delete(gameId);
+  }
+  
+  console.log(`User ${userId} left game ${gameId}`);
+  
+  socket.to(`game:${gameId}`).emit('user-left', {
+    userId,
+    gameId
+  });
+};
+
 // Socket.IO for signaling and real-time communication
 io.on('connection', (socket) => {
   console.log('New client connected');
+  socket.data.games = new Set();
   
   // Authenticate socket connection
   socket.on('authenticate', ({ token }) => {
@@ -45,6 +75,7 @@ io.on('connection', (socket) => {
       
       // Store socket ID for this user
       activeConnections.set(userId, socket.id);
+      socket.data.userId = userId;
       
       // Join user's room for direct messages
       socket.join(`user:${userId}`);
@@ -59,25 +90,60 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Join a game room
-  socket.on('join-game', ({ gameId, userId }) => {
+  // Join a game room. Players join as the user their token authenticated, so
+  // no one can take over another player's seat or signals
+  socket.on('join-game', ({ gameId }) => {
+    const memberId = socket.data.userId;
+    if (!memberId) {
+      socket.emit('join-error', { message: 'Authenticate before joining a game' });
+      return;
+    }
+    
+    if (!gameId) {
+      socket.emit('join-error', { message: 'gameId is required' });
+      return;
+    }
+    
+    if (!gameRooms.has(gameId)) {
+      gameRooms.set(gameId, new Set());
+    }
+    const members = gameRooms.get(gameId);
+    const existingPlayers = [...members].filter(id => id !== memberId);
+    
     // Join game room
+    members.add(memberId);
+    socket.data.games.add(gameId);
     socket.join(`game:${gameId}`);
-    console.log(`User ${userId} joined game ${gameId}`);
+    console.log(`User ${memberId} joined game ${gameId}`);
+    
+    // Send the roster to the new player, who initiates the peer connections
+    socket.emit('joined', {
+      gameId,
+      userId: memberId,
+      existingPlayers
+    });
     
     // Notify other players
-    socket.to(`game:${gameId}`).emit('user-joined-room', {
-      userId,
+    socket.to(`game:${gameId}`).emit('user-joined', {
+      userId: memberId,
       gameId
     });
   });
   
+  // Leave a game room
+  socket.on('leave-game', ({ gameId }) => {
+    leaveGameRoom(socket, gameId);
+  });
+  
   // WebRTC signaling
-  socket.on('signal', ({ to, from, signal }) => {
+  socket.on('signal', ({ to, signal }) => {
+    // Only authenticated users can signal, always under their own id
+    if (!socket.data.userId) return;
+    
     const targetSocketId = activeConnections.get(to);
     if (targetSocketId) {
       io.to(targetSocketId).emit('signal', {
-        from,
+        from: socket.data.userId,
         signal
       });
     }
@@ -87,6 +153,9 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     console.log('Client disconnected');
     
+    // Leave every game room this socket was in
+    [...socket.data.games].forEach(gameId => leaveGameRoom(socket, gameId));
+    
     // Remove from active connections
     for (const [userId, socketId] of activeConnections.entries()) {
       if (socketId === socket.id) {
@@ -100,7 +169,7 @@ io.on('connection', (socket) => {
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  console.log(`Server running on port ${server.address().port}`);
 });
 
-module.exports = { app, server };
+module.exports = { app, server, io };
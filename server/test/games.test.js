@@ -0,0 +1,89 @@
+// Tests for the game routes, through the HTTP API of a running server
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+process.env.PORT = '0';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+const { server, io } = require('../server');
+
+let apiUrl;
+
+const request = async (userId, method, path, body) => {
+  const response = await fetch(`${apiUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-auth-token': jwt.sign({ id: userId }, process.env.JWT_SECRET)
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Create and start a game between the given players, the first one hosting
+const startGame = async (playerIds) => {
+  const { body: game } = await request(playerIds[0], 'POST', '/api/games', { name: 'Test game' });
+  for (const playerId of playerIds.slice(1)) {
+    await request(playerId, 'POST', `/api/games/${game.id}/join`);
+  }
+  await request(playerIds[0], 'POST', `/api/games/${game.id}/start`);
+  return game.id;
+};
+
+before(async () => {
+  if (!server.listening) {
+    await new Promise(resolve => server.once('listening', resolve));
+  }
+  apiUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  io.close();
+  server.close();
+});
+
+test('a result is recorded once a player it says has lost confirms it', async () => {
+  const gameId = await startGame(['alice', 'bob']);
+  const result = { winnerId: 'alice', placements: ['alice', 'bob'] };
+
+  const first = await request('alice', 'POST', `/api/games/${gameId}/finish`, result);
+  assert.strictEqual(first.status, 202);
+  assert.strictEqual(first.body.status, 'in-progress');
+
+  const second = await request('bob', 'POST', `/api/games/${gameId}/finish`, result);
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.body.status, 'finished');
+  assert.deepStrictEqual(second.body.result.placements, ['alice', 'bob']);
+});
+
+test('a player cannot record a win on their own', async () => {
+  const gameId = await startGame(['alice', 'bob', 'carol']);
+  const forged = { winnerId: 'alice', placements: ['alice', 'bob', 'carol'] };
+
+  // Repeating the claim doesn't confirm it
+  await request('alice', 'POST', `/api/games/${gameId}/finish`, forged);
+  const repeated = await request('alice', 'POST', `/api/games/${gameId}/finish`, forged);
+  assert.strictEqual(repeated.body.status, 'in-progress');
+
+  // Nor does a different result from the other players
+  const actual = { winnerId: 'bob', placements: ['bob', 'carol', 'alice'] };
+  const bobReport = await request('bob', 'POST', `/api/games/${gameId}/finish`, actual);
+  assert.strictEqual(bobReport.body.status, 'in-progress');
+
+  const carolReport = await request('carol', 'POST', `/api/games/${gameId}/finish`, actual);
+  assert.strictEqual(carolReport.body.status, 'finished');
+  assert.strictEqual(carolReport.body.result.winnerId, 'bob');
+});
+
+test('only players in the game can report its result', async () => {
+  const gameId = await startGame(['alice', 'bob']);
+
+  const report = await request('mallory', 'POST', `/api/games/${gameId}/finish`, {
+    winnerId: 'alice',
+    placements: ['alice', 'bob']
+  });
+  assert.strictEqual(report.status, 403);
+});
@@ -0,0 +1,157 @@
+// Integration test for WebRTC signaling: starts the server and connects two
+// headless clients through the client's SignalingService (needs the client's
+// dependencies installed as well)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const jwt = require('jsonwebtoken');
+
+process.env.PORT = '0';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+const { server, io } = require('../server');
+
+const signalingServicePath = path.join(__dirname, '../../client/src/p2p/SignalingService.js');
+
+let SignalingService;
+let serverUrl;
+
+// Resolve with the first value passed to a listener, or fail after a timeout
+const nextEvent = (service, event, timeout = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+  const remove = service.on(event, (data) => {
+    clearTimeout(timer);
+    remove();
+    resolve(data);
+  });
+});
+
+const createClient = (userId, gameId) => new SignalingService(serverUrl, userId, gameId, {
+  token: jwt.sign({ id: userId }, process.env.JWT_SECRET),
+  timeout: 5000
+});
+
+before(async () => {
+  if (!server.listening) {
+    await new Promise(resolve => server.once('listening', resolve));
+  }
+  serverUrl = `http://localhost:${server.address().port}`;
+
+  ({ default: SignalingService } = await import(pathToFileURL(signalingServicePath).href));
+});
+
+after(() => {
+  io.close();
+  server.close();
+});
+
+test('second player gets a roster and both relay signals through the server', async () => {
+  const alice = createClient('alice', 'game-1');
+  const bob = createClient('bob', 'game-1');
+
+  try {
+    assert.deepStrictEqual(await alice.connect(), []);
+
+    const joined = nextEvent(alice, 'user-joined');
+    assert.deepStrictEqual(await bob.connect(), ['alice']);
+    assert.strictEqual(await joined, 'bob');
+
+    // The newcomer sends the offer, the existing player answers
+    const offer = nextEvent(alice, 'signal');
+    bob.sendSignal('alice', { type: 'offer', sdp: 'bob-offer' });
+    assert.deepStrictEqual(await offer, {
+      from: 'bob',
+      to: 'alice',
+      signal: { type: 'offer', sdp: 'bob-offer' }
+    });
+
+    const answer = nextEvent(bob, 'signal');
+    alice.sendSignal('bob', { type: 'answer', sdp: 'alice-answer' });
+    assert.deepStrictEqual((await answer).signal, { type: 'answer', sdp: 'alice-answer' });
+
+    const candidate = nextEvent(alice, 'signal');
+    bob.sendSignal('alice', { candidate: { candidate: 'candidate:1' } });
+    assert.deepStrictEqual((await candidate).signal, { candidate: { candidate: 'candidate:1' } });
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+  }
+});
+
+test('players are told when someone leaves or disconnects', async () => {
+  const alice = createClient('alice', 'game-2');
+  const bob = createClient('bob', 'game-2');
+  const carol = createClient('carol', 'game-2');
+
+  try {
+    await alice.connect();
+    await bob.connect();
+    assert.deepStrictEqual((await carol.connect()).sort(), ['alice', 'bob']);
+
+    // Leaving the room explicitly
+    const bobLeft = nextEvent(alice, 'user-left');
+    bob.disconnect();
+    assert.strictEqual(await bobLeft, 'bob');
+
+    // Dropping the socket
+    const carolLeft = nextEvent(alice, 'user-left');
+    carol.socket.disconnect();
+    assert.strictEqual(await carolLeft, 'carol');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    carol.disconnect();
+  }
+});
+
+test('signals are only delivered to the addressed player', async () => {
+  const alice = createClient('alice', 'game-3');
+  const bob = createClient('bob', 'game-3');
+  const carol = createClient('carol', 'game-4');
+
+  try {
+    await alice.connect();
+    await bob.connect();
+    await carol.connect();
+
+    let carolReceived = false;
+    carol.on('signal', () => { carolReceived = true; });
+
+    const offer = nextEvent(alice, 'signal');
+    bob.sendSignal('alice', { type: 'offer', sdp: 'bob-offer' });
+    await offer;
+
+    assert.strictEqual(carolReceived, false);
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    carol.disconnect();
+  }
+});
+
+test('sockets that did not authenticate cannot join as another player', async () => {
+  const alice = createClient('alice', 'game-5');
+  const bob = createClient('bob', 'game-5');
+  const mallory = new SignalingService(serverUrl, 'alice', 'game-5', { timeout: 5000 });
+
+  try {
+    await alice.connect();
+    await assert.rejects(mallory.connect(), /Authenticate before joining a game/);
+
+    let malloryReceived = false;
+    mallory.on('signal', () => { malloryReceived = true; });
+
+    // Signals for alice still reach alice
+    assert.deepStrictEqual(await bob.connect(), ['alice']);
+    const offer = nextEvent(alice, 'signal');
+    bob.sendSignal('alice', { type: 'offer', sdp: 'bob-offer' });
+    assert.strictEqual((await offer).from, 'bob');
+    assert.strictEqual(malloryReceived, false);
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    mallory.disconnect();
+  }
+});
@@ -10,17 +10,24 @@ class P2PConnectionManager {
     this.peers = new Map(); // Map of userId -> peer connection
     this.dataListeners = new Set(); // Callbacks for data events
     this.connectionListeners = new Set(); // Callbacks for connection events
+    this.reconnectTimers = new Map(); // Map of userId -> pending reconnect attempt
+    this.reconnectDelay = 1000; // First reconnect delay, doubled after every failed attempt
+    this.maxReconnectDelay = 30000;
+    this.maxReconnectAttempts = 8; // Give up on a peer after this many attempts (about 2 minutes)
+    this.disconnecting = false; // Set while we close our own connections on purpose
     
     // Connect to signaling server
+    this.signalServer.on('joined', ({ existingPlayers }) => this.initializeConnections(existingPlayers));
     this.signalServer.on('signal', this.handleSignal.bind(this));
     this.signalServer.on('user-joined', this.handleUserJoined.bind(this));
     this.signalServer.on('user-left', this.handleUserLeft.bind(this));
   }
   
-  // Initialize connections with existing players in a game
+  // Initialize connections with existing players in a game. The player who
+  // joins last initiates, so two peers never both send an offer
   initializeConnections(existingPlayers) {
     existingPlayers.forEach(playerId => {
-      if (playerId !== this.userId) {
+      if (playerId !== this.userId && !this.peers.has(playerId)) {
         this.createPeerConnection(playerId, true); // Create as initiator
       }
     });
@@ -38,15 +45,12 @@ class P2PConnectionManager {
     // Handle peer events
     peer.on('signal', data => {
       // Send signal data to the peer via signaling server
-      this.signalServer.emit('signal', {
-        from: this.userId,
-        to: peerId,
-        signal: data
-      });
+      this.signalServer.sendSignal(peerId, data);
     });
     
     peer.on('connect', () => {
       console.log(`Connected to peer ${peerId}`);
+      this.cancelReconnect(peerId);
       this.notifyConnectionListeners('peer-connected', peerId);
     });
     
@@ -60,9 +64,12 @@ class P2PConnectionManager {
     });
     
     peer.on('close', () => {
+      // Ignore connections that were already replaced by a newer one
+      if (this.peers.get(peerId) !== peer) return;
+      
       console.log(`Connection to peer ${peerId} closed`);
       this.peers.delete(peerId);
-      this.notifyConnectionListeners('peer-disconnected', peerId);
+      this.handlePeerDropped(peerId);
     });
     
     peer.on('error', err => {
@@ -80,6 +87,17 @@ class P2PConnectionManager {
     
     let peer = this.peers.get(from);
     
+    // A new offer means the peer restarted its side, e.g. after a page refresh.
+    // If both sides are trying to connect at once, the lower user ID initiates
+    if (peer && signal.type === 'offer') {
+      const isConnecting = peer.initiator && !peer.connected;
+      if (isConnecting && this.userId < from) return;
+      
+      this.peers.delete(from);
+      peer.destroy();
+      peer = null;
+    }
+    
     // If we don't have a connection to this peer yet, create one
     if (!peer) {
       peer = this.createPeerConnection(from, false);
@@ -89,23 +107,71 @@ class P2PConnectionManager {
     peer.signal(signal);
   }
   
-  // Handle new user joining the game
+  // Handle new user joining the game. The newcomer initiates the connection,
+  // so we just wait for its offer to arrive through handleSignal
   handleUserJoined(userId) {
     console.log(`User ${userId} joined`);
-    if (userId !== this.userId && !this.peers.has(userId)) {
-      this.createPeerConnection(userId, true);
-    }
+    this.notifyConnectionListeners('user-joined', userId);
   }
   
-  // Handle user leaving the game
+  // Handle user leaving the game. This is also what we see when a player
+  // refreshes the page, so keep their seat while waiting for them to return
   handleUserLeft(userId) {
     console.log(`User ${userId} left`);
     const peer = this.peers.get(userId);
     if (peer) {
-      peer.destroy();
       this.peers.delete(userId);
-      this.notifyConnectionListeners('peer-disconnected', userId);
+      peer.destroy();
+      this.handlePeerDropped(userId);
+    }
+  }
+  
+  // A connection dropped without the player leaving on purpose: try to get it back
+  handlePeerDropped(peerId) {
+    if (this.disconnecting || this.reconnectTimers.has(peerId)) return;
+    
+    this.notifyConnectionListeners('peer-reconnecting', peerId);
+    this.scheduleReconnect(peerId, 0);
+  }
+  
+  // Retry a dropped connection with exponential backoff. Only the peer with
+  // the lower user ID sends offers; the other one answers them in handleSignal
+  scheduleReconnect(peerId, attempt) {
+    if (attempt >= this.maxReconnectAttempts) {
+      console.log(`Giving up on reconnecting to peer ${peerId}`);
+      this.cancelReconnect(peerId);
+      this.notifyConnectionListeners('peer-disconnected', peerId);
+      return;
     }
+    
+    const delay = Math.min(this.reconnectDelay * 2 ** attempt, this.maxReconnectDelay);
+    
+    const timer = setTimeout(() => {
+      if (this.isConnectedToPeer(peerId)) {
+        this.cancelReconnect(peerId);
+        return;
+      }
+      
+      if (this.userId < peerId) {
+        console.log(`Reconnecting to peer ${peerId} (attempt ${attempt + 1})`);
+        const stalePeer = this.peers.get(peerId);
+        if (stalePeer) {
+          this.peers.delete(peerId);
+          stalePeer.destroy();
+        }
+        this.createPeerConnection(peerId, true);
+      }
+      
+      this.scheduleReconnect(peerId, attempt + 1);
+    }, delay);
+    
+    this.reconnectTimers.set(peerId, timer);
+  }
+  
+  // Stop trying to reconnect to a peer
+  cancelReconnect(peerId) {
+    clearTimeout(this.reconnectTimers.get(peerId));
+    this.reconnectTimers.delete(peerId);
   }
   
   // Send data to a specific peer
@@ -183,6 +249,10 @@ class P2PConnectionManager {
   
   // Disconnect from all peers
   disconnectAll() {
+    this.disconnecting = true;
+    this.reconnectTimers.forEach(timer => clearTimeout(timer));
+    this.reconnectTimers.clear();
+    
     this.peers.forEach((peer) => {
       peer.destroy();
     });
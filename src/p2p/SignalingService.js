@@ -1,116 +1,147 @@
 // SignalingService.js
-// Handles WebSocket connection to signaling server for WebRTC peer discovery
+// Handles the Socket.IO connection to the signaling server for WebRTC peer discovery
+
+import io from 'socket.io-client';
 
 class SignalingService {
-  constructor(serverUrl, userId, gameId) {
+  constructor(serverUrl, userId, gameId, options = {}) {
     this.serverUrl = serverUrl;
     this.userId = userId;
     this.gameId = gameId;
-    this.socket = null;
+    this.token = options.token || null; // JWT used to authenticate a socket we create ourselves
+    this.socket = options.socket || null; // An already authenticated socket can be shared
+    this.ownsSocket = !options.socket;
+    this.timeout = options.timeout || 10000;
     this.eventListeners = new Map();
+    this.serverHandlers = new Map(); // Socket.IO handlers we registered, so they can be removed
     this.connected = false;
   }
 
-  // Connect to the signaling server
-  connect() {
-    return new Promise((resolve, reject) => {
-      try {
-        // In a real implementation, this would use a WebSocket connection
-        // For this prototype, we'll simulate the connection
-        console.log(`Connecting to signaling server at ${this.serverUrl}`);
-        
-        // Simulate connection delay
-        setTimeout(() => {
-          this.connected = true;
-          console.log('Connected to signaling server');
-          
-          // Emit the connect event
-          this.emit('connect');
-          
-          // Join the game room
-          this.joinGame();
-          
-          resolve();
-        }, 500);
-      } catch (err) {
-        console.error('Failed to connect to signaling server:', err);
-        reject(err);
+  // Connect to the signaling server and join the game room.
+  // Resolves with the ids of the players already in the room
+  async connect() {
+    console.log(`Connecting to signaling server at ${this.serverUrl}`);
+
+    if (!this.socket) {
+      this.socket = io(this.serverUrl, {
+        transports: ['websocket', 'polling'],
+        reconnection: true
+      });
+    }
+
+    this.listenToServer();
+
+    if (!this.socket.connected) {
+      await this.waitForServerEvent('connect', 'connect_error');
+    }
+
+    if (this.token) {
+      this.socket.emit('authenticate', { token: this.token });
+      await this.waitForServerEvent('authenticated', 'authentication_error');
+    }
+
+    this.connected = true;
+    console.log('Connected to signaling server');
+    this.emit('connect');
+
+    return this.joinGame();
+  }
+
+  // Forward the server's events to our own listeners
+  listenToServer() {
+    const handlers = {
+      // Server answer to join-game with the roster of players already in the room
+      'joined': ({ gameId, existingPlayers }) => {
+        if (gameId !== this.gameId) return;
+        this.emit('joined', { gameId, userId: this.userId, existingPlayers });
+      },
+      'user-joined': ({ userId, gameId }) => {
+        if (gameId === this.gameId && userId !== this.userId) {
+          this.emit('user-joined', userId);
+        }
+      },
+      'user-left': ({ userId, gameId }) => {
+        if (gameId === this.gameId && userId !== this.userId) {
+          this.emit('user-left', userId);
+        }
+      },
+      'signal': ({ from, signal }) => {
+        this.emit('signal', { from, to: this.userId, signal });
+      },
+      // Socket.IO reconnects on its own; rejoin the room once it does. The
+      // server only lets authenticated sockets join, and a new one isn't yet
+      'connect': () => {
+        if (this.connected) {
+          if (this.token) {
+            this.socket.emit('authenticate', { token: this.token });
+          }
+          this.joinGame().catch(err => console.error('Failed to rejoin game room:', err));
+        }
+      },
+      'disconnect': (reason) => {
+        console.log(`Signaling connection lost: ${reason}`);
       }
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => {
+      this.socket.on(event, handler);
+      this.serverHandlers.set(event, handler);
     });
   }
 
-  // Join a specific game room
-  joinGame() {
-    if (!this.connected) {
-      console.error('Cannot join game: Not connected to signaling server');
-      return;
-    }
+  // Wait for one of two server events, rejecting on the second or on timeout
+  waitForServerEvent(successEvent, errorEvent) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.socket.off(successEvent, onSuccess);
+        this.socket.off(errorEvent, onError);
+      };
+      const onSuccess = (data) => {
+        cleanup();
+        resolve(data);
+      };
+      const onError = (err) => {
+        cleanup();
+        reject(new Error(err?.message || `Signaling server error: ${errorEvent}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out waiting for ${successEvent} from signaling server`));
+      }, this.timeout);
 
-    console.log(`Joining game room ${this.gameId}`);
-    
-    // In a real implementation, this would send a join message to the server
-    // For this prototype, we'll simulate the join
-    setTimeout(() => {
-      // Simulate server response with existing players
-      const existingPlayers = [
-        'player1',
-        'player2',
-        'player3'
-      ].filter(id => id !== this.userId);
-      
-      // Emit the joined event
-      this.emit('joined', {
-        gameId: this.gameId,
-        userId: this.userId,
-        existingPlayers
-      });
-      
-      // Notify other players that we've joined
-      existingPlayers.forEach(playerId => {
-        this.emit('user-joined', playerId);
-      });
-    }, 300);
+      this.socket.once(successEvent, onSuccess);
+      this.socket.once(errorEvent, onError);
+    });
   }
 
-  // Send a signal to another peer
-  sendSignal(targetUserId, signal) {
-    if (!this.connected) {
-      console.error('Cannot send signal: Not connected to signaling server');
-      return;
+  // Join the game room. Resolves with the players already in it
+  async joinGame() {
+    if (!this.socket) {
+      throw new Error('Cannot join game: Not connected to signaling server');
     }
 
-    console.log(`Sending signal to user ${targetUserId}`);
-    
-    // In a real implementation, this would send the signal to the server
-    // For this prototype, we'll simulate the signal delivery
-    setTimeout(() => {
-      // Simulate the server forwarding the signal to the target user
-      this.emit('signal', {
-        from: this.userId,
-        to: targetUserId,
-        signal
-      });
-    }, 100);
+    console.log(`Joining game room ${this.gameId}`);
+
+    const roster = this.waitForServerEvent('joined', 'join-error');
+    this.socket.emit('join-game', { gameId: this.gameId, userId: this.userId });
+
+    const { existingPlayers } = await roster;
+    return existingPlayers.filter(id => id !== this.userId);
   }
 
-  // Broadcast a message to all users in the game
-  broadcast(message) {
+  // Send a signal to another peer through the server
+  sendSignal(targetUserId, signal) {
     if (!this.connected) {
-      console.error('Cannot broadcast: Not connected to signaling server');
+      console.error('Cannot send signal: Not connected to signaling server');
       return;
     }
 
-    console.log('Broadcasting message to all users in the game');
-    
-    // In a real implementation, this would send the message to the server
-    // For this prototype, we'll simulate the broadcast
-    setTimeout(() => {
-      // Simulate the server broadcasting the message to all users
-      this.emit('broadcast', {
-        from: this.userId,
-        message
-      });
-    }, 100);
+    this.socket.emit('signal', {
+      from: this.userId,
+      to: targetUserId,
+      signal
+    });
   }
 
   // Register an event listener
@@ -118,9 +149,9 @@ class SignalingService {
     if (!this.eventListeners.has(event)) {
       this.eventListeners.set(event, new Set());
     }
-    
+
     this.eventListeners.get(event).add(callback);
-    
+
     return () => {
       const listeners = this.eventListeners.get(event);
       if (listeners) {
@@ -143,16 +174,26 @@ class SignalingService {
     }
   }
 
-  // Disconnect from the signaling server
+  // Leave the game room and disconnect from the signaling server
   disconnect() {
-    if (!this.connected) {
+    if (!this.socket) {
       return;
     }
 
     console.log('Disconnecting from signaling server');
-    
-    // In a real implementation, this would close the WebSocket connection
-    // For this prototype, we'll simulate the disconnection
+
+    if (this.connected) {
+      this.socket.emit('leave-game', { gameId: this.gameId });
+    }
+
+    // A shared socket stays open for the rest of the app
+    this.serverHandlers.forEach((handler, event) => this.socket.off(event, handler));
+    this.serverHandlers.clear();
+    if (this.ownsSocket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+
     this.connected = false;
     this.emit('disconnect');
     this.eventListeners.clear();